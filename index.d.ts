@@ -5,213 +5,2273 @@
  * file that was distributed with this source code.
  */
 
+/**
+ * A value supplied by a configuration source.
+ */
+declare interface ValueOrigin<T = any> {
+    /**
+     * Supplied value.
+     */
+    value: T;
+
+    /**
+     * Description of the configuration source that supplied the value.
+     */
+    source: string;
+}
+
+/**
+ * An explanation of where a configuration value comes from.
+ */
+declare interface ValueExplanation<T = any> {
+    /**
+     * Explained key path.
+     */
+    keyPath: string;
+
+    /**
+     * Final value.
+     */
+    value: T | null;
+
+    /**
+     * Description of the configuration source that supplied the value, or
+     * null if it wasn't supplied by a configuration source.
+     */
+    source: string | null;
+
+    /**
+     * Values supplied by earlier configuration sources, in order.
+     */
+    overridden: Array<ValueOrigin>;
+}
+
+/**
+ * Options of serializing configuration settings.
+ */
+declare interface FormatOptions {
+    /**
+     * Whether to flatten JSON and YAML settings into keys like "database.host".
+     */
+    flatten?: boolean;
+
+    /**
+     * Separator between flattened keys, "__" for dotenv and "." otherwise.
+     */
+    separator?: string;
+
+    /**
+     * Prefix of dotenv variable names.
+     */
+    prefix?: string;
+
+    /**
+     * Number of spaces to indent JSON with.
+     */
+    indent?: number;
+
+    /**
+     * Whether to mask sensitive settings.
+     */
+    redact?: boolean;
+}
+
+/**
+ * Options of creating a configuration from flattened settings.
+ */
+declare interface FromFlatOptions {
+    /**
+     * Separator between keys, defaults to key path syntax.
+     */
+    separator?: string;
+
+    /**
+     * Whether to take numeric keys joined by a separator as array indices.
+     */
+    arrayIndices?: boolean;
+}
+
+/**
+ * A value that was added, removed or changed between two configurations.
+ */
+declare interface ConfigurationDiffEntry<T = any> {
+    /**
+     * Kind of difference.
+     */
+    type: "added" | "removed" | "changed";
+
+    /**
+     * Key path of the value.
+     */
+    keyPath: string;
+
+    /**
+     * Value in the old configuration, undefined if it was added.
+     */
+    oldValue: T | undefined;
+
+    /**
+     * Value in the new configuration, undefined if it was removed.
+     */
+    newValue: T | undefined;
+
+    /**
+     * Old value with sensitive settings masked, rendered instead of the old value if present.
+     */
+    redactedOldValue?: T | string;
+
+    /**
+     * New value with sensitive settings masked, rendered instead of the new value if present.
+     */
+    redactedNewValue?: T | string;
+}
+
+/**
+ * Options of rendering configuration differences.
+ */
+declare interface DiffRenderOptions {
+    /**
+     * Whether to color the lines using ANSI escape codes.
+     */
+    colors?: boolean;
+}
+
+/**
+ * The differences between two configurations.
+ *
+ * Every entry describes a value by key path that was added, removed or
+ * changed, with its old and new value.
+ */
+declare class ConfigurationDiff {
+    /**
+     * Added, removed and changed values in order.
+     */
+    public entries: Array<ConfigurationDiffEntry>;
+
+    /**
+     * Added values.
+     */
+    public added: Array<ConfigurationDiffEntry>;
+
+    /**
+     * Removed values.
+     */
+    public removed: Array<ConfigurationDiffEntry>;
+
+    /**
+     * Changed values.
+     */
+    public changed: Array<ConfigurationDiffEntry>;
+
+    /**
+     * Create a new configuration diff instance.
+     *
+     * @param entries Added, removed and changed values.
+     */
+    public constructor(entries: Array<ConfigurationDiffEntry>);
+
+    /**
+     * Determine if the configurations are equal.
+     *
+     * @return True if there are no differences.
+     */
+    public isEmpty(): boolean;
+
+    /**
+     * Render the differences as text with one line per entry.
+     *
+     * Added values are prefixed with "+", removed values with "-" and changed
+     * values with "~". Sensitive values are masked.
+     *
+     * @param options Render options.
+     * @return Rendered differences.
+     */
+    public render(options?: DiffRenderOptions): string;
+
+    /**
+     * Render the differences as text.
+     *
+     * @return Rendered differences.
+     */
+    public toString(): string;
+
+    /**
+     * Provide the entries to serialize to JSON with sensitive values masked.
+     *
+     * @return Redacted entries.
+     */
+    public toJSON(): Array<ConfigurationDiffEntry>;
+}
+
 /**
  * An interface representing a configuration object.
  */
-declare interface ConfigurationInterface {
+declare interface ConfigurationInterface {
+    /**
+     * Assign a value to a key path.
+     *
+     * After this operation the value will be available at the given key path.
+     * Key paths containing "__proto__" are rejected.
+     *
+     * @param keyPath Key path to assign a value to.
+     * @param value Value to assign to the key path.
+     */
+    set(keyPath: string, value: any): void;
+
+    /**
+     * Determine if the key path exists in the configuration.
+     *
+     * @param keyPath Key path to check for.
+     * @return True if the key path exists in the configuration.
+     */
+    has(keyPath: string): boolean;
+
+    /**
+     * Retrieve the value at the given key path.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    get<T = any>(keyPaht: string, defaultValue?: T): T;
+
+    /**
+     * Retrieve all values matching the given key path.
+     *
+     * A "*" segment matches every key of an object or index of an array, e.g.
+     * "services.*.url" matches the URL of every service, and a "**" segment
+     * matches any number of them, e.g. "**.url" matches every URL.
+     *
+     * @param keyPath Key path to match.
+     * @return Matching values by key path.
+     */
+    getAll<T = any>(keyPath: string): {[keyPath: string]: T};
+
+    /**
+     * Retrieve the value at the given key path, which must exist.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path.
+     */
+    require<T = any>(keyPath: string): T;
+
+    /**
+     * Retrieve the value at the given key path as a string.
+     *
+     * Numbers and booleans are converted into strings.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    getString(keyPath: string): string | null;
+
+    /**
+     * Retrieve the value at the given key path as a string.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    getString(keyPath: string, defaultValue: string): string;
+
+    /**
+     * Retrieve the value at the given key path as a number.
+     *
+     * Numeric strings are converted into numbers.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    getNumber(keyPath: string): number | null;
+
+    /**
+     * Retrieve the value at the given key path as a number.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    getNumber(keyPath: string, defaultValue: number): number;
+
+    /**
+     * Retrieve the value at the given key path as a boolean.
+     *
+     * The strings "true", "yes", "on" and "1" are converted into true and
+     * "false", "no", "off" and "0" into false, regardless of case.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    getBoolean(keyPath: string): boolean | null;
+
+    /**
+     * Retrieve the value at the given key path as a boolean.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    getBoolean(keyPath: string, defaultValue: boolean): boolean;
+
+    /**
+     * Retrieve the value at the given key path as an array.
+     *
+     * Strings holding a JSON array are parsed and other strings are split on
+     * commas, e.g. "one, two" becomes ["one", "two"].
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    getArray<T = any>(keyPath: string): Array<T> | null;
+
+    /**
+     * Retrieve the value at the given key path as an array.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    getArray<T = any>(keyPath: string, defaultValue: Array<T>): Array<T>;
+
+    /**
+     * Retrieve the value at the given key path as a duration in milliseconds.
+     *
+     * Numbers are taken as milliseconds and strings may use the units "ms",
+     * "s", "m", "h", "d" and "w", e.g. "30s" or "1h 30m".
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    getDuration(keyPath: string): number | null;
+
+    /**
+     * Retrieve the value at the given key path as a duration in milliseconds.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    getDuration(keyPath: string, defaultValue: number): number;
+
+    /**
+     * Retrieve the value at the given key path as a size in bytes.
+     *
+     * Numbers are taken as bytes and strings may use binary units, e.g.
+     * "512MB" or "1.5 GiB".
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    getBytes(keyPath: string): number | null;
+
+    /**
+     * Retrieve the value at the given key path as a size in bytes.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    getBytes(keyPath: string, defaultValue: number): number;
+
+    /**
+     * Retrieve the value at the given key path as a URL.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    getUrl(keyPath: string): URL | null;
+
+    /**
+     * Retrieve the value at the given key path as a URL.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    getUrl(keyPath: string, defaultValue: URL): URL;
+
+    /**
+     * Retrieves all settings in the configuration instance.
+     *
+     * A copy of the settings is returned so changing it doesn't alter the
+     * configuration. The settings of a frozen configuration are returned as
+     * is since they can't be changed.
+     *
+     * @return All settings.
+     */
+    all(): {[key: string]: any};
+
+    /**
+     * Remove key path from the configuration.
+     *
+     * If the key path does not exist no operation is performed.
+     *
+     * @param keyPath Key path to be removed.
+     */
+    remove(keyPath: string): void;
+
+    /**
+     * Removes all configuration settings effectively leaving it empty.
+     */
+    clear(): void;
+
+    /**
+     * Produce a new configuration instance by merging the given configuration
+     * with this instance.
+     *
+     * Neither this instance nor the given configuration is altered and the
+     * merged instance shares no settings with them. Settings of the given
+     * configuration set to "$unset" remove the setting and a
+     * {"$replace": value} directive replaces the setting instead of being
+     * merged into it.
+     *
+     * @param configuration Configuration instance to merge with.
+     * @param keyPath Key path to merge in the new instance at.
+     * @param strategy Merge strategy to use when merging arrays.
+     * @param strategies Merge strategies to use for arrays at specific key paths.
+     * @return Merged configuration instance.
+     */
+    merge(
+        configuration: ConfigurationInterface,
+        keyPath?: string | null,
+        strategy?: MergeStrategy,
+        strategies?: {[keyPath: string]: MergeStrategy}
+    ): ConfigurationInterface;
+
+    /**
+     * Create a view of the settings under the given key path.
+     *
+     * Key paths of the view are relative to the given key path and all
+     * operations read and write through to this instance.
+     *
+     * @param keyPath Key path of the section.
+     * @return View of the settings under the key path.
+     */
+    section(keyPath: string): ConfigurationInterface;
+
+    /**
+     * Make the configuration read only.
+     *
+     * The settings are deep frozen and any attempt to change them through
+     * this instance throws. Merging a frozen configuration produces a new
+     * instance that is not frozen.
+     *
+     * @return The same instance for method chaining.
+     */
+    freeze(): this;
+
+    /**
+     * Determine if the configuration is read only.
+     *
+     * @return True if the configuration is frozen.
+     */
+    isFrozen(): boolean;
+
+    /**
+     * Mark the settings at the given key path as sensitive.
+     *
+     * The key path may contain wildcards, as in "services.*.token" or
+     * "**.secret". A leading "*" matches at any depth, so "*.password"
+     * matches "password" as well as "services.payments.password". Everything
+     * below a sensitive setting is sensitive as well. Sensitive settings are
+     * still retrieved as is but masked when redacted.
+     *
+     * @param keyPath Key path or pattern of sensitive settings.
+     * @return The same instance for method chaining.
+     */
+    markSensitive(keyPath: string): this;
+
+    /**
+     * Determine if the setting at the given key path is sensitive.
+     *
+     * @param keyPath Key path to check.
+     * @return True if the setting is sensitive.
+     */
+    isSensitive(keyPath: string): boolean;
+
+    /**
+     * Retrieve all settings with sensitive settings masked.
+     *
+     * @return All settings with sensitive values replaced by "[REDACTED]".
+     */
+    redacted<T = {[key: string]: any}>(): T;
+
+    /**
+     * Provide the settings to serialize to JSON with sensitive settings masked.
+     *
+     * @return Redacted settings.
+     */
+    toJSON<T = {[key: string]: any}>(): T;
+
+    /**
+     * Serialize the settings into the given format.
+     *
+     * Settings are flattened into variables like "APP_DATABASE__HOST" for
+     * dotenv files and may be flattened into keys like "database.host" for
+     * JSON and YAML as well. Keys that don't make valid variable names, holding
+     * only letters, digits and underscores, can't be serialized into dotenv.
+     *
+     * @param format Format to serialize into.
+     * @param options Serialization options.
+     * @return Serialized settings.
+     */
+    toFormat(format: "json" | "yaml" | "yml" | "env", options?: FormatOptions): string;
+
+    /**
+     * Subscribe to changes at or under the given key path.
+     *
+     * The listener is called with the new and the old value whenever the value
+     * at the key path changes through this instance, or through the instance
+     * the subscription has been handed over to. A value that doesn't exist is
+     * given as undefined.
+     *
+     * @param keyPath Key path to subscribe to.
+     * @param listener Listener called with the new and old value.
+     * @return Function removing the subscription.
+     */
+    onChange<T = any>(keyPath: string, listener: (newValue: T | undefined, oldValue: T | undefined) => void): () => void;
+
+    /**
+     * Explain where the value at the given key path comes from.
+     *
+     * The explanation holds the final value, the configuration source that
+     * supplied it and the values supplied by earlier configuration sources
+     * that were overridden, in order.
+     *
+     * @param keyPath Key path to explain.
+     * @return Explanation of the value.
+     */
+    explain<T = any>(keyPath: string): ValueExplanation<T>;
+
+    /**
+     * Describe what changed between this instance and the given configuration.
+     *
+     * Objects are compared key by key while any other values, including
+     * arrays, are compared as a whole. Old and new values are rendered
+     * masked by the configuration they were taken from.
+     *
+     * @param configuration Configuration to compare with.
+     * @return Values added, removed and changed in the given configuration.
+     */
+    diff(configuration: ConfigurationInterface): ConfigurationDiff;
+}
+
+/**
+ * A configuration instance represents the frontend of a configuration.
+ * It provides operations to easily access, alter or extend the configuration.
+ *
+ * Settings are addressed by key paths of keys separated by dots. Array
+ * elements are addressed by index, either in brackets as in "servers[0].host"
+ * or as a key as in "servers.0.host". A backslash escapes the following
+ * character, so "hosts.example\\.com" refers to the key "example.com", and
+ * keys may also be quoted in brackets as in 'hosts["example.com"]'.
+ *
+ * Settings may be marked as sensitive, in which case they are masked when the
+ * configuration is serialized to JSON, inspected or redacted.
+ */
+declare class Configuration implements ConfigurationInterface {
+    /**
+     * Create a new configuration instance using the given settings.
+     *
+     * @param settings Initial configuration settings.
+     * @param origins Values supplied by configuration sources by key path, in order.
+     * @param sensitiveKeyPaths Key paths and patterns of sensitive settings.
+     */
+    public constructor(
+        settings?: {[key: string]: any},
+        origins?: Map<string, Array<ValueOrigin>>,
+        sensitiveKeyPaths?: Set<string>
+    );
+
+    /**
+     * Create a new configuration instance from flattened settings.
+     *
+     * Keys are key paths, as in "database.host" or "servers[0].host", unless
+     * another separator is given, e.g. "__" for keys like "database__host".
+     * Keys joined by a separator are object keys, numeric ones included,
+     * unless array indices are enabled or the key is numeric and continues an
+     * array, so "servers__0__host" holds the host of the first server when
+     * "servers" is an array.
+     *
+     * @param settings Values by flattened key.
+     * @param options Options.
+     * @return Configuration with nested settings.
+     */
+    public static fromFlat(settings: {[key: string]: any}, options?: FromFlatOptions): Configuration;
+
+    /**
+     * Assign a value to a key path.
+     *
+     * After this operation the value will be available at the given key path.
+     * Key paths containing "__proto__" are rejected.
+     *
+     * @param keyPath Key path to assign a value to.
+     * @param value Value to assign to the key path.
+     */
+    public set(keyPath: string, value: any): void;
+
+    /**
+     * Determine if the key path exists in the configuration.
+     *
+     * @param keyPath Key path to check for.
+     * @return True if the key path exists in the configuration.
+     */
+    public has(keyPath: string): boolean;
+
+    /**
+     * Retrieve the value at the given key path.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public get<T = any>(keyPaht: string, defaultValue?: T): T;
+
+    /**
+     * Retrieve all values matching the given key path.
+     *
+     * A "*" segment matches every key of an object or index of an array, e.g.
+     * "services.*.url" matches the URL of every service, and a "**" segment
+     * matches any number of them, e.g. "**.url" matches every URL.
+     *
+     * @param keyPath Key path to match.
+     * @return Matching values by key path.
+     */
+    public getAll<T = any>(keyPath: string): {[keyPath: string]: T};
+
+    /**
+     * Retrieve the value at the given key path, which must exist.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path.
+     */
+    public require<T = any>(keyPath: string): T;
+
+    /**
+     * Retrieve the value at the given key path as a string.
+     *
+     * Numbers and booleans are converted into strings.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getString(keyPath: string): string | null;
+
+    /**
+     * Retrieve the value at the given key path as a string.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getString(keyPath: string, defaultValue: string): string;
+
+    /**
+     * Retrieve the value at the given key path as a number.
+     *
+     * Numeric strings are converted into numbers.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getNumber(keyPath: string): number | null;
+
+    /**
+     * Retrieve the value at the given key path as a number.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getNumber(keyPath: string, defaultValue: number): number;
+
+    /**
+     * Retrieve the value at the given key path as a boolean.
+     *
+     * The strings "true", "yes", "on" and "1" are converted into true and
+     * "false", "no", "off" and "0" into false, regardless of case.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getBoolean(keyPath: string): boolean | null;
+
+    /**
+     * Retrieve the value at the given key path as a boolean.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getBoolean(keyPath: string, defaultValue: boolean): boolean;
+
+    /**
+     * Retrieve the value at the given key path as an array.
+     *
+     * Strings holding a JSON array are parsed and other strings are split on
+     * commas, e.g. "one, two" becomes ["one", "two"].
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getArray<T = any>(keyPath: string): Array<T> | null;
+
+    /**
+     * Retrieve the value at the given key path as an array.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getArray<T = any>(keyPath: string, defaultValue: Array<T>): Array<T>;
+
+    /**
+     * Retrieve the value at the given key path as a duration in milliseconds.
+     *
+     * Numbers are taken as milliseconds and strings may use the units "ms",
+     * "s", "m", "h", "d" and "w", e.g. "30s" or "1h 30m".
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getDuration(keyPath: string): number | null;
+
+    /**
+     * Retrieve the value at the given key path as a duration in milliseconds.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getDuration(keyPath: string, defaultValue: number): number;
+
+    /**
+     * Retrieve the value at the given key path as a size in bytes.
+     *
+     * Numbers are taken as bytes and strings may use binary units, e.g.
+     * "512MB" or "1.5 GiB".
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getBytes(keyPath: string): number | null;
+
+    /**
+     * Retrieve the value at the given key path as a size in bytes.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getBytes(keyPath: string, defaultValue: number): number;
+
+    /**
+     * Retrieve the value at the given key path as a URL.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getUrl(keyPath: string): URL | null;
+
+    /**
+     * Retrieve the value at the given key path as a URL.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getUrl(keyPath: string, defaultValue: URL): URL;
+
+    /**
+     * Retrieves all settings in the configuration instance.
+     *
+     * A copy of the settings is returned so changing it doesn't alter the
+     * configuration. The settings of a frozen configuration are returned as
+     * is since they can't be changed.
+     *
+     * @return All settings.
+     */
+    public all(): {[key: string]: any};
+
+    /**
+     * Remove key path from the configuration.
+     *
+     * If the key path does not exist no operation is performed.
+     *
+     * @param keyPath Key path to be removed.
+     */
+    public remove(keyPath: string): void;
+
+    /**
+     * Removes all configuration settings effectively leaving it empty.
+     */
+    public clear(): void;
+
+    /**
+     * Produce a new configuration instance by merging the given configuration
+     * with this instance.
+     *
+     * Neither this instance nor the given configuration is altered and the
+     * merged instance shares no settings with them. Settings of the given
+     * configuration set to "$unset" remove the setting and a
+     * {"$replace": value} directive replaces the setting instead of being
+     * merged into it.
+     *
+     * @param configuration Configuration instance to merge with.
+     * @param keyPath Key path to merge in the new instance at.
+     * @param strategy Merge strategy to use when merging arrays.
+     * @param strategies Merge strategies to use for arrays at specific key paths.
+     * @return Merged configuration instance.
+     */
+    public merge(
+        configuration: ConfigurationInterface,
+        keyPath?: string | null,
+        strategy?: MergeStrategy,
+        strategies?: {[keyPath: string]: MergeStrategy}
+    ): ConfigurationInterface;
+
+    /**
+     * Create a view of the settings under the given key path.
+     *
+     * Key paths of the view are relative to the given key path and all
+     * operations read and write through to this instance.
+     *
+     * @param keyPath Key path of the section.
+     * @return View of the settings under the key path.
+     */
+    public section(keyPath: string): ConfigurationSection;
+
+    /**
+     * Make the configuration read only.
+     *
+     * The settings are deep frozen and any attempt to change them through
+     * this instance throws. Merging a frozen configuration produces a new
+     * instance that is not frozen.
+     *
+     * @return The same instance for method chaining.
+     */
+    public freeze(): this;
+
+    /**
+     * Determine if the configuration is read only.
+     *
+     * @return True if the configuration is frozen.
+     */
+    public isFrozen(): boolean;
+
+    /**
+     * Mark the settings at the given key path as sensitive.
+     *
+     * The key path may contain wildcards, as in "services.*.token" or
+     * "**.secret". A leading "*" matches at any depth, so "*.password"
+     * matches "password" as well as "services.payments.password". Everything
+     * below a sensitive setting is sensitive as well. Sensitive settings are
+     * still retrieved as is but masked when redacted.
+     *
+     * @param keyPath Key path or pattern of sensitive settings.
+     * @return The same instance for method chaining.
+     */
+    public markSensitive(keyPath: string): this;
+
+    /**
+     * Determine if the setting at the given key path is sensitive.
+     *
+     * @param keyPath Key path to check.
+     * @return True if the setting is sensitive.
+     */
+    public isSensitive(keyPath: string): boolean;
+
+    /**
+     * Retrieve all settings with sensitive settings masked.
+     *
+     * @return All settings with sensitive values replaced by "[REDACTED]".
+     */
+    public redacted<T = {[key: string]: any}>(): T;
+
+    /**
+     * Provide the settings to serialize to JSON with sensitive settings masked.
+     *
+     * @return Redacted settings.
+     */
+    public toJSON<T = {[key: string]: any}>(): T;
+
+    /**
+     * Serialize the settings into the given format.
+     *
+     * Settings are flattened into variables like "APP_DATABASE__HOST" for
+     * dotenv files and may be flattened into keys like "database.host" for
+     * JSON and YAML as well. Keys that don't make valid variable names, holding
+     * only letters, digits and underscores, can't be serialized into dotenv.
+     *
+     * @param format Format to serialize into.
+     * @param options Serialization options.
+     * @return Serialized settings.
+     */
+    public toFormat(format: "json" | "yaml" | "yml" | "env", options?: FormatOptions): string;
+
+    /**
+     * Subscribe to changes at or under the given key path.
+     *
+     * The listener is called with the new and the old value whenever the value
+     * at the key path changes through this instance, or through the instance
+     * the subscription has been handed over to. A value that doesn't exist is
+     * given as undefined.
+     *
+     * @param keyPath Key path to subscribe to.
+     * @param listener Listener called with the new and old value.
+     * @return Function removing the subscription.
+     */
+    public onChange<T = any>(keyPath: string, listener: (newValue: T | undefined, oldValue: T | undefined) => void): () => void;
+
+    /**
+     * Take over the change subscriptions of the given configuration.
+     *
+     * The subscriptions are moved to this instance and their listeners are
+     * notified of every value that differs between the two configurations.
+     * This lets a configuration replacing another, like a reloaded one, keep
+     * its subscribers.
+     *
+     * @param configuration Configuration being replaced.
+     * @return The same instance for method chaining.
+     */
+    public takeOverListeners(configuration: Configuration): this;
+
+    /**
+     * Explain where the value at the given key path comes from.
+     *
+     * The explanation holds the final value, the configuration source that
+     * supplied it and the values supplied by earlier configuration sources
+     * that were overridden, in order.
+     *
+     * @param keyPath Key path to explain.
+     * @return Explanation of the value.
+     */
+    public explain<T = any>(keyPath: string): ValueExplanation<T>;
+
+    /**
+     * Describe what changed between this instance and the given configuration.
+     *
+     * Objects are compared key by key while any other values, including
+     * arrays, are compared as a whole. Old and new values are rendered
+     * masked by the configuration they were taken from.
+     *
+     * @param configuration Configuration to compare with.
+     * @return Values added, removed and changed in the given configuration.
+     */
+    public diff(configuration: ConfigurationInterface): ConfigurationDiff;
+}
+
+/**
+ * A view of the settings under a key path of another configuration.
+ *
+ * All key paths are relative to the key path of the section and every
+ * operation reads and writes through to the underlying configuration, so no
+ * settings are copied.
+ */
+declare class ConfigurationSection implements ConfigurationInterface {
+    /**
+     * Create a new configuration section instance.
+     *
+     * @param configuration Underlying configuration.
+     * @param keyPath Key path of the section in the underlying configuration.
+     */
+    public constructor(configuration: ConfigurationInterface, keyPath: string);
+
+    /**
+     * Assign a value to a key path.
+     *
+     * After this operation the value will be available at the given key path.
+     * Key paths containing "__proto__" are rejected.
+     *
+     * @param keyPath Key path to assign a value to.
+     * @param value Value to assign to the key path.
+     */
+    public set(keyPath: string, value: any): void;
+
+    /**
+     * Determine if the key path exists in the section.
+     *
+     * @param keyPath Key path to check for.
+     * @return True if the key path exists in the section.
+     */
+    public has(keyPath: string): boolean;
+
+    /**
+     * Retrieve the value at the given key path.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public get<T = any>(keyPath: string, defaultValue?: T): T;
+
+    /**
+     * Retrieve all values matching the given key path.
+     *
+     * A "*" segment matches every key of an object or index of an array, e.g.
+     * "services.*.url" matches the URL of every service, and a "**" segment
+     * matches any number of them, e.g. "**.url" matches every URL.
+     *
+     * @param keyPath Key path to match.
+     * @return Matching values by key path.
+     */
+    public getAll<T = any>(keyPath: string): {[keyPath: string]: T};
+
+    /**
+     * Retrieve the value at the given key path, which must exist.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path.
+     */
+    public require<T = any>(keyPath: string): T;
+
+    /**
+     * Retrieve the value at the given key path as a string.
+     *
+     * Numbers and booleans are converted into strings.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getString(keyPath: string): string | null;
+
+    /**
+     * Retrieve the value at the given key path as a string.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getString(keyPath: string, defaultValue: string): string;
+
+    /**
+     * Retrieve the value at the given key path as a number.
+     *
+     * Numeric strings are converted into numbers.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getNumber(keyPath: string): number | null;
+
+    /**
+     * Retrieve the value at the given key path as a number.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getNumber(keyPath: string, defaultValue: number): number;
+
+    /**
+     * Retrieve the value at the given key path as a boolean.
+     *
+     * The strings "true", "yes", "on" and "1" are converted into true and
+     * "false", "no", "off" and "0" into false, regardless of case.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getBoolean(keyPath: string): boolean | null;
+
+    /**
+     * Retrieve the value at the given key path as a boolean.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getBoolean(keyPath: string, defaultValue: boolean): boolean;
+
+    /**
+     * Retrieve the value at the given key path as an array.
+     *
+     * Strings holding a JSON array are parsed and other strings are split on
+     * commas, e.g. "one, two" becomes ["one", "two"].
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getArray<T = any>(keyPath: string): Array<T> | null;
+
+    /**
+     * Retrieve the value at the given key path as an array.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getArray<T = any>(keyPath: string, defaultValue: Array<T>): Array<T>;
+
+    /**
+     * Retrieve the value at the given key path as a duration in milliseconds.
+     *
+     * Numbers are taken as milliseconds and strings may use the units "ms",
+     * "s", "m", "h", "d" and "w", e.g. "30s" or "1h 30m".
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getDuration(keyPath: string): number | null;
+
+    /**
+     * Retrieve the value at the given key path as a duration in milliseconds.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getDuration(keyPath: string, defaultValue: number): number;
+
+    /**
+     * Retrieve the value at the given key path as a size in bytes.
+     *
+     * Numbers are taken as bytes and strings may use binary units, e.g.
+     * "512MB" or "1.5 GiB".
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getBytes(keyPath: string): number | null;
+
+    /**
+     * Retrieve the value at the given key path as a size in bytes.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getBytes(keyPath: string, defaultValue: number): number;
+
+    /**
+     * Retrieve the value at the given key path as a URL.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @return The value at the key path or null if it doesn't exist.
+     */
+    public getUrl(keyPath: string): URL | null;
+
+    /**
+     * Retrieve the value at the given key path as a URL.
+     *
+     * @param keyPath Key path to retrieve value from.
+     * @param defaultValue Value to return if key path doesn't exist.
+     * @return The value at the key path or default value.
+     */
+    public getUrl(keyPath: string, defaultValue: URL): URL;
+
+    /**
+     * Retrieves all settings in the section.
+     *
+     * A copy of the settings is returned unless the underlying configuration
+     * is frozen.
+     *
+     * @return All settings.
+     */
+    public all(): {[key: string]: any};
+
+    /**
+     * Remove key path from the section.
+     *
+     * If the key path does not exist no operation is performed.
+     *
+     * @param keyPath Key path to be removed.
+     */
+    public remove(keyPath: string): void;
+
+    /**
+     * Removes all settings in the section effectively leaving it empty.
+     */
+    public clear(): void;
+
+    /**
+     * Produce a new configuration instance by merging the given configuration
+     * with this section.
+     *
+     * The result is a section of a merged copy of the underlying
+     * configuration, which is left untouched.
+     *
+     * @param configuration Configuration instance to merge with.
+     * @param keyPath Key path to merge in the new instance at.
+     * @param strategy Merge strategy to use when merging arrays.
+     * @param strategies Merge strategies to use for arrays at specific key paths.
+     * @return Merged configuration instance.
+     */
+    public merge(
+        configuration: ConfigurationInterface,
+        keyPath?: string | null,
+        strategy?: MergeStrategy,
+        strategies?: {[keyPath: string]: MergeStrategy}
+    ): ConfigurationInterface;
+
+    /**
+     * Create a view of the settings under the given key path.
+     *
+     * Key paths of the view are relative to the given key path and all
+     * operations read and write through to this instance.
+     *
+     * @param keyPath Key path of the section.
+     * @return View of the settings under the key path.
+     */
+    public section(keyPath: string): ConfigurationSection;
+
+    /**
+     * Make the section read only.
+     *
+     * The underlying configuration is not affected.
+     *
+     * @return The same instance for method chaining.
+     */
+    public freeze(): this;
+
+    /**
+     * Determine if the section is read only.
+     *
+     * @return True if the section or the underlying configuration is frozen.
+     */
+    public isFrozen(): boolean;
+
+    /**
+     * Mark the settings at the given key path as sensitive.
+     *
+     * The key path may contain wildcards, as in "services.*.token" or
+     * "**.secret". A leading "*" matches at any depth, so "*.password"
+     * matches "password" as well as "services.payments.password". Everything
+     * below a sensitive setting is sensitive as well. Sensitive settings are
+     * still retrieved as is but masked when redacted.
+     *
+     * @param keyPath Key path or pattern of sensitive settings.
+     * @return The same instance for method chaining.
+     */
+    public markSensitive(keyPath: string): this;
+
+    /**
+     * Determine if the setting at the given key path is sensitive.
+     *
+     * @param keyPath Key path to check.
+     * @return True if the setting is sensitive.
+     */
+    public isSensitive(keyPath: string): boolean;
+
+    /**
+     * Retrieve all settings with sensitive settings masked.
+     *
+     * @return All settings with sensitive values replaced by "[REDACTED]".
+     */
+    public redacted<T = {[key: string]: any}>(): T;
+
+    /**
+     * Provide the settings to serialize to JSON with sensitive settings masked.
+     *
+     * @return Redacted settings.
+     */
+    public toJSON<T = {[key: string]: any}>(): T;
+
+    /**
+     * Serialize the settings into the given format.
+     *
+     * Settings are flattened into variables like "APP_DATABASE__HOST" for
+     * dotenv files and may be flattened into keys like "database.host" for
+     * JSON and YAML as well. Keys that don't make valid variable names, holding
+     * only letters, digits and underscores, can't be serialized into dotenv.
+     *
+     * @param format Format to serialize into.
+     * @param options Serialization options.
+     * @return Serialized settings.
+     */
+    public toFormat(format: "json" | "yaml" | "yml" | "env", options?: FormatOptions): string;
+
+    /**
+     * Subscribe to changes at or under the given key path.
+     *
+     * The listener is called with the new and the old value whenever the value
+     * at the key path changes through this instance, or through the instance
+     * the subscription has been handed over to. A value that doesn't exist is
+     * given as undefined.
+     *
+     * @param keyPath Key path to subscribe to.
+     * @param listener Listener called with the new and old value.
+     * @return Function removing the subscription.
+     */
+    public onChange<T = any>(keyPath: string, listener: (newValue: T | undefined, oldValue: T | undefined) => void): () => void;
+
+    /**
+     * Explain where the value at the given key path comes from.
+     *
+     * The explanation holds the final value, the configuration source that
+     * supplied it and the values supplied by earlier configuration sources
+     * that were overridden, in order.
+     *
+     * @param keyPath Key path to explain.
+     * @return Explanation of the value.
+     */
+    public explain<T = any>(keyPath: string): ValueExplanation<T>;
+
+    /**
+     * Describe what changed between this instance and the given configuration.
+     *
+     * Objects are compared key by key while any other values, including
+     * arrays, are compared as a whole. Old and new values are rendered
+     * masked by the configuration they were taken from.
+     *
+     * @param configuration Configuration to compare with.
+     * @return Values added, removed and changed in the given configuration.
+     */
+    public diff(configuration: ConfigurationInterface): ConfigurationDiff;
+}
+
+/**
+ * An interface representing a configuration source.
+ *
+ * Configuration sources are used to construct a final configuration instance.
+ */
+declare interface ConfigurationSourceInterface {
+    /**
+     * Provide the configuration source settings.
+     *
+     * The configuration built from the previously added sources is provided so
+     * the settings can be derived from it.
+     *
+     * @param configuration Configuration built from previously added sources.
+     * @return Configuration settings.
+     */
+    load(configuration?: ConfigurationInterface): Promise<{[key: string]: any}>;
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * If not implemented the name of the configuration source class is used.
+     *
+     * @param keyPath Key path of the value relative to the configuration source.
+     * @return Description of the origin of the value.
+     */
+    describe?(keyPath: string): string;
+
+    /**
+     * Determine if the values provided by the configuration source are sensitive.
+     *
+     * Values of sources that are sensitive are masked when the built
+     * configuration is redacted.
+     *
+     * @return True if the values are sensitive.
+     */
+    isSensitive?(): boolean;
+
+    /**
+     * Provide the files and directories the settings are loaded from.
+     *
+     * Configuration sources implementing this are rebuilt when watched and
+     * the paths change.
+     *
+     * @return Files and directories to watch.
+     */
+    getWatchPaths?(): Array<string>;
+}
+
+/**
+ * A convenient configuration source used to add plain objects to configurations.
+ */
+declare class ObjectConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @param settings Settings to contribute to the configuration.
+     */
+    public constructor(settings: {[key: string]: any});
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @return Configuration settings.
+     */
+    public load(): Promise<{[key: string]: any}>;
+}
+
+/**
+ * Options for the environment configuration source.
+ */
+declare interface EnvironmentConfigurationSourceOptions {
+    /**
+     * Environment variables to read from.
+     */
+    environment?: {[key: string]: string | undefined};
+
+    /**
+     * Separator between key path segments.
+     */
+    separator?: string;
+
+    /**
+     * Whether to coerce values into typed values.
+     */
+    coerce?: boolean;
+}
+
+/**
+ * A configuration source providing settings from environment variables.
+ *
+ * Only variables starting with the given prefix are included. The remaining
+ * part of the variable name is mapped to a key path by splitting it on the
+ * separator, e.g. "APP_DATABASE__HOST" becomes "database.host". Every segment
+ * is taken as a key as is, dots and brackets included.
+ */
+declare class EnvironmentConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @param prefix Prefix a variable must have to be included.
+     * @param options Configuration source options.
+     */
+    public constructor(prefix?: string, options?: EnvironmentConfigurationSourceOptions);
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @return Configuration settings.
+     */
+    public load(): Promise<{[key: string]: any}>;
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @param keyPath Key path of the value.
+     * @return Description of the origin of the value.
+     */
+    public describe(keyPath: string): string;
+}
+
+/**
+ * Options for the command line argument configuration source.
+ */
+declare interface ArgvConfigurationSourceOptions {
+    /**
+     * Key paths for option aliases, e.g. {p: "server.port"}.
+     */
+    aliases?: {[alias: string]: string};
+
+    /**
+     * Whether to coerce values into typed values.
+     */
+    coerce?: boolean;
+}
+
+/**
+ * A configuration source providing settings from command line arguments.
+ *
+ * Options are mapped to key paths, e.g. "--database.host=localhost" or
+ * "--database.host localhost" sets "database.host". The value may be a
+ * negative number as in "--offset -5". Options without a value are set to
+ * true and negated options like "--no-cache" are set to false. Repeated
+ * options are collected in an array and everything after a "--" terminator
+ * is ignored, as are positional arguments.
+ *
+ * Option names are taken as key paths, so brackets and backslashes keep their
+ * meaning, e.g. "--servers[0].host" sets the host of the first server. An
+ * option that is not a valid key path makes loading fail.
+ */
+declare class ArgvConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @param argv Command line arguments to read from.
+     * @param options Configuration source options.
+     */
+    public constructor(argv?: Array<string>, options?: ArgvConfigurationSourceOptions);
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @return Configuration settings.
+     */
+    public load(): Promise<{[key: string]: any}>;
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @param keyPath Key path of the value.
+     * @return Description of the origin of the value.
+     */
+    public describe(keyPath: string): string;
+}
+
+/**
+ * This abstract class provides a convenient base to extend so you only have to
+ * worry about the parsing of the configuration file and not the loading.
+ */
+declare abstract class AbstractFileConfigurationSource {
+    /**
+     * Create a new file configuration instance.
+     *
+     * @param file Configuration file to load.
+     */
+    public constructor(file: string);
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * The file is read and its content is parsed into settings.
+     *
+     * @return Configuration settings.
+     */
+    public load(): Promise<{[key: string]: any}>;
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @param keyPath Key path of the value.
+     * @return Description of the origin of the value.
+     */
+    public describe(keyPath: string): string;
+
+    /**
+     * Provide the files and directories the settings are loaded from.
+     *
+     * @return Configuration file.
+     */
+    public getWatchPaths(): Array<string>;
+
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @param content Content to parse.
+     * @return Configuration settings.
+     */
+    public parse(content: string): {[key: string]: any};
+
+    /**
+     * Reads the entire file and returns the content.
+     *
+     * @param file File to read.
+     * @return Raw contents of the file.
+     */
+    protected readFile(file?: string): Promise<string>;
+}
+
+/**
+ * A JSON file configuration source.
+ */
+declare class JsonConfigurationSource extends AbstractFileConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @param content Content to parse.
+     * @return Configuration settings.
+     */
+    public parse(content: string): {[key: string]: any};
+}
+
+/**
+ * Options for the YAML configuration source.
+ */
+declare interface YamlConfigurationSourceOptions {
+    /**
+     * Merge strategy to use when merging arrays of documents.
+     */
+    mergeStrategy?: MergeStrategy;
+}
+
+/**
+ * A YAML file configuration source.
+ *
+ * Anchors, aliases and merge keys are supported. If the file contains multiple
+ * documents they are merged in order with later documents taking precedence,
+ * so arrays of later documents replace earlier ones unless another merge
+ * strategy is given. Every document must be a mapping or empty. Merge
+ * directives like "$unset" are kept for the settings to be merged with.
+ */
+declare class YamlConfigurationSource extends AbstractFileConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @param file Configuration file to load.
+     * @param options Configuration source options.
+     */
+    public constructor(file: string, options?: YamlConfigurationSourceOptions);
+
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @param content Content to parse.
+     * @return Configuration settings.
+     */
+    public parse(content: string): {[key: string]: any};
+}
+
+/**
+ * A TOML file configuration source.
+ *
+ * Tables become nested objects and dates and times become date instances.
+ */
+declare class TomlConfigurationSource extends AbstractFileConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @param content Content to parse.
+     * @return Configuration settings.
+     */
+    public parse(content: string): {[key: string]: any};
+}
+
+/**
+ * An INI file configuration source.
+ *
+ * Sections become top level keys and dotted section names become nested key
+ * paths, e.g. "[database.replica]" becomes "database.replica". A literal dot
+ * in a section name can be escaped with a backslash.
+ */
+declare class IniConfigurationSource extends AbstractFileConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @param content Content to parse.
+     * @return Configuration settings.
+     */
+    public parse(content: string): {[key: string]: any};
+}
+
+/**
+ * Options for the dotenv configuration source.
+ */
+declare interface DotenvConfigurationSourceOptions {
+    /**
+     * Environment variables used in expansion.
+     */
+    environment?: {[key: string]: string | undefined};
+
+    /**
+     * Separator between key path segments.
+     */
+    separator?: string;
+
+    /**
+     * Whether to coerce values into typed values.
+     */
+    coerce?: boolean;
+}
+
+/**
+ * A dotenv (.env) file configuration source.
+ *
+ * Variable names are mapped to key paths by splitting them on the separator,
+ * e.g. "DATABASE__HOST" becomes "database.host", taking every segment as a
+ * key as is. References like "${NAME}" or "${NAME:-default}" in unquoted and
+ * double quoted values are expanded using previously defined variables and
+ * then the environment. The environment is never modified.
+ */
+declare class DotenvConfigurationSource extends AbstractFileConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @param file Configuration file to load.
+     * @param options Configuration source options.
+     */
+    public constructor(file: string, options?: DotenvConfigurationSourceOptions);
+
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @param content Content to parse.
+     * @return Configuration settings.
+     */
+    public parse(content: string): {[key: string]: any};
+}
+
+/**
+ * A JavaScript module configuration source.
+ *
+ * The default export of the module is used as settings. If it is a function
+ * it is called with the configuration built so far and its result, or the
+ * value it resolves to, is used instead.
+ *
+ * The module is imported again whenever it has been modified. Modules can't
+ * be unloaded, so every modification keeps another copy of the module in
+ * memory for the lifetime of the process, which adds up when the module is
+ * watched and modified often.
+ */
+declare class ModuleConfigurationSource extends AbstractFileConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Provide the configuration source settings.
+     *
+     * @param configuration Configuration built from previously added sources.
+     * @return Configuration settings.
+     */
+    public load(configuration?: ConfigurationInterface): Promise<{[key: string]: any}>;
+}
+
+/**
+ * Options for the secrets directory configuration source.
+ */
+declare interface SecretsDirectoryConfigurationSourceOptions {
+    /**
+     * Separator between key path segments.
+     */
+    separator?: string;
+}
+
+/**
+ * A configuration source reading a directory of one value per file secrets,
+ * like the ones mounted by Docker or Kubernetes.
+ *
+ * Each file provides a single value with trailing newlines removed. File names
+ * are mapped to key paths by splitting them on the separator, e.g.
+ * "database__password" becomes "database.password". Every segment is taken as
+ * a key as is, dots and brackets included. Hidden files are ignored.
+ *
+ * All values provided by this source are considered sensitive.
+ */
+declare class SecretsDirectoryConfigurationSource extends AbstractFileConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @param directory Directory containing the secret files.
+     * @param options Configuration source options.
+     */
+    public constructor(directory: string, options?: SecretsDirectoryConfigurationSourceOptions);
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @return Configuration settings.
+     */
+    public load(): Promise<{[key: string]: any}>;
+
+    /**
+     * Determine if the values provided by this source are sensitive.
+     *
+     * @return Always true since all values are secrets.
+     */
+    public isSensitive(): boolean;
+}
+
+/**
+ * A file configuration source class.
+ */
+declare interface FileConfigurationSourceConstructor {
+    /**
+     * Create a new file configuration source instance.
+     *
+     * @param file Configuration file to load.
+     */
+    new (file: string): ConfigurationSourceInterface;
+}
+
+/**
+ * Options for a file configuration source registry.
+ */
+declare interface FileConfigurationSourceRegistryOptions {
+    /**
+     * Whether to register the module configuration source for ".js" and ".mjs" files.
+     */
+    modules?: boolean;
+}
+
+/**
+ * A registry of file configuration sources by file extension.
+ *
+ * It is used to pick the configuration source to use for a given file and
+ * comes with all the bundled file configuration sources registered. Since
+ * loading a module runs its code, the module configuration source may be
+ * left out.
+ */
+declare class FileConfigurationSourceRegistry {
+    /**
+     * Create a new registry instance.
+     *
+     * @param options Registry options.
+     */
+    public constructor(options?: FileConfigurationSourceRegistryOptions);
+
+    /**
+     * Register a file configuration source class for a file extension.
+     *
+     * Any previously registered class for the extension is replaced. The class
+     * will be instantiated with the file path as its only argument.
+     *
+     * @param extension File extension including the leading dot, e.g. ".json".
+     * @param configurationSource File configuration source class.
+     * @return The same instance for method chaining.
+     */
+    public register(extension: string, configurationSource: FileConfigurationSourceConstructor): this;
+
+    /**
+     * Determine if there is a configuration source registered for the file.
+     *
+     * @param file File to check for.
+     * @return True if the file can be loaded.
+     */
+    public has(file: string): boolean;
+
+    /**
+     * Create a configuration source instance for the given file.
+     *
+     * The configuration source is picked by the extension of the file unless
+     * an extension is explicitly given.
+     *
+     * @param file File to create a configuration source for.
+     * @param extension Extension to pick the configuration source by.
+     * @return Configuration source for the file.
+     */
+    public create(file: string, extension?: string): ConfigurationSourceInterface;
+}
+
+/**
+ * Options for the directory configuration source.
+ */
+declare interface DirectoryConfigurationSourceOptions {
+    /**
+     * Registry used to create file configuration sources.
+     */
+    registry?: FileConfigurationSourceRegistry;
+
+    /**
+     * Whether the default registry loads JavaScript modules.
+     */
+    modules?: boolean;
+
+    /**
+     * Whether to merge each file in at a key path named after the file.
+     */
+    mount?: boolean;
+
+    /**
+     * Merge strategy to use when merging arrays.
+     */
+    mergeStrategy?: MergeStrategy;
+}
+
+/**
+ * A configuration source loading every matching file in a directory.
+ *
+ * The path is either a directory, in which case every file with a registered
+ * extension is loaded, or a glob pattern like "conf.d/*.yaml" where the
+ * wildcards "*", "?" and "{a,b}" may be used in the file name. The files are
+ * merged in the order of their names. Merge directives like "$unset" are kept
+ * for the settings to be merged with.
+ *
+ * JavaScript modules are not loaded unless enabled, since loading a module
+ * runs its code.
+ */
+declare class DirectoryConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @param path Directory or glob pattern of files to load.
+     * @param options Configuration source options.
+     */
+    public constructor(path: string, options?: DirectoryConfigurationSourceOptions);
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @param configuration Configuration built from previously added sources.
+     * @return Configuration settings.
+     */
+    public load(configuration?: ConfigurationInterface): Promise<{[key: string]: any}>;
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @param keyPath Key path of the value.
+     * @return Description of the origin of the value.
+     */
+    public describe(keyPath: string): string;
+
+    /**
+     * Provide the files and directories the settings are loaded from.
+     *
+     * @return Directory the files are loaded from.
+     */
+    public getWatchPaths(): Array<string>;
+
+    /**
+     * Retrieve the files to load in order.
+     *
+     * @return Paths of the files to load.
+     */
+    public getFiles(): Promise<Array<string>>;
+}
+
+/**
+ * Options for the HTTP configuration source.
+ */
+declare interface HttpConfigurationSourceOptions {
+    /**
+     * Extension of the format of the content, e.g. ".yaml".
+     */
+    format?: string;
+
+    /**
+     * Registry used to pick the parser for the format.
+     */
+    registry?: FileConfigurationSourceRegistry;
+
+    /**
+     * Additional request headers.
+     */
+    headers?: {[name: string]: string};
+
+    /**
+     * Milliseconds a request may take in total.
+     */
+    timeout?: number;
+
+    /**
+     * Number of times to retry a failed request.
+     */
+    retries?: number;
+
+    /**
+     * Delay in milliseconds before the first retry, doubled for each retry.
+     */
+    retryDelay?: number;
+
+    /**
+     * File to keep the last known good content in.
+     */
+    cacheFile?: string | null;
+}
+
+/**
+ * A configuration source fetching settings from a remote HTTP endpoint.
+ *
+ * The response is parsed by the file configuration source registered for the
+ * format, which defaults to the extension of the URL path if a source is
+ * registered for it and JSON otherwise. Failed requests are retried with an
+ * exponential backoff and the entity tag of the last response is sent along
+ * so unchanged settings are not transferred again. Every request must be
+ * completed within the timeout. If a cache file is given the last
+ * successfully fetched content is stored there and used as a fallback when
+ * the endpoint is unreachable or responds with content that can't be parsed.
+ */
+declare class HttpConfigurationSource implements ConfigurationSourceInterface {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @param url URL to fetch settings from.
+     * @param options Configuration source options.
+     */
+    public constructor(url: string, options?: HttpConfigurationSourceOptions);
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @return Configuration settings.
+     */
+    public load(): Promise<{[key: string]: any}>;
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @param keyPath Key path of the value.
+     * @return Description of the origin of the value.
+     */
+    public describe(keyPath: string): string;
+}
+
+/**
+ * Base class for all errors raised by the configuration component.
+ */
+declare class ConfigurationError extends Error {
+    /**
+     * Create a new configuration error instance.
+     *
+     * @param message Error message.
+     */
+    public constructor(message: string);
+}
+
+/**
+ * Raised when a placeholder in a configuration value can not be resolved.
+ */
+declare class ConfigurationReferenceError extends ConfigurationError {
+    /**
+     * Key paths followed up to the offending reference.
+     */
+    public readonly chain: Array<string>;
+
+    /**
+     * Create a new reference error instance.
+     *
+     * @param message Error message.
+     * @param chain Key paths followed up to the offending reference.
+     */
+    public constructor(message: string, chain: Array<string>);
+}
+
+/**
+ * Raised when a configuration value can not be converted into the requested type.
+ */
+declare class ConfigurationTypeError extends ConfigurationError {
+    /**
+     * Key path of the value.
+     */
+    public readonly keyPath: string;
+
+    /**
+     * Requested type.
+     */
+    public readonly type: string;
+
+    /**
+     * Create a new type error instance.
+     *
+     * @param keyPath Key path of the value.
+     * @param type Requested type.
+     * @param value Value that could not be converted.
+     */
+    public constructor(keyPath: string, type: string, value: any);
+}
+
+/**
+ * A single violation of a configuration schema.
+ */
+declare interface SchemaViolation {
+    /**
+     * Key path of the offending setting.
+     */
+    keyPath: string;
+
+    /**
+     * Description of the violation.
+     */
+    message: string;
+
+    /**
+     * Description of the configuration source that supplied the setting.
+     */
+    source: string | null;
+}
+
+/**
+ * Raised when a configuration does not conform to its schema.
+ *
+ * All violations are collected so they can be reported at once.
+ */
+declare class ConfigurationValidationError extends ConfigurationError {
+    /**
+     * Schema violations.
+     */
+    public readonly violations: Array<SchemaViolation>;
+
+    /**
+     * Create a new validation error instance.
+     *
+     * @param violations Schema violations.
+     */
+    public constructor(violations: Array<SchemaViolation>);
+}
+
+/**
+ * Raised when a configuration source is unable to parse its contents.
+ */
+declare class ConfigurationParseError extends ConfigurationError {
     /**
-     * Assign a value to a key path.
-     *
-     * After this operation the value will be available at the given key path.
-     *
-     * @param keyPath Key path to assign a value to.
-     * @param value Value to assign to the key path.
+     * File that failed to parse.
      */
-    set(keyPath: string, value: any): void;
+    public readonly file: string;
 
     /**
-     * Determine if the key path exists in the configuration.
-     *
-     * @param keyPath Key path to check for.
-     * @return True if the key path exists in the configuration.
+     * Line where the error occurred.
      */
-    has(keyPath: string): boolean;
+    public readonly line: number | null;
 
     /**
-     * Retrieve the value at the given key path.
-     *
-     * @param keyPath Key path to retrieve value from.
-     * @param defaultValue Value to return if key path doesn't exist.
-     * @return The value at the key path or default value.
+     * Column where the error occurred.
      */
-    get<T = any>(keyPaht: string, defaultValue?: T): T;
+    public readonly column: number | null;
 
     /**
-     * Retrieves all settings in the configuration instance.
+     * Create a new parse error instance.
      *
-     * @return All settings.
+     * @param message Error message.
+     * @param file File that failed to parse.
+     * @param line Line where the error occurred.
+     * @param column Column where the error occurred.
      */
-    all(): {[key: string]: any};
+    public constructor(message: string, file: string, line?: number | null, column?: number | null);
+}
 
+/**
+ * Options for a configuration source added to a configuration builder.
+ */
+declare interface ConfigurationSourceOptions {
     /**
-     * Remove key path from the configuration.
-     *
-     * If the key path does not exist no operation is performed.
-     *
-     * @param keyPath Key path to be removed.
+     * Key path to merge in the configuration from configuration source into.
      */
-    remove(keyPath: string): void;
+    keyPath?: string | null;
 
     /**
-     * Removes all configuration settings effectively leaving it empty.
+     * Whether to skip the configuration source if its file is missing.
      */
-    clear(): void;
+    optional?: boolean;
 
     /**
-     * Produce a new configuration instance by merging the given configuration
-     * with this instance.
+     * Predicate deciding if the configuration source is used.
      *
-     * @param configuration Configuration instance to merge with.
-     * @param keyPath Key path to merge in the new instance at.
-     * @param strategy Merge strategy to use when merging arrays.
-     * @return Merged configuration instance.
+     * @param configuration Configuration built from previously added sources.
+     * @return True if the configuration source should be used.
      */
-    merge(
-        configuration: ConfigurationInterface,
-        keyPath?: string,
-        strategy?: MergeStrategy
-    ): ConfigurationInterface;
+    when?: ((configuration: ConfigurationInterface) => boolean | Promise<boolean>) | null;
 }
 
 /**
- * A configuration instance represents the frontend of a configuration.
- * It provides operations to easily access, alter or extend the configuration.
+ * Options for a configuration watcher.
  */
-declare class Configuration implements ConfigurationInterface {
+declare interface ConfigurationWatcherOptions {
     /**
-     * Create a new configuration instance using the given settings.
+     * Milliseconds to wait for more changes before rebuilding.
+     */
+    debounce?: number;
+}
+
+/**
+ * A configuration watcher keeps a configuration up to date with the files it
+ * was built from.
+ *
+ * Changes to the files are debounced before the configuration is rebuilt. If
+ * the rebuilt configuration differs a "change" event is emitted with the new
+ * configuration, the key paths that changed and a diff describing the
+ * changes. If the rebuild fails the last good configuration is kept and an
+ * "error" event is emitted if anyone is listening for it. Errors thrown by
+ * "change" listeners are reported the same way.
+ *
+ * Subscriptions made through "onChange" on the current configuration are
+ * handed over to every rebuilt configuration, so they keep being notified
+ * of changed values across reloads. Settings marked as sensitive on the
+ * current configuration stay sensitive in the rebuilt one as well.
+ *
+ * Files mounted from a Kubernetes ConfigMap or Secret are replaced by
+ * swapping the "..data" symlink of their directory, which is picked up as a
+ * change of every watched file in that directory.
+ */
+declare class ConfigurationWatcher {
+    /**
+     * The most recently built configuration.
+     */
+    public readonly configuration: ConfigurationInterface;
+
+    /**
+     * Create a new configuration watcher instance.
      *
-     * @param settings Initial configuration settings.
+     * @param build Function building a new configuration.
+     * @param configuration Current configuration.
+     * @param options Watcher options.
      */
-    public constructor(settings?: {[key: string]: any});
+    public constructor(
+        build: () => Promise<ConfigurationInterface>,
+        configuration: ConfigurationInterface,
+        options?: ConfigurationWatcherOptions
+    );
 
     /**
-     * Assign a value to a key path.
+     * Start watching the given files and directories.
      *
-     * After this operation the value will be available at the given key path.
+     * Files are watched through their directory so files that do not exist
+     * yet or are replaced rather than modified are picked up as well. Paths
+     * in directories that do not exist are skipped. If watching fails for
+     * any other reason the watcher is closed.
      *
-     * @param keyPath Key path to assign a value to.
-     * @param value Value to assign to the key path.
+     * @param paths Files and directories to watch.
      */
-    public set(keyPath: string, value: any): void;
+    public watch(paths: Array<string>): Promise<void>;
 
     /**
-     * Determine if the key path exists in the configuration.
+     * Stop watching for changes.
      *
-     * @param keyPath Key path to check for.
-     * @return True if the key path exists in the configuration.
+     * A rebuild in progress is discarded once it is done.
      */
-    public has(keyPath: string): boolean;
+    public close(): void;
 
     /**
-     * Retrieve the value at the given key path.
+     * Listen for configuration changes.
      *
-     * @param keyPath Key path to retrieve value from.
-     * @param defaultValue Value to return if key path doesn't exist.
-     * @return The value at the key path or default value.
+     * @param event Event name.
+     * @param listener Listener receiving the new configuration, the changed key paths and the diff.
+     * @return The same instance for method chaining.
      */
-    public get<T = any>(keyPaht: string, defaultValue?: T): T;
+    public on(
+        event: "change",
+        listener: (configuration: ConfigurationInterface, keyPaths: Array<string>, diff: ConfigurationDiff) => void
+    ): this;
 
     /**
-     * Retrieves all settings in the configuration instance.
+     * Listen for errors while rebuilding the configuration.
      *
-     * @return All settings.
+     * @param event Event name.
+     * @param listener Listener receiving the error.
+     * @return The same instance for method chaining.
      */
-    public all(): {[key: string]: any};
+    public on(event: "error", listener: (error: Error) => void): this;
 
     /**
-     * Remove key path from the configuration.
-     *
-     * If the key path does not exist no operation is performed.
+     * Listen for the next configuration change.
      *
-     * @param keyPath Key path to be removed.
+     * @param event Event name.
+     * @param listener Listener receiving the new configuration, the changed key paths and the diff.
+     * @return The same instance for method chaining.
      */
-    public remove(keyPath: string): void;
+    public once(
+        event: "change",
+        listener: (configuration: ConfigurationInterface, keyPaths: Array<string>, diff: ConfigurationDiff) => void
+    ): this;
 
     /**
-     * Removes all configuration settings effectively leaving it empty.
+     * Listen for the next error while rebuilding the configuration.
+     *
+     * @param event Event name.
+     * @param listener Listener receiving the error.
+     * @return The same instance for method chaining.
      */
-    public clear(): void;
+    public once(event: "error", listener: (error: Error) => void): this;
 
     /**
-     * Produce a new configuration instance by merging the given configuration
-     * with this instance.
+     * Stop listening for an event.
      *
-     * @param configuration Configuration instance to merge with.
-     * @param keyPath Key path to merge in the new instance at.
-     * @param strategy Merge strategy to use when merging arrays.
-     * @return Merged configuration instance.
+     * @param event Event name.
+     * @param listener Previously added listener.
+     * @return The same instance for method chaining.
      */
-    public merge(
-        configuration: ConfigurationInterface,
-        keyPath?: string,
-        strategy?: MergeStrategy
-    ): ConfigurationInterface;
+    public off(event: "change" | "error", listener: (...values: Array<any>) => void): this;
 }
 
 /**
- * An interface representing a configuration source.
- *
- * Configuration sources are used to construct a final configuration instance.
+ * Options for profile configuration sources added to a configuration builder.
  */
-declare interface ConfigurationSourceInterface {
+declare interface ProfileOptions {
     /**
-     * Provide the configuration source settings.
-     *
-     * @return Configuration settings.
+     * Active profile.
      */
-    load(): Promise<{[key: string]: any}>;
-}
+    profile?: string | null;
 
-/**
- * A convenient configuration source used to add plain objects to configurations.
- */
-declare class ObjectConfigurationSource implements ConfigurationSourceInterface {
     /**
-     * Create a new configuration source instance.
-     *
-     * @param settings Settings to contribute to the configuration.
+     * Profiles each profile inherits from.
      */
-    public constructor(settings: {[key: string]: any});
+    profiles?: {[profile: string]: string | Array<string>};
 
     /**
-     * Provide the configuration source settings.
-     *
-     * @return Configuration settings.
+     * Whether to add the local override file.
      */
-    public load(): Promise<{[key: string]: any}>;
-}
+    local?: boolean;
 
-/**
- * This abstract class provides a convenient base to extend so you only have to
- * worry about the parsing of the configuration file and not the loading.
- */
-declare abstract class AbstractFileConfigurationSource {
     /**
-     * Create a new file configuration instance.
-     *
-     * @param file Configuration file to load.
+     * Key path to merge in the configuration into.
      */
-    public constructor(file: string);
+    keyPath?: string | null;
 
     /**
-     * Reads the entire file and returns the content.
-     *
-     * @return Raw contents of the file.
+     * Registry used to create file configuration sources.
      */
-    protected readFile(): Promise<string>;
+    registry?: FileConfigurationSourceRegistry;
 }
 
 /**
- * A JSON file configuration source.
+ * Options for interpolation of configuration values.
  */
-declare class JsonConfigurationSource extends AbstractFileConfigurationSource implements ConfigurationSourceInterface {
+declare interface InterpolationOptions {
     /**
-     * Provide the configuration source settings.
-     *
-     * @return Configuration settings.
+     * Environment variables placeholders may refer to.
      */
-    public load(): Promise<{[key: string]: any}>;
+    environment?: {[name: string]: string | undefined};
 }
 
 /**
@@ -232,19 +2292,125 @@ declare interface ConfigurationBuilderInterface {
      * will be merged in at the given key path. If it doen't exist it will
      * be created.
      *
+     * An optional configuration source is skipped if its file does not exist
+     * and a configuration source with a predicate is only used if the
+     * predicate holds for the configuration built from the previous sources.
+     *
      * @param configurationSource Configuration source to be used in configuration.
      * @param keyPath Key path to merge in the configuration from configuration source into.
+     * @param options Configuration source options.
+     * @return The same instance for method chaining.
+     */
+    addConfigurationSource(
+        configurationSource: ConfigurationSourceInterface,
+        keyPath?: string | null,
+        options?: ConfigurationSourceOptions
+    ): this;
+
+    /**
+     * Add configuration source to be merged into final configuration.
+     *
+     * @param configurationSource Configuration source to be used in configuration.
+     * @param options Configuration source options.
+     * @return The same instance for method chaining.
+     */
+    addConfigurationSource(configurationSource: ConfigurationSourceInterface, options: ConfigurationSourceOptions): this;
+
+    /**
+     * Add the layered configuration sources of a profile.
+     *
+     * Given a base file like "config.json" and the profile "production" the
+     * files "config.json", "config.production.json" and "config.local.json"
+     * are added in that order. Only the base file is required. A profile may
+     * inherit from other profiles, in which case their files are added before
+     * the file of the profile itself. The local override file is only added
+     * once, even if "local" is one of the profiles.
+     *
+     * @param file Base configuration file.
+     * @param options Profile options.
+     * @return The same instance for method chaining.
+     */
+    addProfileConfigurationSources(file: string, options?: ProfileOptions): this;
+
+    /**
+     * Mark the settings at the given key path as sensitive in every built configuration.
+     *
+     * The key path may contain wildcards like when marking settings of a
+     * configuration as sensitive, e.g. "*.password". Values interpolated from
+     * sensitive settings are sensitive as well.
+     *
+     * @param keyPath Key path or pattern of sensitive settings.
      * @return The same instance for method chaining.
      */
-    addConfigurationSource(configurationSource: ConfigurationSourceInterface, keyPath?: string): this;
+    markSensitive(keyPath: string): this;
+
+    /**
+     * Set a JSON Schema the built configuration must conform to.
+     *
+     * Defaults in the schema are assigned to missing settings and all schema
+     * violations are reported at once when building. Keywords outside the
+     * supported subset of JSON Schema, like "oneOf" or "$ref", make building
+     * fail rather than being ignored.
+     *
+     * @param schema JSON Schema describing the configuration settings.
+     * @return The same instance for method chaining.
+     */
+    setSchema(schema: {[key: string]: any} | null): this;
+
+    /**
+     * Resolve placeholders in string values once all sources are merged.
+     *
+     * A placeholder like "${database.host}" refers to another setting and
+     * "${env:HOME}" to an environment variable. A default value may be given as
+     * in "${env:PORT:-8080}" and "$${" produces a literal "${".
+     *
+     * @param options Interpolation options.
+     * @return The same instance for method chaining.
+     */
+    enableInterpolation(options?: InterpolationOptions): this;
+
+    /**
+     * Freeze built configurations so they can't be changed.
+     *
+     * @return The same instance for method chaining.
+     */
+    enableFreezing(): this;
+
+    /**
+     * Use the given merge strategy for arrays at the given key path.
+     *
+     * The strategy takes precedence over the one given when building. A "*"
+     * segment in the key path matches any key or index, as in
+     * "services.*.plugins".
+     *
+     * @param keyPath Key path of the arrays.
+     * @param strategy Merge strategy to use when merging the arrays.
+     * @return The same instance for method chaining.
+     */
+    setMergeStrategy(keyPath: string, strategy: MergeStrategy): this;
 
     /**
      * Use all provided configuration sources to build a single configuration instance.
      *
+     * The configuration sources are loaded in the order they were added and
+     * each one is given the configuration built from the previous ones.
+     * A source may remove an inherited setting by setting it to "$unset" or
+     * replace it without merging using a {"$replace": value} directive.
+     *
      * @param mergeStrategy Merge strategy to use when merging arrays.
      * @return Resulting configuration instance.
      */
     build(mergeStrategy?: MergeStrategy): Promise<ConfigurationInterface>;
+
+    /**
+     * Build a configuration instance and keep rebuilding it whenever one of
+     * the files behind the file configuration sources changes.
+     *
+     * @param mergeStrategy Merge strategy to use when merging arrays.
+     * @param options Watcher options.
+     * @return Watcher holding the most recently built configuration.
+     */
+    watch(mergeStrategy?: MergeStrategy | null, options?: ConfigurationWatcherOptions): Promise<ConfigurationWatcher>;
 }
 
 /**
@@ -270,37 +2436,212 @@ declare class ConfigurationBuilder implements ConfigurationBuilderInterface {
      * will be merged in at the given key path. If it doen't exist it will
      * be created.
      *
+     * An optional configuration source is skipped if its file does not exist
+     * and a configuration source with a predicate is only used if the
+     * predicate holds for the configuration built from the previous sources.
+     *
      * @param configurationSource Configuration source to be used in configuration.
      * @param keyPath Key path to merge in the configuration from configuration source into.
+     * @param options Configuration source options.
+     * @return The same instance for method chaining.
+     */
+    public addConfigurationSource(
+        configurationSource: ConfigurationSourceInterface,
+        keyPath?: string | null,
+        options?: ConfigurationSourceOptions
+    ): this;
+
+    /**
+     * Add configuration source to be merged into final configuration.
+     *
+     * @param configurationSource Configuration source to be used in configuration.
+     * @param options Configuration source options.
+     * @return The same instance for method chaining.
+     */
+    public addConfigurationSource(configurationSource: ConfigurationSourceInterface, options: ConfigurationSourceOptions): this;
+
+    /**
+     * Add the layered configuration sources of a profile.
+     *
+     * Given a base file like "config.json" and the profile "production" the
+     * files "config.json", "config.production.json" and "config.local.json"
+     * are added in that order. Only the base file is required. A profile may
+     * inherit from other profiles, in which case their files are added before
+     * the file of the profile itself. The local override file is only added
+     * once, even if "local" is one of the profiles.
+     *
+     * @param file Base configuration file.
+     * @param options Profile options.
+     * @return The same instance for method chaining.
+     */
+    public addProfileConfigurationSources(file: string, options?: ProfileOptions): this;
+
+    /**
+     * Mark the settings at the given key path as sensitive in every built configuration.
+     *
+     * The key path may contain wildcards like when marking settings of a
+     * configuration as sensitive, e.g. "*.password". Values interpolated from
+     * sensitive settings are sensitive as well.
+     *
+     * @param keyPath Key path or pattern of sensitive settings.
+     * @return The same instance for method chaining.
+     */
+    public markSensitive(keyPath: string): this;
+
+    /**
+     * Set a JSON Schema the built configuration must conform to.
+     *
+     * Defaults in the schema are assigned to missing settings and all schema
+     * violations are reported at once when building. Keywords outside the
+     * supported subset of JSON Schema, like "oneOf" or "$ref", make building
+     * fail rather than being ignored.
+     *
+     * @param schema JSON Schema describing the configuration settings.
+     * @return The same instance for method chaining.
+     */
+    public setSchema(schema: {[key: string]: any} | null): this;
+
+    /**
+     * Resolve placeholders in string values once all sources are merged.
+     *
+     * A placeholder like "${database.host}" refers to another setting and
+     * "${env:HOME}" to an environment variable. A default value may be given as
+     * in "${env:PORT:-8080}" and "$${" produces a literal "${".
+     *
+     * @param options Interpolation options.
+     * @return The same instance for method chaining.
+     */
+    public enableInterpolation(options?: InterpolationOptions): this;
+
+    /**
+     * Freeze built configurations so they can't be changed.
+     *
+     * @return The same instance for method chaining.
+     */
+    public enableFreezing(): this;
+
+    /**
+     * Use the given merge strategy for arrays at the given key path.
+     *
+     * The strategy takes precedence over the one given when building. A "*"
+     * segment in the key path matches any key or index, as in
+     * "services.*.plugins".
+     *
+     * @param keyPath Key path of the arrays.
+     * @param strategy Merge strategy to use when merging the arrays.
      * @return The same instance for method chaining.
      */
-    public addConfigurationSource(configurationSource: ConfigurationSourceInterface, keyPath?: string): this;
+    public setMergeStrategy(keyPath: string, strategy: MergeStrategy): this;
 
     /**
      * Use all provided configuration sources to build a single configuration instance.
      *
+     * The configuration sources are loaded in the order they were added and
+     * each one is given the configuration built from the previous ones.
+     * A source may remove an inherited setting by setting it to "$unset" or
+     * replace it without merging using a {"$replace": value} directive.
+     *
      * @param mergeStrategy Merge strategy to use when merging arrays.
      * @return Resulting configuration instance.
      */
     public build(mergeStrategy?: MergeStrategy): Promise<ConfigurationInterface>;
+
+    /**
+     * Build a configuration instance and keep rebuilding it whenever one of
+     * the files behind the file configuration sources changes.
+     *
+     * @param mergeStrategy Merge strategy to use when merging arrays.
+     * @param options Watcher options.
+     * @return Watcher holding the most recently built configuration.
+     */
+    public watch(mergeStrategy?: MergeStrategy | null, options?: ConfigurationWatcherOptions): Promise<ConfigurationWatcher>;
 }
 
 /**
  * Represents a fixed set of merge strategies.
+ *
+ * A merge strategy decides how an array is combined with the array it
+ * overrides.
  */
 declare enum MergeStrategy {
+    /**
+     * Keep the unique elements of both, comparing objects by reference.
+     */
     MERGE_INDEXED = "MERGE_INDEXED",
-    REPLACE_INDEXED = "REPLACE_INDEXED"
+
+    /**
+     * Replace the array.
+     */
+    REPLACE_INDEXED = "REPLACE_INDEXED",
+
+    /**
+     * Add the elements after the existing ones, keeping duplicates.
+     */
+    APPEND = "APPEND",
+
+    /**
+     * Add the elements before the existing ones, keeping duplicates.
+     */
+    PREPEND = "PREPEND",
+
+    /**
+     * Merge objects with the same "id", or else "name", and append the rest.
+     */
+    MERGE_BY_KEY = "MERGE_BY_KEY",
+
+    /**
+     * Merge the elements at the same index.
+     */
+    DEEP_INDEX = "DEEP_INDEX"
 }
 
 export {
     AbstractFileConfigurationSource,
+    ArgvConfigurationSource,
+    ArgvConfigurationSourceOptions,
     Configuration,
     ConfigurationBuilder,
     ConfigurationBuilderInterface,
+    ConfigurationDiff,
+    ConfigurationDiffEntry,
+    ConfigurationError,
     ConfigurationInterface,
+    ConfigurationParseError,
+    ConfigurationReferenceError,
+    ConfigurationSection,
+    ConfigurationTypeError,
+    ConfigurationValidationError,
+    ConfigurationWatcher,
+    ConfigurationWatcherOptions,
     ConfigurationSourceInterface,
+    ConfigurationSourceOptions,
+    DirectoryConfigurationSource,
+    DiffRenderOptions,
+    DirectoryConfigurationSourceOptions,
+    DotenvConfigurationSource,
+    DotenvConfigurationSourceOptions,
+    EnvironmentConfigurationSource,
+    EnvironmentConfigurationSourceOptions,
+    FileConfigurationSourceConstructor,
+    FileConfigurationSourceRegistry,
+    FileConfigurationSourceRegistryOptions,
+    FormatOptions,
+    FromFlatOptions,
+    HttpConfigurationSource,
+    HttpConfigurationSourceOptions,
+    IniConfigurationSource,
+    InterpolationOptions,
     JsonConfigurationSource,
     MergeStrategy,
-    ObjectConfigurationSource
+    ModuleConfigurationSource,
+    ObjectConfigurationSource,
+    ProfileOptions,
+    SchemaViolation,
+    SecretsDirectoryConfigurationSource,
+    SecretsDirectoryConfigurationSourceOptions,
+    TomlConfigurationSource,
+    ValueExplanation,
+    ValueOrigin,
+    YamlConfigurationSource,
+    YamlConfigurationSourceOptions
 };
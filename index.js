@@ -6,8 +6,27 @@
  */
 
 export { default as AbstractFileConfigurationSource } from "./lib/AbstractFileConfigurationSource.js";
+export { default as ArgvConfigurationSource } from "./lib/ArgvConfigurationSource.js";
 export { default as Configuration } from "./lib/Configuration.js";
 export { default as ConfigurationBuilder } from "./lib/ConfigurationBuilder.js";
+export { default as ConfigurationDiff } from "./lib/ConfigurationDiff.js";
+export { default as ConfigurationError } from "./lib/ConfigurationError.js";
+export { default as ConfigurationParseError } from "./lib/ConfigurationParseError.js";
+export { default as ConfigurationReferenceError } from "./lib/ConfigurationReferenceError.js";
+export { default as ConfigurationSection } from "./lib/ConfigurationSection.js";
+export { default as ConfigurationTypeError } from "./lib/ConfigurationTypeError.js";
+export { default as ConfigurationValidationError } from "./lib/ConfigurationValidationError.js";
+export { default as ConfigurationWatcher } from "./lib/ConfigurationWatcher.js";
+export { default as DirectoryConfigurationSource } from "./lib/DirectoryConfigurationSource.js";
+export { default as DotenvConfigurationSource } from "./lib/DotenvConfigurationSource.js";
+export { default as EnvironmentConfigurationSource } from "./lib/EnvironmentConfigurationSource.js";
+export { default as FileConfigurationSourceRegistry } from "./lib/FileConfigurationSourceRegistry.js";
+export { default as HttpConfigurationSource } from "./lib/HttpConfigurationSource.js";
+export { default as IniConfigurationSource } from "./lib/IniConfigurationSource.js";
 export { default as JsonConfigurationSource } from "./lib/JsonConfigurationSource.js";
 export { default as MergeStrategy } from "./lib/MergeStrategy.js";
+export { default as ModuleConfigurationSource } from "./lib/ModuleConfigurationSource.js";
 export { default as ObjectConfigurationSource } from "./lib/ObjectConfigurationSource.js";
+export { default as SecretsDirectoryConfigurationSource } from "./lib/SecretsDirectoryConfigurationSource.js";
+export { default as TomlConfigurationSource } from "./lib/TomlConfigurationSource.js";
+export { default as YamlConfigurationSource } from "./lib/YamlConfigurationSource.js";
@@ -9,14 +9,37 @@ import { expectAssignable, expectError, expectType } from "tsd";
 
 import {
     AbstractFileConfigurationSource,
+    ArgvConfigurationSource,
     Configuration,
     ConfigurationBuilder,
     ConfigurationBuilderInterface,
+    ConfigurationDiff,
+    ConfigurationDiffEntry,
+    ConfigurationError,
     ConfigurationInterface,
+    ConfigurationParseError,
+    ConfigurationReferenceError,
+    ConfigurationSection,
+    ConfigurationTypeError,
+    ConfigurationValidationError,
+    ConfigurationWatcher,
     ConfigurationSourceInterface,
+    DirectoryConfigurationSource,
+    DotenvConfigurationSource,
+    EnvironmentConfigurationSource,
+    FileConfigurationSourceRegistry,
+    HttpConfigurationSource,
+    IniConfigurationSource,
     JsonConfigurationSource,
     MergeStrategy,
-    ObjectConfigurationSource
+    ModuleConfigurationSource,
+    ObjectConfigurationSource,
+    SchemaViolation,
+    SecretsDirectoryConfigurationSource,
+    TomlConfigurationSource,
+    ValueExplanation,
+    ValueOrigin,
+    YamlConfigurationSource
 } from ".";
 
 /*
@@ -32,6 +55,10 @@ class SomeFileConfigurationSource extends AbstractFileConfigurationSource implem
     public async load(): Promise<{[key: string]: any}> {
         return JSON.parse(await this.readFile());
     }
+
+    public async loadOther(): Promise<{[key: string]: any}> {
+        return JSON.parse(await this.readFile("other.txt"));
+    }
 }
 
 const someFileConfigurationSource = new SomeFileConfigurationSource("config.txt");
@@ -53,6 +80,45 @@ const objectConfigurationSource = new ObjectConfigurationSource({});
 expectAssignable<ConfigurationSourceInterface>(objectConfigurationSource);
 expectType<{[key: string]: any}>(await objectConfigurationSource.load());
 
+/*
+|--------------------------------------------------------------------------
+| EnvironmentConfigurationSource
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the environment configuration source.
+|
+*/
+
+const environmentConfigurationSource = new EnvironmentConfigurationSource("APP_", {
+    environment: {APP_KEY: "value"},
+    separator: "__",
+    coerce: true
+});
+
+expectAssignable<ConfigurationSourceInterface>(environmentConfigurationSource);
+expectAssignable<ConfigurationSourceInterface>(new EnvironmentConfigurationSource());
+expectType<{[key: string]: any}>(await environmentConfigurationSource.load());
+expectType<string>(environmentConfigurationSource.describe("key"));
+
+/*
+|--------------------------------------------------------------------------
+| ArgvConfigurationSource
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the command line argument configuration source.
+|
+*/
+
+const argvConfigurationSource = new ArgvConfigurationSource(["--key=value"], {
+    aliases: {k: "key"},
+    coerce: true
+});
+
+expectAssignable<ConfigurationSourceInterface>(argvConfigurationSource);
+expectAssignable<ConfigurationSourceInterface>(new ArgvConfigurationSource());
+expectType<{[key: string]: any}>(await argvConfigurationSource.load());
+expectType<string>(argvConfigurationSource.describe("key"));
+
 /*
 |--------------------------------------------------------------------------
 | JsonConfigurationSource
@@ -66,6 +132,267 @@ const jsonConfigurationSource = new JsonConfigurationSource("config.json");
 
 expectAssignable<ConfigurationSourceInterface>(jsonConfigurationSource);
 expectType<{[key: string]: any}>(await jsonConfigurationSource.load());
+expectType<{[key: string]: any}>(jsonConfigurationSource.parse("{}"));
+
+/*
+|--------------------------------------------------------------------------
+| YamlConfigurationSource
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the YAML configuration source.
+|
+*/
+
+const yamlConfigurationSource = new YamlConfigurationSource("config.yaml");
+
+expectAssignable<ConfigurationSourceInterface>(yamlConfigurationSource);
+expectType<{[key: string]: any}>(await yamlConfigurationSource.load());
+expectAssignable<ConfigurationSourceInterface>(
+    new YamlConfigurationSource("config.yaml", {mergeStrategy: MergeStrategy.MERGE_INDEXED})
+);
+
+/*
+|--------------------------------------------------------------------------
+| TomlConfigurationSource
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the TOML configuration source.
+|
+*/
+
+const tomlConfigurationSource = new TomlConfigurationSource("config.toml");
+
+expectAssignable<ConfigurationSourceInterface>(tomlConfigurationSource);
+expectType<{[key: string]: any}>(await tomlConfigurationSource.load());
+
+/*
+|--------------------------------------------------------------------------
+| IniConfigurationSource
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the INI configuration source.
+|
+*/
+
+const iniConfigurationSource = new IniConfigurationSource("config.ini");
+
+expectAssignable<ConfigurationSourceInterface>(iniConfigurationSource);
+expectType<{[key: string]: any}>(await iniConfigurationSource.load());
+
+/*
+|--------------------------------------------------------------------------
+| DotenvConfigurationSource
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the dotenv configuration source.
+|
+*/
+
+const dotenvConfigurationSource = new DotenvConfigurationSource(".env", {
+    environment: {KEY: "value"},
+    separator: "__",
+    coerce: true
+});
+
+expectAssignable<ConfigurationSourceInterface>(dotenvConfigurationSource);
+expectAssignable<ConfigurationSourceInterface>(new DotenvConfigurationSource(".env"));
+expectType<{[key: string]: any}>(await dotenvConfigurationSource.load());
+
+/*
+|--------------------------------------------------------------------------
+| ModuleConfigurationSource
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the module configuration source.
+|
+*/
+
+const moduleConfigurationSource = new ModuleConfigurationSource("config.js");
+
+expectAssignable<ConfigurationSourceInterface>(moduleConfigurationSource);
+expectType<{[key: string]: any}>(await moduleConfigurationSource.load());
+expectType<{[key: string]: any}>(await moduleConfigurationSource.load(new Configuration()));
+
+/*
+|--------------------------------------------------------------------------
+| SecretsDirectoryConfigurationSource
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the secrets directory configuration source.
+|
+*/
+
+const secretsDirectoryConfigurationSource = new SecretsDirectoryConfigurationSource("/run/secrets", {separator: "__"});
+
+expectAssignable<ConfigurationSourceInterface>(secretsDirectoryConfigurationSource);
+expectAssignable<ConfigurationSourceInterface>(new SecretsDirectoryConfigurationSource("/run/secrets"));
+expectType<Array<string>>(secretsDirectoryConfigurationSource.getWatchPaths());
+expectType<{[key: string]: any}>(await secretsDirectoryConfigurationSource.load());
+expectType<boolean>(secretsDirectoryConfigurationSource.isSensitive());
+
+/*
+|--------------------------------------------------------------------------
+| FileConfigurationSourceRegistry
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the file configuration source registry.
+|
+*/
+
+const fileConfigurationSourceRegistry = new FileConfigurationSourceRegistry();
+
+expectType<FileConfigurationSourceRegistry>(fileConfigurationSourceRegistry.register(".json5", JsonConfigurationSource));
+expectType<boolean>(fileConfigurationSourceRegistry.has("config.json"));
+expectType<ConfigurationSourceInterface>(fileConfigurationSourceRegistry.create("config.json"));
+expectType<ConfigurationSourceInterface>(fileConfigurationSourceRegistry.create("config", ".json"));
+expectError(fileConfigurationSourceRegistry.register(".json5", ObjectConfigurationSource));
+expectType<FileConfigurationSourceRegistry>(new FileConfigurationSourceRegistry({modules: false}));
+
+/*
+|--------------------------------------------------------------------------
+| DirectoryConfigurationSource
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the directory configuration source.
+|
+*/
+
+const directoryConfigurationSource = new DirectoryConfigurationSource("conf.d/*.json", {
+    registry: fileConfigurationSourceRegistry,
+    mount: true,
+    mergeStrategy: MergeStrategy.REPLACE_INDEXED
+});
+
+expectAssignable<ConfigurationSourceInterface>(directoryConfigurationSource);
+expectAssignable<ConfigurationSourceInterface>(new DirectoryConfigurationSource("conf.d"));
+expectAssignable<ConfigurationSourceInterface>(new DirectoryConfigurationSource("conf.d", {modules: true}));
+expectType<{[key: string]: any}>(await directoryConfigurationSource.load());
+expectType<Array<string>>(await directoryConfigurationSource.getFiles());
+expectType<Array<string>>(directoryConfigurationSource.getWatchPaths());
+
+/*
+|--------------------------------------------------------------------------
+| HttpConfigurationSource
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the HTTP configuration source.
+|
+*/
+
+const httpConfigurationSource = new HttpConfigurationSource("http://localhost/config.json", {
+    format: ".json",
+    registry: fileConfigurationSourceRegistry,
+    headers: {Authorization: "Bearer token"},
+    timeout: 1000,
+    retries: 3,
+    retryDelay: 100,
+    cacheFile: "config.cache.json"
+});
+
+expectAssignable<ConfigurationSourceInterface>(httpConfigurationSource);
+expectAssignable<ConfigurationSourceInterface>(new HttpConfigurationSource("http://localhost/config.json"));
+expectType<{[key: string]: any}>(await httpConfigurationSource.load());
+expectType<string>(httpConfigurationSource.describe("key"));
+
+/*
+|--------------------------------------------------------------------------
+| ConfigurationParseError
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the configuration parse error.
+|
+*/
+
+const configurationParseError = new ConfigurationParseError("message", "config.yaml", 1, 2);
+
+expectAssignable<ConfigurationError>(configurationParseError);
+expectAssignable<Error>(new ConfigurationError("message"));
+expectType<string>(configurationParseError.file);
+expectType<number | null>(configurationParseError.line);
+expectType<number | null>(configurationParseError.column);
+
+/*
+|--------------------------------------------------------------------------
+| ConfigurationReferenceError
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the configuration reference error.
+|
+*/
+
+const configurationReferenceError = new ConfigurationReferenceError("Circular reference \"a\"", ["a", "b", "a"]);
+
+expectAssignable<ConfigurationError>(configurationReferenceError);
+expectType<Array<string>>(configurationReferenceError.chain);
+
+/*
+|--------------------------------------------------------------------------
+| ConfigurationTypeError
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the configuration type error.
+|
+*/
+
+const configurationTypeError = new ConfigurationTypeError("server.port", "a number", "eighty");
+
+expectAssignable<ConfigurationError>(configurationTypeError);
+expectType<string>(configurationTypeError.keyPath);
+expectType<string>(configurationTypeError.type);
+
+/*
+|--------------------------------------------------------------------------
+| ConfigurationValidationError
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the configuration validation error.
+|
+*/
+
+const configurationValidationError = new ConfigurationValidationError([
+    {keyPath: "server.port", message: "must be of type integer", source: "config.json"},
+    {keyPath: "server.host", message: "is required", source: null}
+]);
+
+expectAssignable<ConfigurationError>(configurationValidationError);
+expectType<Array<SchemaViolation>>(configurationValidationError.violations);
+
+/*
+|--------------------------------------------------------------------------
+| ConfigurationDiff
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the configuration diff.
+|
+*/
+
+const configurationDiff = new Configuration().diff(new Configuration());
+
+expectType<ConfigurationDiff>(configurationDiff);
+expectType<Array<ConfigurationDiffEntry>>(configurationDiff.changed);
+expectType<boolean>(configurationDiff.isEmpty());
+expectType<string>(configurationDiff.render({colors: true}));
+expectType<string>(new ConfigurationDiff([{type: "added", keyPath: "key", oldValue: undefined, newValue: 1}]).toString());
+expectType<string>(new ConfigurationDiff([{type: "added", keyPath: "key", oldValue: undefined, newValue: 1, redactedOldValue: undefined, redactedNewValue: "[REDACTED]"}]).render());
+expectType<Array<ConfigurationDiffEntry>>(configurationDiff.toJSON());
+
+/*
+|--------------------------------------------------------------------------
+| ConfigurationSection
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the configuration section.
+|
+*/
+
+const configurationSection = new ConfigurationSection(new Configuration(), "key");
+
+expectAssignable<ConfigurationInterface>(configurationSection);
+expectType<ConfigurationSection>(configurationSection.section("key"));
+expectType<string>(configurationSection.get("key"));
+expectType<number>(configurationSection.getNumber("key", 1));
+expectType<ConfigurationSection>(configurationSection.freeze());
+expectType<ConfigurationSection>(configurationSection.markSensitive("password"));
 
 /*
 |--------------------------------------------------------------------------
@@ -81,8 +408,56 @@ const configurationBuilder = new ConfigurationBuilder();
 expectAssignable<ConfigurationBuilderInterface>(configurationBuilder);
 expectType<ConfigurationBuilder>(configurationBuilder.addConfigurationSource(new ObjectConfigurationSource({})));
 expectType<ConfigurationBuilder>(configurationBuilder.addConfigurationSource(new ObjectConfigurationSource({}), "keyPath"));
+expectType<ConfigurationBuilder>(configurationBuilder.addConfigurationSource(new ObjectConfigurationSource({}), "keyPath", {
+    optional: true
+}));
+expectType<ConfigurationBuilder>(configurationBuilder.addConfigurationSource(new ObjectConfigurationSource({}), {
+    keyPath: "keyPath",
+    optional: true,
+    when: (configuration: ConfigurationInterface) => configuration.has("key")
+}));
+expectType<ConfigurationBuilder>(configurationBuilder.addConfigurationSource(new ObjectConfigurationSource({}), {
+    when: async () => true
+}));
+expectType<ConfigurationBuilder>(configurationBuilder.addProfileConfigurationSources("config.json"));
+expectType<ConfigurationBuilder>(configurationBuilder.addProfileConfigurationSources("config.json", {
+    profile: "staging",
+    profiles: {staging: "production", production: ["base"]},
+    local: false,
+    keyPath: "keyPath",
+    registry: new FileConfigurationSourceRegistry()
+}));
+expectType<ConfigurationBuilder>(configurationBuilder.setSchema({type: "object", required: ["key"]}));
+expectType<ConfigurationBuilder>(configurationBuilder.setSchema(null));
+expectType<ConfigurationBuilder>(configurationBuilder.markSensitive("*.password"));
+expectType<ConfigurationBuilder>(configurationBuilder.enableInterpolation());
+expectType<ConfigurationBuilder>(configurationBuilder.enableFreezing());
+expectType<ConfigurationBuilder>(configurationBuilder.setMergeStrategy("routes", MergeStrategy.MERGE_BY_KEY));
+expectType<ConfigurationBuilder>(configurationBuilder.enableInterpolation({environment: {HOME: "/home/user"}}));
 expectType<ConfigurationInterface>(await configurationBuilder.build());
 expectType<ConfigurationInterface>(await configurationBuilder.build(MergeStrategy.MERGE_INDEXED));
+expectType<ConfigurationWatcher>(await configurationBuilder.watch());
+expectType<ConfigurationWatcher>(await configurationBuilder.watch(MergeStrategy.MERGE_INDEXED, {debounce: 50}));
+
+/*
+|--------------------------------------------------------------------------
+| ConfigurationWatcher
+|--------------------------------------------------------------------------
+|
+| These tests ensures the API of the configuration watcher.
+|
+*/
+
+const configurationWatcher = await configurationBuilder.watch();
+
+expectType<ConfigurationInterface>(configurationWatcher.configuration);
+expectType<ConfigurationWatcher>(configurationWatcher.on("change", (configuration, keyPaths, diff) => {
+    expectType<ConfigurationInterface>(configuration);
+    expectType<Array<string>>(keyPaths);
+    expectType<ConfigurationDiff>(diff);
+}));
+expectType<ConfigurationWatcher>(configurationWatcher.once("error", error => expectType<Error>(error)));
+expectType<void>(configurationWatcher.close());
 
 /*
 |--------------------------------------------------------------------------
@@ -105,9 +480,55 @@ expectError(() => {
     const value: string = configuration.get("key", 5);
 });
 const value: string = configuration.get("key", "value");
+expectType<{[keyPath: string]: any}>(configuration.getAll("services.*.url"));
+expectType<{[keyPath: string]: string}>(configuration.getAll<string>("services.*.url"));
+expectType<string>(configuration.require("key"));
+expectType<number>(configuration.require<number>("key"));
+expectType<string | null>(configuration.getString("key"));
+expectType<string>(configuration.getString("key", "value"));
+expectType<number | null>(configuration.getNumber("key"));
+expectType<number>(configuration.getNumber("key", 1));
+expectType<boolean | null>(configuration.getBoolean("key"));
+expectType<boolean>(configuration.getBoolean("key", true));
+expectType<Array<any> | null>(configuration.getArray("key"));
+expectType<Array<string>>(configuration.getArray<string>("key", []));
+expectType<number | null>(configuration.getDuration("key"));
+expectType<number>(configuration.getDuration("key", 1000));
+expectType<number | null>(configuration.getBytes("key"));
+expectType<number>(configuration.getBytes("key", 1024));
+expectType<URL | null>(configuration.getUrl("key"));
+expectType<URL>(configuration.getUrl("key", new URL("http://localhost")));
 expectType<{[key: string]: any}>(configuration.all());
 expectType<void>(configuration.remove("key"));
 expectType<void>(configuration.clear());
 expectType<ConfigurationInterface>(configuration.merge(new Configuration()));
 expectType<ConfigurationInterface>(configuration.merge(new Configuration(), "key"));
 expectType<ConfigurationInterface>(configuration.merge(new Configuration(), "key", MergeStrategy.MERGE_INDEXED));
+expectType<ConfigurationInterface>(configuration.merge(new Configuration(), null, MergeStrategy.APPEND, {"services.*.plugins": MergeStrategy.MERGE_BY_KEY}));
+expectType<() => void>(configuration.onChange("key", (newValue, oldValue) => undefined));
+configuration.onChange<number>("key", (newValue, oldValue) => {
+    expectType<number | undefined>(newValue);
+    expectType<number | undefined>(oldValue);
+});
+expectType<ConfigurationSection>(configuration.section("key"));
+expectType<Configuration>(configuration.freeze());
+expectType<boolean>(configuration.isFrozen());
+expectType<Configuration>(configuration.markSensitive("*.password"));
+expectType<Configuration>(configuration.takeOverListeners(new Configuration()));
+expectType<boolean>(configuration.isSensitive("database.password"));
+expectType<{[key: string]: any}>(configuration.redacted());
+expectType<{[key: string]: any}>(configuration.toJSON());
+expectType<string>(configuration.toFormat("env", {prefix: "APP_", separator: "__"}));
+expectType<string>(configuration.toFormat("json", {flatten: true, indent: 2, redact: true}));
+expectError(configuration.toFormat("xml"));
+expectType<Configuration>(Configuration.fromFlat({"database.host": "localhost"}));
+expectType<Configuration>(Configuration.fromFlat({database__host: "localhost"}, {separator: "__"}));
+expectType<Configuration>(Configuration.fromFlat({servers__0__host: "a"}, {separator: "__", arrayIndices: true}));
+expectType<Configuration>(new Configuration({}, new Map(), new Set(["password"])));
+expectType<ValueExplanation>(configuration.explain("key"));
+expectType<number | null>(configuration.explain<number>("key").value);
+expectType<string | null>(configuration.explain("key").source);
+expectType<Array<ValueOrigin>>(configuration.explain("key").overridden);
+expectAssignable<ConfigurationInterface>(new Configuration({key: "value"}, new Map([
+    ["key", [{value: "value", source: "config.json"}]]
+])));
@@ -7,6 +7,8 @@
 
 import { readFile } from "fs/promises";
 
+import ConfigurationError from "./ConfigurationError.js";
+
 /**
  * This abstract class provides a convenient base to extend so you only have to
  * worry about the parsing of the configuration file and not the loading.
@@ -30,14 +32,62 @@ class AbstractFileConfigurationSource {
         this.file = file;
     }
 
+    /**
+     * Provide the configuration source settings.
+     *
+     * The file is read and its content is parsed into settings.
+     *
+     * @public
+     * @async
+     * @return {Promise.<Object.<string, *>>} Configuration settings.
+     */
+    async load() {
+        return this.parse((await this.readFile()).toString());
+    }
+
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @public
+     * @abstract
+     * @param {string} content Content to parse.
+     * @return {Object.<string, *>} Configuration settings.
+     * @throws {ConfigurationError} If the configuration source does not support parsing.
+     */
+    parse(content) {
+        throw new ConfigurationError(`${this.constructor.name} does not support parsing content`);
+    }
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @public
+     * @param {string} keyPath Key path of the value.
+     * @return {string} Description of the origin of the value.
+     */
+    describe(keyPath) {
+        return this.file;
+    }
+
+    /**
+     * Provide the files and directories the settings are loaded from.
+     *
+     * @public
+     * @return {Array.<string>} Configuration file.
+     */
+    getWatchPaths() {
+        return [this.file];
+    }
+
     /**
      * Reads the entire file and returns the content.
      *
      * @protected
+     * @param {string} [file=this.file] File to read.
      * @return {Promise.<string>} Raw contents of the file.
      */
-    readFile() {
-        return readFile(this.file);
+    readFile(file = this.file) {
+        return readFile(file);
     }
 }
 
@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import Configuration from "./Configuration.js";
+import coerceValue from "./coerceValue.js";
+import formatKeyPath from "./formatKeyPath.js";
+import parseKeyPath from "./parseKeyPath.js";
+
+/**
+ * A configuration source providing settings from command line arguments.
+ *
+ * Options are mapped to key paths, e.g. "--database.host=localhost" or
+ * "--database.host localhost" sets "database.host". The value may be a
+ * negative number as in "--offset -5". Options without a value are set to
+ * true and negated options like "--no-cache" are set to false. Repeated
+ * options are collected in an array and everything after a "--" terminator
+ * is ignored, as are positional arguments.
+ *
+ * Option names are taken as key paths, so brackets and backslashes keep their
+ * meaning, e.g. "--servers[0].host" sets the host of the first server. An
+ * option that is not a valid key path makes loading fail.
+ *
+ * @implements {ConfigurationSourceInterface}
+ */
+class ArgvConfigurationSource {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @public
+     * @param {Array.<string>} [argv=process.argv.slice(2)] Command line arguments to read from.
+     * @param {Object} [options={}] Configuration source options.
+     * @param {Object.<string, string>} [options.aliases={}] Key paths for option aliases, e.g. {p: "server.port"}.
+     * @param {boolean} [options.coerce=false] Whether to coerce values into typed values.
+     */
+    constructor(argv = process.argv.slice(2), options = {}) {
+        /**
+         * Command line arguments to read from.
+         *
+         * @private
+         * @type {Array.<string>}
+         */
+        this.argv = argv;
+
+        /**
+         * Key paths for option aliases.
+         *
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.aliases = options.aliases || {};
+
+        /**
+         * Whether to coerce values into typed values.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.coerce = Boolean(options.coerce);
+
+        /**
+         * Options as given on the command line by key path.
+         *
+         * @private
+         * @type {Map.<string, string>}
+         */
+        this.optionNames = new Map();
+    }
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @public
+     * @async
+     * @return {Promise.<Object.<string, *>>} Configuration settings.
+     */
+    async load() {
+        const values = new Map();
+
+        this.optionNames = new Map();
+
+        for (let index = 0; index < this.argv.length; index++) {
+            const argument = this.argv[index];
+
+            if (argument === "--") {
+                break;
+            }
+
+            const match = /^--?([^=]+)(?:=(.*))?$/s.exec(argument);
+
+            if (!match) {
+                continue;
+            }
+
+            let [, name, value] = match;
+            const optionName = argument.split("=")[0];
+
+            if (value === undefined && name.startsWith("no-") && !this.isAlias(name)) {
+                name = name.slice(3);
+                value = false;
+            }
+
+            if (value === undefined) {
+                const next = this.argv[index + 1];
+
+                value = next !== undefined && (!next.startsWith("-") || this.isNumber(next)) ? this.argv[++index] : true;
+            }
+
+            const keyPath = this.isAlias(name) ? this.aliases[name] : name;
+
+            this.addValue(values, keyPath, value);
+            this.optionNames.set(keyPath, optionName);
+        }
+
+        const configuration = new Configuration();
+
+        for (const [keyPath, value] of values) {
+            configuration.set(keyPath, value);
+        }
+
+        return configuration.all();
+    }
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @public
+     * @param {string} keyPath Key path of the value.
+     * @return {string} Option as given on the command line, e.g. "--database.host".
+     */
+    describe(keyPath) {
+        const segments = parseKeyPath(keyPath);
+
+        while (segments.length > 0) {
+            const optionName = this.optionNames.get(formatKeyPath(segments));
+
+            if (optionName !== undefined) {
+                return optionName;
+            }
+
+            segments.pop();
+        }
+
+        return this.constructor.name;
+    }
+
+    /**
+     * Determine if the given argument is a number, like a negative value.
+     *
+     * @private
+     * @param {string} argument Command line argument.
+     * @return {boolean} True if the argument is a number.
+     */
+    isNumber(argument) {
+        return argument.trim() !== "" && !isNaN(argument);
+    }
+
+    /**
+     * Determine if the given option name is an alias.
+     *
+     * @private
+     * @param {string} name Option name.
+     * @return {boolean} True if the name is an alias.
+     */
+    isAlias(name) {
+        return Object.prototype.hasOwnProperty.call(this.aliases, name);
+    }
+
+    /**
+     * Add a value for the given key path.
+     *
+     * Values for key paths already seen are collected in an array.
+     *
+     * @private
+     * @param {Map.<string, *>} values Values collected so far.
+     * @param {string} keyPath Key path of the value.
+     * @param {(string|boolean)} value Value to add.
+     */
+    addValue(values, keyPath, value) {
+        if (this.coerce && typeof value === "string") {
+            value = coerceValue(value);
+        }
+
+        if (!values.has(keyPath)) {
+            values.set(keyPath, value);
+
+            return;
+        }
+
+        values.set(keyPath, [].concat(values.get(keyPath), [value]));
+    }
+}
+
+export default ArgvConfigurationSource;
@@ -5,13 +5,46 @@
  * file that was distributed with this source code.
  */
 
+import { inspect } from "util";
+
+import ConfigurationError from "./ConfigurationError.js";
+import ConfigurationSection from "./ConfigurationSection.js";
+import ConfigurationTypeError from "./ConfigurationTypeError.js";
 import MergeStrategy from "./MergeStrategy.js";
+import cloneValue from "./cloneValue.js";
+import coerceValue from "./coerceValue.js";
+import diffConfigurations from "./diffConfigurations.js";
+import formatKeyPath from "./formatKeyPath.js";
+import formatSettings from "./formatSettings.js";
+import freezeValue from "./freezeValue.js";
+import isEqual from "./isEqual.js";
 import isObject from "./isObject.js";
+import matchKeyPath from "./matchKeyPath.js";
 import mergeObjects from "./mergeObjects.js";
+import parseKeyPath, { DEEP_WILDCARD, WILDCARD } from "./parseKeyPath.js";
+import parseBytes from "./parseBytes.js";
+import parseDuration from "./parseDuration.js";
+
+/**
+ * Value sensitive settings are replaced with when redacted.
+ *
+ * @private
+ * @type {string}
+ */
+const REDACTED = "[REDACTED]";
 
 /**
  * A configuration instance represents the frontend of a configuration.
  * It provides operations to easily access, alter or extend the configuration.
+ *
+ * Settings are addressed by key paths of keys separated by dots. Array
+ * elements are addressed by index, either in brackets as in "servers[0].host"
+ * or as a key as in "servers.0.host". A backslash escapes the following
+ * character, so "hosts.example\\.com" refers to the key "example.com", and
+ * keys may also be quoted in brackets as in 'hosts["example.com"]'.
+ *
+ * Settings may be marked as sensitive, in which case they are masked when the
+ * configuration is serialized to JSON, inspected or redacted.
  */
 class Configuration {
     /**
@@ -19,8 +52,10 @@ class Configuration {
      *
      * @public
      * @param {Object.<string, *>} settings Initial configuration settings.
+     * @param {Map.<string, Array.<{value: *, source: string}>>} [origins] Values supplied by configuration sources by key path, in order.
+     * @param {Set.<string>} [sensitiveKeyPaths] Key paths and patterns of sensitive settings.
      */
-    constructor(settings = {}) {
+    constructor(settings = {}, origins = new Map(), sensitiveKeyPaths = new Set()) {
         /**
          * Configuration settings.
          *
@@ -28,32 +63,117 @@ class Configuration {
          * @type {Object.<string, *>}
          */
         this.settings = settings;
+
+        /**
+         * Listeners subscribed to changes of key paths.
+         *
+         * @private
+         * @type {Array.<{keyPath: string, listener: function(*, *), configuration: Configuration}>}
+         */
+        this.listeners = [];
+
+        /**
+         * Values supplied by configuration sources by key path, in order.
+         *
+         * @private
+         * @type {Map.<string, Array.<{value: *, source: string}>>}
+         */
+        this.origins = origins;
+
+        /**
+         * Whether the configuration is read only.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.frozen = false;
+
+        /**
+         * Key paths and patterns of sensitive settings.
+         *
+         * @private
+         * @type {Set.<string>}
+         */
+        this.sensitiveKeyPaths = sensitiveKeyPaths;
+    }
+
+    /**
+     * Create a new configuration instance from flattened settings.
+     *
+     * Keys are key paths, as in "database.host" or "servers[0].host", unless
+     * another separator is given, e.g. "__" for keys like "database__host".
+     * Keys joined by a separator are object keys, numeric ones included,
+     * unless array indices are enabled or the key is numeric and continues an
+     * array, so "servers__0__host" holds the host of the first server when
+     * "servers" is an array.
+     *
+     * @public
+     * @static
+     * @param {Object.<string, *>} settings Values by flattened key.
+     * @param {Object} [options={}] Options.
+     * @param {string} [options.separator="."] Separator between keys.
+     * @param {boolean} [options.arrayIndices=false] Whether to take numeric keys joined by a separator as array indices.
+     * @return {Configuration} Configuration with nested settings.
+     */
+    static fromFlat(settings, options = {}) {
+        const separator = options.separator || ".";
+        const configuration = new Configuration();
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (separator === ".") {
+                configuration.set(key, value);
+
+                continue;
+            }
+
+            const segments = [];
+
+            for (const segment of key.split(separator)) {
+                const isIndex = /^\d+$/.test(segment) && segments.length > 0 &&
+                    (options.arrayIndices || Array.isArray(configuration.get(formatKeyPath(segments))));
+
+                segments.push(isIndex ? Number(segment) : segment);
+            }
+
+            configuration.set(formatKeyPath(segments), value);
+        }
+
+        return configuration;
     }
 
     /**
      * Assign a value to a key path.
      *
      * After this operation the value will be available at the given key path.
+     * Key paths containing "__proto__" are rejected.
      *
      * @public
      * @param {string} keyPath Key path to assign a value to.
      * @param {*} value Value to assign to the key path.
+     * @throws {ConfigurationError} If the configuration is frozen or the key path contains "__proto__".
      */
     set(keyPath, value) {
-        const properties = keyPath.split(".");
-        let intermediate = this.settings;
+        const segments = this.getSegments(keyPath);
 
-        while (properties.length > 1) {
-            let key = properties.shift();
+        if (segments.includes("__proto__")) {
+            throw new ConfigurationError(`Invalid key path "${keyPath}": Unable to set "__proto__"`);
+        }
 
-            if (!isObject(intermediate[key])) {
-                intermediate[key] = {};
-            }
+        this.assertNotFrozen(`set "${keyPath}"`);
+        this.forgetOrigins(keyPath);
+        this.change(() => {
+            let intermediate = this.settings;
 
-            intermediate = intermediate[key];
-        }
+            segments.slice(0, -1).forEach((segment, index) => {
+                if (!this.hasChild(intermediate, segment) || !this.isContainer(intermediate[segment], segments[index + 1])) {
+                    intermediate[segment] = typeof segments[index + 1] === "number" ? [] : {};
+                }
+
+                intermediate = intermediate[segment];
+            });
 
-        intermediate[properties.shift()] = value;
+            intermediate[segments[segments.length - 1]] = value;
+        });
     }
 
     /**
@@ -64,55 +184,274 @@ class Configuration {
      * @return {boolean} True if the key path exists in the configuration.
      */
     has(keyPath) {
-        const properties = keyPath.split(".");
-        let intermediate = this.settings;
+        return this.find(this.getSegments(keyPath)).found;
+    }
 
-        while (properties.length > 0) {
-            let key = properties.shift();
+    /**
+     * Retrieve the value at the given key path.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {*} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {*} The value at the key path or default value.
+     */
+    get(keyPath, defaultValue = null) {
+        const { found, value } = this.find(this.getSegments(keyPath));
 
-            if (!isObject(intermediate) || !(key in intermediate)) {
-                return false;
+        return found ? value : defaultValue;
+    }
+
+    /**
+     * Retrieve all values matching the given key path.
+     *
+     * A "*" segment matches every key of an object or index of an array, e.g.
+     * "services.*.url" matches the URL of every service, and a "**" segment
+     * matches any number of them, e.g. "**.url" matches every URL.
+     *
+     * @public
+     * @param {string} keyPath Key path to match.
+     * @return {Object.<string, *>} Matching values by key path.
+     */
+    getAll(keyPath) {
+        const matches = {};
+
+        const collect = (value, segments, matchedSegments) => {
+            if (segments.length === 0) {
+                matches[formatKeyPath(matchedSegments)] = value;
+
+                return;
+            }
+
+            const [segment, ...remainingSegments] = segments;
+
+            if (segment === DEEP_WILDCARD) {
+                collect(value, remainingSegments, matchedSegments);
             }
 
-            intermediate = intermediate[key];
+            if (segment !== WILDCARD && segment !== DEEP_WILDCARD) {
+                if (this.hasChild(value, segment)) {
+                    collect(value[segment], remainingSegments, matchedSegments.concat(segment));
+                }
+
+                return;
+            }
+
+            const childSegments = segment === DEEP_WILDCARD ? segments : remainingSegments;
+
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => collect(item, childSegments, matchedSegments.concat(index)));
+            } else if (isObject(value)) {
+                Object.keys(value).forEach(key => collect(value[key], childSegments, matchedSegments.concat(key)));
+            }
+        };
+
+        collect(this.settings, parseKeyPath(keyPath), []);
+
+        return matches;
+    }
+
+    /**
+     * Retrieve the value at the given key path, which must exist.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @return {*} The value at the key path.
+     * @throws {ConfigurationError} If the key path doesn't exist.
+     */
+    require(keyPath) {
+        if (!this.has(keyPath)) {
+            throw new ConfigurationError(`Missing required setting "${keyPath}"`);
         }
 
-        return true;
+        return this.get(keyPath);
     }
 
     /**
-     * Retrieve the value at the given key path.
+     * Retrieve the value at the given key path as a string.
+     *
+     * Numbers and booleans are converted into strings.
      *
      * @public
      * @param {string} keyPath Key path to retrieve value from.
-     * @param {*} [defaultValue=null] Value to return if key path doesn't exist.
-     * @return {*} The value at the key path or default value.
+     * @param {?string} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?string} The value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
      */
-    get(keyPath, defaultValue = null) {
-        const properties = keyPath.split(".");
-        let intermediate = this.settings;
+    getString(keyPath, defaultValue = null) {
+        return this.getTyped(keyPath, defaultValue, "a string", value => {
+            if (typeof value === "string") {
+                return value;
+            }
 
-        while (properties.length > 0) {
-            let key = properties.shift();
+            return typeof value === "number" || typeof value === "boolean" ? String(value) : undefined;
+        });
+    }
 
-            if (!isObject(intermediate) || !(key in intermediate)) {
-                return defaultValue;
+    /**
+     * Retrieve the value at the given key path as a number.
+     *
+     * Numeric strings are converted into numbers.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?number} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?number} The value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getNumber(keyPath, defaultValue = null) {
+        return this.getTyped(keyPath, defaultValue, "a number", value => {
+            if (typeof value === "number") {
+                return value;
             }
 
-            intermediate = intermediate[key];
-        }
+            return typeof value === "string" && value.trim() !== "" && !isNaN(value) ? Number(value) : undefined;
+        });
+    }
+
+    /**
+     * Retrieve the value at the given key path as a boolean.
+     *
+     * The strings "true", "yes", "on" and "1" are converted into true and
+     * "false", "no", "off" and "0" into false, regardless of case. The numbers
+     * 1 and 0 are converted as well, values of any other type are not.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?boolean} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?boolean} The value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getBoolean(keyPath, defaultValue = null) {
+        return this.getTyped(keyPath, defaultValue, "a boolean", value => {
+            if (typeof value === "boolean") {
+                return value;
+            }
+
+            if (typeof value !== "string" && typeof value !== "number") {
+                return undefined;
+            }
+
+            const normalizedValue = String(value).trim().toLowerCase();
+
+            if (["true", "yes", "on", "1"].includes(normalizedValue)) {
+                return true;
+            }
+
+            return ["false", "no", "off", "0"].includes(normalizedValue) ? false : undefined;
+        });
+    }
+
+    /**
+     * Retrieve the value at the given key path as an array.
+     *
+     * Strings holding a JSON array are parsed and other strings are split on
+     * commas, e.g. "one, two" becomes ["one", "two"].
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?Array} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?Array} The value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getArray(keyPath, defaultValue = null) {
+        return this.getTyped(keyPath, defaultValue, "an array", value => {
+            if (Array.isArray(value)) {
+                return value;
+            }
+
+            if (typeof value !== "string") {
+                return undefined;
+            }
+
+            if (value.trim().startsWith("[")) {
+                const parsedValue = coerceValue(value);
+
+                return Array.isArray(parsedValue) ? parsedValue : undefined;
+            }
+
+            return value.trim() === "" ? [] : value.split(",").map(item => item.trim());
+        });
+    }
+
+    /**
+     * Retrieve the value at the given key path as a duration in milliseconds.
+     *
+     * Numbers are taken as milliseconds and strings may use the units "ms",
+     * "s", "m", "h", "d" and "w", e.g. "30s" or "1h 30m".
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?number} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?number} The value at the key path in milliseconds or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getDuration(keyPath, defaultValue = null) {
+        return this.getTyped(keyPath, defaultValue, "a duration", value => {
+            if (typeof value === "number") {
+                return value;
+            }
+
+            return typeof value === "string" ? parseDuration(value) : undefined;
+        });
+    }
+
+    /**
+     * Retrieve the value at the given key path as a size in bytes.
+     *
+     * Numbers are taken as bytes and strings may use binary units, e.g.
+     * "512MB" or "1.5 GiB".
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?number} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?number} The value at the key path in bytes or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getBytes(keyPath, defaultValue = null) {
+        return this.getTyped(keyPath, defaultValue, "a byte size", value => {
+            if (typeof value === "number") {
+                return value;
+            }
 
-        return intermediate;
+            return typeof value === "string" ? parseBytes(value) : undefined;
+        });
+    }
+
+    /**
+     * Retrieve the value at the given key path as a URL.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?URL} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?URL} The value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getUrl(keyPath, defaultValue = null) {
+        return this.getTyped(keyPath, defaultValue, "a URL", value => {
+            if (value instanceof URL) {
+                return value;
+            }
+
+            try {
+                return typeof value === "string" ? new URL(value) : undefined;
+            } catch {
+                return undefined;
+            }
+        });
     }
 
     /**
      * Retrieves all settings in the configuration instance.
      *
+     * A copy of the settings is returned so changing it doesn't alter the
+     * configuration. The settings of a frozen configuration are returned as
+     * is since they can't be changed.
+     *
      * @public
      * @return {Object.<string, *>} All settings.
      */
     all() {
-        return this.settings;
+        return this.frozen ? this.settings : cloneValue(this.settings);
     }
 
     /**
@@ -122,56 +461,600 @@ class Configuration {
      *
      * @public
      * @param {string} keyPath Key path to be removed.
+     * @throws {ConfigurationError} If the configuration is frozen.
      */
     remove(keyPath) {
-        const properties = keyPath.split(".");
-        let intermediate = this.settings;
+        const segments = this.getSegments(keyPath);
 
-        while (properties.length > 1) {
-            let key = properties.shift();
+        this.assertNotFrozen(`remove "${keyPath}"`);
+        this.forgetOrigins(keyPath);
+        this.change(() => {
+            const { found, value: parent } = this.find(segments.slice(0, -1));
+            const segment = segments[segments.length - 1];
 
-            if (!isObject(intermediate[key])) {
+            if (!found || !this.hasChild(parent, segment)) {
                 return;
             }
 
-            intermediate = intermediate[key];
-        }
+            if (Array.isArray(parent)) {
+                parent.splice(Number(segment), 1);
+
+                return;
+            }
 
-        delete intermediate[properties.shift()];
+            delete parent[segment];
+        });
     }
 
     /**
      * Removes all configuration settings effectively leaving it empty.
      *
      * @public
+     * @throws {ConfigurationError} If the configuration is frozen.
      */
     clear() {
-        this.settings = {};
+        this.assertNotFrozen("clear configuration");
+        this.origins = new Map();
+        this.change(() => {
+            this.settings = {};
+        });
     }
 
     /**
      * Produce a new configuration instance by merging the given configuration
      * with this instance.
      *
+     * Neither this instance nor the given configuration is altered and the
+     * merged instance shares no settings with them. Settings of the given
+     * configuration set to "$unset" remove the setting and a
+     * {"$replace": value} directive replaces the setting instead of being
+     * merged into it.
+     *
      * @public
      * @param {Configuration} configuration Configuration instance to merge with.
      * @param {string} [keyPath=null] Key path to merge in the new instance at.
      * @param {MergeStrategy} [strategy=MergeStrategy.MERGE_INDEXED] Merge strategy to use when merging arrays.
+     * @param {Object.<string, MergeStrategy>} [strategies={}] Merge strategies to use for arrays at specific key paths.
      * @return {Configuration} Merged configuration instance.
      */
-    merge(configuration, keyPath = null, strategy = MergeStrategy.MERGE_INDEXED) {
-        const base = keyPath !== null ? this.get(keyPath, {}) : this.all();
-        const settings = mergeObjects(base, configuration.all(), strategy);
+    merge(configuration, keyPath = null, strategy = MergeStrategy.MERGE_INDEXED, strategies = {}) {
+        const base = keyPath !== null ? this.get(keyPath, {}) : this.settings;
+        const settings = cloneValue(mergeObjects(
+            base,
+            configuration.all(),
+            strategy,
+            strategies,
+            keyPath !== null ? formatKeyPath(this.getSegments(keyPath)) : ""
+        ));
+
+        let mergedConfiguration = new Configuration(settings);
 
-        if (keyPath === null) {
-            return new Configuration(settings);
+        if (keyPath !== null) {
+            mergedConfiguration = new Configuration(cloneValue(this.settings));
+            mergedConfiguration.set(keyPath, settings);
         }
 
-        const mergedConfiguration = new Configuration(this.all());
-        mergedConfiguration.set(keyPath, settings);
+        const prefix = keyPath !== null ? formatKeyPath(this.getSegments(keyPath)) : null;
+
+        mergedConfiguration.origins = mergedConfiguration.mergeOrigins(
+            this.origins,
+            Array.from(configuration.origins || new Map()).map(([originKeyPath, entries]) => [
+                prefix !== null ? formatKeyPath(parseKeyPath(originKeyPath), prefix) : originKeyPath,
+                entries
+            ])
+        );
+
+        mergedConfiguration.sensitiveKeyPaths = new Set(this.sensitiveKeyPaths);
+
+        for (const sensitiveKeyPath of configuration.sensitiveKeyPaths || new Set()) {
+            mergedConfiguration.sensitiveKeyPaths.add(keyPath !== null
+                ? formatKeyPath(parseKeyPath(sensitiveKeyPath), formatKeyPath(this.getSegments(keyPath)))
+                : sensitiveKeyPath);
+        }
 
         return mergedConfiguration;
     }
+
+    /**
+     * Explain where the value at the given key path comes from.
+     *
+     * The explanation holds the final value, the configuration source that
+     * supplied it and the values supplied by earlier configuration sources
+     * that were overridden, in order. Values inside a setting supplied as a
+     * whole, like an array, are explained by the origins of that setting.
+     *
+     * @public
+     * @param {string} keyPath Key path to explain.
+     * @return {{keyPath: string, value: *, source: ?string, overridden: Array.<{value: *, source: string}>}} Explanation of the value.
+     */
+    explain(keyPath) {
+        const segments = this.getSegments(keyPath);
+        let entries = [];
+
+        while (segments.length > 0 && entries.length === 0) {
+            entries = this.origins.get(formatKeyPath(segments)) || [];
+            segments.pop();
+        }
+
+        return {
+            keyPath,
+            value: this.get(keyPath),
+            source: entries.length > 0 ? entries[entries.length - 1].source : null,
+            overridden: entries.slice(0, -1)
+        };
+    }
+
+    /**
+     * Describe what changed between this instance and the given configuration.
+     *
+     * Objects are compared key by key while any other values, including
+     * arrays, are compared as a whole. Old and new values are rendered
+     * masked by the configuration they were taken from.
+     *
+     * @public
+     * @param {ConfigurationInterface} configuration Configuration to compare with.
+     * @return {ConfigurationDiff} Values added, removed and changed in the given configuration.
+     */
+    diff(configuration) {
+        return diffConfigurations(this, configuration);
+    }
+
+    /**
+     * Create a view of the settings under the given key path.
+     *
+     * Key paths of the view are relative to the given key path and all
+     * operations read and write through to this instance.
+     *
+     * @public
+     * @param {string} keyPath Key path of the section.
+     * @return {ConfigurationSection} View of the settings under the key path.
+     */
+    section(keyPath) {
+        return new ConfigurationSection(this, keyPath);
+    }
+
+    /**
+     * Make the configuration read only.
+     *
+     * The settings are deep frozen and any attempt to change them through
+     * this instance throws. Merging a frozen configuration produces a new
+     * instance that is not frozen.
+     *
+     * @public
+     * @return {this} The same instance for method chaining.
+     */
+    freeze() {
+        if (!this.frozen) {
+            this.settings = freezeValue(cloneValue(this.settings));
+            this.frozen = true;
+        }
+
+        return this;
+    }
+
+    /**
+     * Determine if the configuration is read only.
+     *
+     * @public
+     * @return {boolean} True if the configuration is frozen.
+     */
+    isFrozen() {
+        return this.frozen;
+    }
+
+    /**
+     * Mark the settings at the given key path as sensitive.
+     *
+     * The key path may contain wildcards, as in "services.*.token" or
+     * "**.secret". A leading "*" matches at any depth, so "*.password"
+     * matches "password" as well as "services.payments.password". Everything
+     * below a sensitive setting is sensitive as well. Sensitive settings are
+     * still retrieved as is but masked when redacted.
+     *
+     * @public
+     * @param {string} keyPath Key path or pattern of sensitive settings.
+     * @return {this} The same instance for method chaining.
+     */
+    markSensitive(keyPath) {
+        const segments = parseKeyPath(keyPath);
+
+        if (segments[0] === WILDCARD) {
+            segments[0] = DEEP_WILDCARD;
+        }
+
+        this.sensitiveKeyPaths.add(formatKeyPath(segments));
+
+        return this;
+    }
+
+    /**
+     * Determine if the setting at the given key path is sensitive.
+     *
+     * @public
+     * @param {string} keyPath Key path to check.
+     * @return {boolean} True if the setting is sensitive.
+     */
+    isSensitive(keyPath) {
+        return this.isSensitiveSegments(this.getSegments(keyPath));
+    }
+
+    /**
+     * Retrieve all settings with sensitive settings masked.
+     *
+     * @public
+     * @return {Object.<string, *>} All settings with sensitive values replaced by "[REDACTED]".
+     */
+    redacted() {
+        return this.redactValue(this.settings, []);
+    }
+
+    /**
+     * Provide the settings to serialize to JSON with sensitive settings masked.
+     *
+     * @public
+     * @return {Object.<string, *>} Redacted settings.
+     */
+    toJSON() {
+        return this.redacted();
+    }
+
+    /**
+     * Describe the configuration with sensitive settings masked when inspected.
+     *
+     * @public
+     * @param {number} depth Current depth of the inspection.
+     * @param {Object} options Inspection options.
+     * @return {string} Description of the configuration.
+     */
+    [inspect.custom](depth, options) {
+        return `${this.constructor.name} ${inspect(this.redacted(), options)}`;
+    }
+
+    /**
+     * Serialize the settings into the given format.
+     *
+     * Settings are flattened into variables like "APP_DATABASE__HOST" for
+     * dotenv files and may be flattened into keys like "database.host" for
+     * JSON and YAML as well.
+     *
+     * @public
+     * @param {string} format Either "json", "yaml" or "env".
+     * @param {Object} [options={}] Serialization options.
+     * @param {boolean} [options.flatten=false] Whether to flatten JSON and YAML settings.
+     * @param {string} [options.separator] Separator between flattened keys, "__" for dotenv and "." otherwise.
+     * @param {string} [options.prefix=""] Prefix of dotenv variable names.
+     * @param {number} [options.indent=4] Number of spaces to indent JSON with.
+     * @param {boolean} [options.redact=false] Whether to mask sensitive settings.
+     * @return {string} Serialized settings.
+     * @throws {ConfigurationError} If the format is not supported or a key is not a valid variable name.
+     */
+    toFormat(format, options = {}) {
+        return formatSettings(options.redact ? this.redacted() : this.all(), format, options);
+    }
+
+    /**
+     * Subscribe to changes at or under the given key path.
+     *
+     * The listener is called with the new and the old value whenever the value
+     * at the key path changes through this instance, or through the instance
+     * the subscription has been handed over to. A value that doesn't exist is
+     * given as undefined.
+     *
+     * @public
+     * @param {string} keyPath Key path to subscribe to.
+     * @param {function(*, *)} listener Listener called with the new and old value.
+     * @return {function()} Function removing the subscription.
+     */
+    onChange(keyPath, listener) {
+        const subscription = {keyPath, listener, configuration: this};
+
+        this.listeners.push(subscription);
+
+        return () => {
+            const { configuration } = subscription;
+
+            configuration.listeners = configuration.listeners.filter(entry => entry !== subscription);
+        };
+    }
+
+    /**
+     * Take over the change subscriptions of the given configuration.
+     *
+     * The subscriptions are moved to this instance and their listeners are
+     * notified of every value that differs between the two configurations.
+     * This lets a configuration replacing another, like a reloaded one, keep
+     * its subscribers.
+     *
+     * @public
+     * @param {Configuration} configuration Configuration being replaced.
+     * @return {this} The same instance for method chaining.
+     */
+    takeOverListeners(configuration) {
+        const subscriptions = configuration.listeners;
+
+        configuration.listeners = [];
+        subscriptions.forEach(subscription => {
+            subscription.configuration = this;
+        });
+        this.listeners = this.listeners.concat(subscriptions);
+
+        subscriptions.forEach(({ keyPath, listener }) => {
+            const oldValue = configuration.lookup(keyPath);
+            const newValue = this.lookup(keyPath);
+
+            if (!isEqual(newValue, oldValue)) {
+                listener(newValue, oldValue);
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * Perform the given mutation and notify listeners of changed key paths.
+     *
+     * @private
+     * @param {function()} mutate Function mutating the settings.
+     */
+    change(mutate) {
+        const listeners = this.listeners;
+        const oldValues = listeners.map(({ keyPath }) => cloneValue(this.lookup(keyPath)));
+
+        mutate();
+
+        listeners.forEach(({ keyPath, listener }, index) => {
+            const newValue = this.lookup(keyPath);
+
+            if (!isEqual(newValue, oldValues[index])) {
+                listener(newValue, oldValues[index]);
+            }
+        });
+    }
+
+    /**
+     * Determine if the setting with the given segments is sensitive.
+     *
+     * @private
+     * @param {Array.<(string|number)>} segments Segments of the key path.
+     * @return {boolean} True if the setting is sensitive.
+     */
+    isSensitiveSegments(segments) {
+        return Array.from(this.sensitiveKeyPaths).some(sensitiveKeyPath => {
+            const pattern = parseKeyPath(sensitiveKeyPath);
+
+            return segments.some((segment, index) => matchKeyPath(pattern, segments.slice(0, index + 1)));
+        });
+    }
+
+    /**
+     * Copy the given value with sensitive settings masked.
+     *
+     * @private
+     * @param {*} value Value to redact.
+     * @param {Array.<(string|number)>} segments Segments of the key path of the value.
+     * @return {*} Redacted copy of the value.
+     */
+    redactValue(value, segments) {
+        if (segments.length > 0 && this.isSensitiveSegments(segments)) {
+            return REDACTED;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map((item, index) => this.redactValue(item, segments.concat(index)));
+        }
+
+        if (!isObject(value)) {
+            return cloneValue(value);
+        }
+
+        const redacted = {};
+
+        for (const [key, item] of Object.entries(value)) {
+            redacted[key] = this.redactValue(item, segments.concat(key));
+        }
+
+        return redacted;
+    }
+
+    /**
+     * Make sure the configuration may be changed.
+     *
+     * @private
+     * @param {string} operation Description of the attempted change.
+     * @throws {ConfigurationError} If the configuration is frozen.
+     */
+    assertNotFrozen(operation) {
+        if (this.frozen) {
+            throw new ConfigurationError(`Unable to ${operation}: Configuration is frozen`);
+        }
+    }
+
+    /**
+     * Combine previously recorded origins with the origins of merged values.
+     *
+     * Values supplied at a merged key path are appended to the values
+     * supplied there before. Origins of key paths above and below a merged
+     * key path are forgotten since their values are replaced, as are origins
+     * of key paths that no longer exist.
+     *
+     * @private
+     * @param {Map.<string, Array.<{value: *, source: string}>>} previousOrigins Previously recorded origins.
+     * @param {Array.<Array>} mergedOrigins Key paths and supplied values of merged values, in order.
+     * @return {Map.<string, Array.<{value: *, source: string}>>} Combined origins.
+     */
+    mergeOrigins(previousOrigins, mergedOrigins) {
+        const mergedKeyPaths = new Set(mergedOrigins.map(([keyPath]) => keyPath));
+        const parentKeyPaths = new Set();
+        const origins = new Map();
+
+        const isBelowMergedKeyPath = keyPath => {
+            let parentKeyPath = "";
+
+            for (const segment of parseKeyPath(keyPath).slice(0, -1)) {
+                parentKeyPath = formatKeyPath([segment], parentKeyPath);
+
+                if (mergedKeyPaths.has(parentKeyPath)) {
+                    return true;
+                }
+            }
+
+            return false;
+        };
+
+        for (const [keyPath] of mergedOrigins) {
+            let parentKeyPath = "";
+
+            for (const segment of parseKeyPath(keyPath).slice(0, -1)) {
+                parentKeyPath = formatKeyPath([segment], parentKeyPath);
+                parentKeyPaths.add(parentKeyPath);
+            }
+        }
+
+        for (const [keyPath, entries] of previousOrigins) {
+            if (!parentKeyPaths.has(keyPath) && !isBelowMergedKeyPath(keyPath) && this.has(keyPath)) {
+                origins.set(keyPath, entries);
+            }
+        }
+
+        for (const [keyPath, entries] of mergedOrigins) {
+            const previousEntries = origins.get(keyPath) || [];
+
+            origins.delete(keyPath);
+            origins.set(keyPath, previousEntries.concat(entries));
+        }
+
+        return origins;
+    }
+
+    /**
+     * Forget the origins of the given key path and the key paths above and
+     * below it.
+     *
+     * @private
+     * @param {string} keyPath Key path to forget origins of.
+     */
+    forgetOrigins(keyPath) {
+        const segments = this.getSegments(keyPath);
+
+        for (const originKeyPath of Array.from(this.origins.keys())) {
+            const originSegments = parseKeyPath(originKeyPath);
+            const length = Math.min(segments.length, originSegments.length);
+
+            if (segments.slice(0, length).every((segment, index) => String(segment) === String(originSegments[index]))) {
+                this.origins.delete(originKeyPath);
+            }
+        }
+    }
+
+    /**
+     * Retrieve the value at the given key path converted into a type.
+     *
+     * Missing and null values are not converted. Sensitive settings are masked
+     * in the error raised for values that can't be converted.
+     *
+     * @private
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {*} defaultValue Value to return if key path doesn't exist.
+     * @param {string} type Description of the type.
+     * @param {function(*): *} convert Function converting the value, returning null or undefined if it can't.
+     * @return {*} The converted value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getTyped(keyPath, defaultValue, type, convert) {
+        const value = this.get(keyPath);
+
+        if (value === null) {
+            return defaultValue;
+        }
+
+        const convertedValue = convert(value);
+
+        if (convertedValue === undefined || convertedValue === null) {
+            throw new ConfigurationTypeError(keyPath, type, this.redactValue(value, parseKeyPath(keyPath)));
+        }
+
+        return convertedValue;
+    }
+
+    /**
+     * Retrieve the value at the given key path or undefined if it doesn't exist.
+     *
+     * @private
+     * @param {string} keyPath Key path to retrieve value from.
+     * @return {*} The value at the key path.
+     */
+    lookup(keyPath) {
+        return this.find(this.getSegments(keyPath)).value;
+    }
+
+    /**
+     * Find the value at the given segments.
+     *
+     * @private
+     * @param {Array.<(string|number)>} segments Segments of the key path.
+     * @return {{found: boolean, value: *}} Whether the value exists and the value.
+     */
+    find(segments) {
+        let intermediate = this.settings;
+
+        for (const segment of segments) {
+            if (!this.hasChild(intermediate, segment)) {
+                return {found: false, value: undefined};
+            }
+
+            intermediate = intermediate[segment];
+        }
+
+        return {found: true, value: intermediate};
+    }
+
+    /**
+     * Determine if the given container has a child at the given segment.
+     *
+     * Objects have children at their own keys and arrays at their indices.
+     *
+     * @private
+     * @param {*} container Value to check.
+     * @param {(string|number)} segment Object key or array index.
+     * @return {boolean} True if the child exists.
+     */
+    hasChild(container, segment) {
+        if (Array.isArray(container)) {
+            return /^\d+$/.test(String(segment)) && Number(segment) < container.length;
+        }
+
+        return isObject(container) && Object.prototype.hasOwnProperty.call(container, segment);
+    }
+
+    /**
+     * Determine if the given value can hold a child at the given segment.
+     *
+     * @private
+     * @param {*} value Value to check.
+     * @param {(string|number)} segment Object key or array index.
+     * @return {boolean} True if the value can hold the child.
+     */
+    isContainer(value, segment) {
+        return isObject(value) || (Array.isArray(value) && /^\d+$/.test(String(segment)));
+    }
+
+    /**
+     * Parse the given key path into segments without wildcards.
+     *
+     * @private
+     * @param {string} keyPath Key path to parse.
+     * @return {Array.<(string|number)>} Object keys and array indices.
+     * @throws {ConfigurationError} If the key path is malformed or contains a wildcard.
+     */
+    getSegments(keyPath) {
+        const segments = parseKeyPath(keyPath);
+
+        if (segments.includes(WILDCARD) || segments.includes(DEEP_WILDCARD)) {
+            throw new ConfigurationError(`Invalid key path "${keyPath}": Wildcards are only supported when retrieving all matches`);
+        }
+
+        return segments;
+    }
 }
 
 export default Configuration;
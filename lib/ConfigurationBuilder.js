@@ -5,7 +5,18 @@
  * file that was distributed with this source code.
  */
 
+import { extname } from "path";
+
 import Configuration from "./Configuration.js";
+import ConfigurationError from "./ConfigurationError.js";
+import ConfigurationValidationError from "./ConfigurationValidationError.js";
+import ConfigurationWatcher from "./ConfigurationWatcher.js";
+import FileConfigurationSourceRegistry from "./FileConfigurationSourceRegistry.js";
+import flattenSettings from "./flattenSettings.js";
+import interpolateSettings from "./interpolateSettings.js";
+import isObject from "./isObject.js";
+import stripDirectives from "./stripDirectives.js";
+import validateSchema from "./validateSchema.js";
 
 /**
  * An interface representing a configuration source.
@@ -18,11 +29,49 @@ import Configuration from "./Configuration.js";
 /**
  * Provide the configuration source settings.
  *
+ * The configuration built from the previously added sources is provided so
+ * the settings can be derived from it.
+ *
  * @function
  * @name ConfigurationSourceInterface#load
+ * @param {Configuration} [configuration] Configuration built from previously added sources.
  * @return {Promise.<Object.<string, *>>} Configuration settings.
  */
 
+/**
+ * Describe where the value at the given key path comes from.
+ *
+ * This method is optional. If it's not implemented the name of the
+ * configuration source class is used instead.
+ *
+ * @function
+ * @name ConfigurationSourceInterface#describe
+ * @param {string} keyPath Key path of the value relative to the configuration source.
+ * @return {string} Description of the origin of the value.
+ */
+
+/**
+ * Determine if the values provided by the configuration source are sensitive.
+ *
+ * This method is optional. Values of sources that are sensitive are masked
+ * when the built configuration is redacted.
+ *
+ * @function
+ * @name ConfigurationSourceInterface#isSensitive
+ * @return {boolean} True if the values are sensitive.
+ */
+
+/**
+ * Provide the files and directories the settings are loaded from.
+ *
+ * This method is optional. Configuration sources implementing it are
+ * rebuilt when watched and the paths change.
+ *
+ * @function
+ * @name ConfigurationSourceInterface#getWatchPaths
+ * @return {Array.<string>} Files and directories to watch.
+ */
+
 /**
  * The configuration builder provides a simple and very extendible way of
  * creating configuration objects.
@@ -48,6 +97,47 @@ class ConfigurationBuilder {
          * @type {Array.<ConfigurationSourceInterface>}
          */
         this.configurationSources = [];
+
+        /**
+         * JSON Schema the built configuration must conform to.
+         *
+         * @private
+         * @type {?Object}
+         */
+        this.schema = null;
+
+        /**
+         * Environment variables placeholders may refer to, or null if
+         * interpolation is disabled.
+         *
+         * @private
+         * @type {?Object.<string, string>}
+         */
+        this.interpolationEnvironment = null;
+
+        /**
+         * Whether built configurations are frozen.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.freezing = false;
+
+        /**
+         * Merge strategies to use for arrays at specific key paths.
+         *
+         * @private
+         * @type {Object.<string, MergeStrategy>}
+         */
+        this.mergeStrategies = {};
+
+        /**
+         * Key paths and patterns of settings to mark as sensitive.
+         *
+         * @private
+         * @type {Array.<string>}
+         */
+        this.sensitiveKeyPaths = [];
     }
 
     /**
@@ -57,13 +147,188 @@ class ConfigurationBuilder {
      * will be merged in at the given key path. If it doen't exist it will
      * be created.
      *
+     * An optional configuration source is skipped if its file does not exist
+     * and a configuration source with a predicate is only used if the
+     * predicate holds for the configuration built from the previous sources.
+     * The options may be given in place of the key path.
+     *
      * @public
      * @param {ConfigurationSourceInterface} configurationSource Configuration source to be used in configuration.
-     * @param {?string} keyPath Key path to merge in the configuration from configuration source into.
+     * @param {?(string|Object)} keyPath Key path to merge in the configuration from configuration source into.
+     * @param {Object} [options={}] Configuration source options.
+     * @param {?string} [options.keyPath=null] Key path to merge in the configuration from configuration source into.
+     * @param {boolean} [options.optional=false] Whether to skip the configuration source if its file is missing.
+     * @param {?function(Configuration): (boolean|Promise.<boolean>)} [options.when=null] Predicate deciding if the configuration source is used.
+     * @return {this} The same instance for method chaining.
+     */
+    addConfigurationSource(configurationSource, keyPath = null, options = {}) {
+        if (isObject(keyPath)) {
+            options = keyPath;
+            keyPath = options.keyPath || null;
+        }
+
+        this.configurationSources.push({
+            configurationSource,
+            keyPath,
+            optional: Boolean(options.optional),
+            when: options.when || null
+        });
+
+        return this;
+    }
+
+    /**
+     * Add the layered configuration sources of a profile.
+     *
+     * Given a base file like "config.json" and the profile "production" the
+     * files "config.json", "config.production.json" and "config.local.json"
+     * are added in that order. Only the base file is required. A profile may
+     * inherit from other profiles, in which case their files are added before
+     * the file of the profile itself. The local override file is only added
+     * once, even if "local" is one of the profiles.
+     *
+     * @public
+     * @param {string} file Base configuration file.
+     * @param {Object} [options={}] Profile options.
+     * @param {?string} [options.profile=process.env.NODE_ENV] Active profile.
+     * @param {Object.<string, (string|Array.<string>)>} [options.profiles={}] Profiles each profile inherits from.
+     * @param {boolean} [options.local=true] Whether to add the local override file.
+     * @param {?string} [options.keyPath=null] Key path to merge in the configuration into.
+     * @param {FileConfigurationSourceRegistry} [options.registry] Registry used to create file configuration sources.
+     * @return {this} The same instance for method chaining.
+     * @throws {ConfigurationError} If the profiles inherit from each other in a cycle.
+     */
+    addProfileConfigurationSources(file, options = {}) {
+        const profile = options.profile !== undefined ? options.profile : process.env.NODE_ENV;
+        const registry = options.registry || new FileConfigurationSourceRegistry();
+        const keyPath = options.keyPath || null;
+        const extension = extname(file);
+        const base = file.slice(0, file.length - extension.length);
+        const profiles = profile ? this.resolveProfiles(profile, options.profiles || {}) : [];
+
+        if (options.local !== false && !profiles.includes("local")) {
+            profiles.push("local");
+        }
+
+        this.addConfigurationSource(registry.create(file), keyPath);
+
+        for (const name of profiles) {
+            this.addConfigurationSource(registry.create(`${base}.${name}${extension}`), keyPath, {optional: true});
+        }
+
+        return this;
+    }
+
+    /**
+     * Resolve the given profile into the list of profiles it consists of.
+     *
+     * @private
+     * @param {string} profile Profile to resolve.
+     * @param {Object.<string, (string|Array.<string>)>} profiles Profiles each profile inherits from.
+     * @param {Array.<string>} [path=[]] Profiles currently being resolved.
+     * @param {Array.<string>} [resolved=[]] Profiles resolved so far.
+     * @return {Array.<string>} Profiles with inherited profiles first.
+     * @throws {ConfigurationError} If the profiles inherit from each other in a cycle.
+     */
+    resolveProfiles(profile, profiles, path = [], resolved = []) {
+        if (path.includes(profile)) {
+            throw new ConfigurationError(`Profile "${profile}" inherits from itself: ${[...path, profile].join(" -> ")}`);
+        }
+
+        if (resolved.includes(profile)) {
+            return resolved;
+        }
+
+        const parents = Object.prototype.hasOwnProperty.call(profiles, profile) ? profiles[profile] : [];
+
+        for (const parent of [].concat(parents)) {
+            this.resolveProfiles(parent, profiles, [...path, profile], resolved);
+        }
+
+        resolved.push(profile);
+
+        return resolved;
+    }
+
+    /**
+     * Mark the settings at the given key path as sensitive in every built configuration.
+     *
+     * The key path may contain wildcards like when marking settings of a
+     * configuration as sensitive, e.g. "*.password". Values interpolated from
+     * sensitive settings are sensitive as well.
+     *
+     * @public
+     * @param {string} keyPath Key path or pattern of sensitive settings.
+     * @return {this} The same instance for method chaining.
+     */
+    markSensitive(keyPath) {
+        this.sensitiveKeyPaths.push(keyPath);
+
+        return this;
+    }
+
+    /**
+     * Set a JSON Schema the built configuration must conform to.
+     *
+     * Defaults in the schema are assigned to missing settings and all schema
+     * violations are reported at once when building. Keywords outside the
+     * supported subset of JSON Schema, like "oneOf" or "$ref", make building
+     * fail rather than being ignored.
+     *
+     * @public
+     * @param {?Object} schema JSON Schema describing the configuration settings.
      * @return {this} The same instance for method chaining.
      */
-    addConfigurationSource(configurationSource, keyPath) {
-        this.configurationSources.push({configurationSource, keyPath});
+    setSchema(schema) {
+        this.schema = schema;
+
+        return this;
+    }
+
+    /**
+     * Resolve placeholders in string values once all sources are merged.
+     *
+     * A placeholder like "${database.host}" refers to another setting and
+     * "${env:HOME}" to an environment variable. A default value may be given as
+     * in "${env:PORT:-8080}" and "$${" produces a literal "${".
+     *
+     * @public
+     * @param {Object} [options={}] Interpolation options.
+     * @param {Object.<string, string>} [options.environment=process.env] Environment variables placeholders may refer to.
+     * @return {this} The same instance for method chaining.
+     */
+    enableInterpolation(options = {}) {
+        this.interpolationEnvironment = options.environment || process.env;
+
+        return this;
+    }
+
+    /**
+     * Freeze built configurations so they can't be changed.
+     *
+     * @public
+     * @return {this} The same instance for method chaining.
+     */
+    enableFreezing() {
+        this.freezing = true;
+
+        return this;
+    }
+
+    /**
+     * Use the given merge strategy for arrays at the given key path.
+     *
+     * The strategy takes precedence over the one given when building. A "*"
+     * segment in the key path matches any key or index, as in
+     * "services.*.plugins".
+     *
+     * @public
+     * @param {string} keyPath Key path of the arrays.
+     * @param {MergeStrategy} strategy Merge strategy to use when merging the arrays.
+     * @return {this} The same instance for method chaining.
+     */
+    setMergeStrategy(keyPath, strategy) {
+        this.mergeStrategies[keyPath] = strategy;
 
         return this;
     }
@@ -71,23 +336,156 @@ class ConfigurationBuilder {
     /**
      * Use all provided configuration sources to build a single configuration instance.
      *
+     * The configuration sources are loaded in the order they were added and
+     * each one is given the configuration built from the previous ones.
+     * A source may remove an inherited setting by setting it to "$unset" or
+     * replace it without merging using a {"$replace": value} directive.
+     *
      * @public
      * @async
      * @param {?MergeStrategy} mergeStrategy Merge strategy to use when merging arrays.
      * @return {Promise.<Configuration>} Resulting configuration instance.
+     * @throws {ConfigurationReferenceError} If a placeholder can not be resolved.
+     * @throws {ConfigurationValidationError} If the configuration does not conform to the schema.
+     * @throws {ConfigurationError} If the schema uses unsupported keywords or types.
      */
     async build(mergeStrategy) {
-        const settingsPromises = this.configurationSources.map(async ({ configurationSource, keyPath }) => ({
-            settings: await configurationSource.load(),
-            keyPath
-        }));
-        const resolvedSettings = await Promise.all(settingsPromises);
-
-        return resolvedSettings.reduce((configuration, { settings, keyPath }) => configuration.merge(
-            new Configuration(settings),
-            keyPath,
-            mergeStrategy
-        ), new Configuration());
+        let configuration = new Configuration();
+
+        for (const { configurationSource, keyPath, optional, when } of this.configurationSources) {
+            if (when !== null && !(await when(configuration))) {
+                continue;
+            }
+
+            let settings;
+
+            try {
+                settings = await configurationSource.load(configuration);
+            } catch (error) {
+                if (optional && error.code === "ENOENT") {
+                    continue;
+                }
+
+                throw error;
+            }
+
+            configuration = configuration.merge(
+                new Configuration(
+                    settings,
+                    this.getOrigins(configurationSource, settings),
+                    this.getSensitiveKeyPaths(configurationSource, settings)
+                ),
+                keyPath,
+                mergeStrategy,
+                this.mergeStrategies
+            );
+        }
+
+        this.sensitiveKeyPaths.forEach(sensitiveKeyPath => configuration.markSensitive(sensitiveKeyPath));
+
+        if (this.interpolationEnvironment !== null) {
+            const { settings, sensitiveKeyPaths } = interpolateSettings(
+                configuration.all(),
+                this.interpolationEnvironment,
+                configuration.sensitiveKeyPaths
+            );
+
+            configuration = new Configuration(settings, configuration.origins, configuration.sensitiveKeyPaths);
+            sensitiveKeyPaths.forEach(sensitiveKeyPath => configuration.markSensitive(sensitiveKeyPath));
+        }
+
+        if (this.schema !== null) {
+            configuration = this.validate(configuration);
+        }
+
+        if (this.freezing) {
+            configuration.freeze();
+        }
+
+        return configuration;
+    }
+
+    /**
+     * Record the values supplied by the given configuration source.
+     *
+     * @private
+     * @param {ConfigurationSourceInterface} configurationSource Configuration source that supplied the settings.
+     * @param {Object.<string, *>} settings Supplied settings.
+     * @return {Map.<string, Array.<{value: *, source: string}>>} Supplied values by key path.
+     */
+    getOrigins(configurationSource, settings) {
+        const origins = new Map();
+
+        for (const [keyPath, value] of Object.entries(flattenSettings(stripDirectives(settings)))) {
+            const source = typeof configurationSource.describe === "function"
+                ? configurationSource.describe(keyPath)
+                : configurationSource.constructor.name;
+
+            origins.set(keyPath, [{value, source}]);
+        }
+
+        return origins;
+    }
+
+    /**
+     * Determine the key paths of the sensitive values supplied by the given
+     * configuration source.
+     *
+     * @private
+     * @param {ConfigurationSourceInterface} configurationSource Configuration source that supplied the settings.
+     * @param {Object.<string, *>} settings Supplied settings.
+     * @return {Set.<string>} Key paths of sensitive values.
+     */
+    getSensitiveKeyPaths(configurationSource, settings) {
+        if (typeof configurationSource.isSensitive !== "function" || !configurationSource.isSensitive()) {
+            return new Set();
+        }
+
+        return new Set(Object.keys(flattenSettings(stripDirectives(settings))));
+    }
+
+    /**
+     * Validate the given configuration against the schema.
+     *
+     * @private
+     * @param {Configuration} configuration Configuration to validate.
+     * @return {Configuration} Configuration with schema defaults assigned.
+     * @throws {ConfigurationValidationError} If the configuration does not conform to the schema.
+     * @throws {ConfigurationError} If the schema uses unsupported keywords or types.
+     */
+    validate(configuration) {
+        const { settings, violations } = validateSchema(this.schema, configuration.all());
+
+        if (violations.length > 0) {
+            throw new ConfigurationValidationError(violations.map(violation => Object.assign({}, violation, {
+                source: configuration.explain(violation.keyPath).source
+            })));
+        }
+
+        return new Configuration(settings, configuration.origins, configuration.sensitiveKeyPaths);
+    }
+
+    /**
+     * Build a configuration instance and keep rebuilding it whenever one of
+     * the files or directories the configuration sources report changes.
+     *
+     * @public
+     * @async
+     * @param {?MergeStrategy} mergeStrategy Merge strategy to use when merging arrays.
+     * @param {Object} [options={}] Watcher options.
+     * @param {number} [options.debounce=100] Milliseconds to wait for more changes before rebuilding.
+     * @return {Promise.<ConfigurationWatcher>} Watcher holding the most recently built configuration.
+     */
+    async watch(mergeStrategy, options = {}) {
+        const watcher = new ConfigurationWatcher(() => this.build(mergeStrategy), await this.build(mergeStrategy), options);
+        const paths = this.configurationSources
+            .map(({ configurationSource }) => configurationSource)
+            .filter(configurationSource => typeof configurationSource.getWatchPaths === "function")
+            .flatMap(configurationSource => configurationSource.getWatchPaths());
+
+        await watcher.watch(paths);
+
+        return watcher;
     }
 }
 
@@ -0,0 +1,179 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { inspect } from "util";
+
+/**
+ * Mask of sensitive values.
+ *
+ * @private
+ * @type {string}
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Markers and colors of the entry types when rendered.
+ *
+ * @private
+ * @type {Object.<string, {marker: string, color: string}>}
+ */
+const STYLES = {
+    added: {marker: "+", color: "\u001b[32m"},
+    removed: {marker: "-", color: "\u001b[31m"},
+    changed: {marker: "~", color: "\u001b[33m"}
+};
+
+/**
+ * The differences between two configurations.
+ *
+ * Every entry describes a value by key path that was added, removed or
+ * changed, with its old and new value. Entries may carry the values with
+ * sensitive settings masked as well, in which case those are rendered,
+ * serialized to JSON and inspected instead.
+ */
+class ConfigurationDiff {
+    /**
+     * Create a new configuration diff instance.
+     *
+     * @public
+     * @param {Array.<{type: string, keyPath: string, oldValue: *, newValue: *, redactedOldValue: *, redactedNewValue: *}>} entries Added, removed and changed values.
+     */
+    constructor(entries) {
+        /**
+         * Added, removed and changed values in order.
+         *
+         * @public
+         * @type {Array.<{type: string, keyPath: string, oldValue: *, newValue: *, redactedOldValue: *, redactedNewValue: *}>}
+         */
+        this.entries = entries;
+
+        /**
+         * Added values.
+         *
+         * @public
+         * @type {Array.<{type: string, keyPath: string, oldValue: *, newValue: *, redactedOldValue: *, redactedNewValue: *}>}
+         */
+        this.added = entries.filter(({ type }) => type === "added");
+
+        /**
+         * Removed values.
+         *
+         * @public
+         * @type {Array.<{type: string, keyPath: string, oldValue: *, newValue: *, redactedOldValue: *, redactedNewValue: *}>}
+         */
+        this.removed = entries.filter(({ type }) => type === "removed");
+
+        /**
+         * Changed values.
+         *
+         * @public
+         * @type {Array.<{type: string, keyPath: string, oldValue: *, newValue: *, redactedOldValue: *, redactedNewValue: *}>}
+         */
+        this.changed = entries.filter(({ type }) => type === "changed");
+    }
+
+    /**
+     * Determine if the configurations are equal.
+     *
+     * @public
+     * @return {boolean} True if there are no differences.
+     */
+    isEmpty() {
+        return this.entries.length === 0;
+    }
+
+    /**
+     * Render the differences as text with one line per entry.
+     *
+     * Added values are prefixed with "+", removed values with "-" and changed
+     * values with "~". Sensitive values are masked.
+     *
+     * @public
+     * @param {Object} [options={}] Render options.
+     * @param {boolean} [options.colors=false] Whether to color the lines using ANSI escape codes.
+     * @return {string} Rendered differences.
+     */
+    render(options = {}) {
+        if (this.isEmpty()) {
+            return "No changes";
+        }
+
+        return this.entries.map(this.redactEntry).map(entry => {
+            const { marker, color } = STYLES[entry.type];
+            const oldValue = this.formatValue(entry.oldValue);
+            const newValue = this.formatValue(entry.newValue);
+            const line = {
+                added: `${marker} ${entry.keyPath}: ${newValue}`,
+                removed: `${marker} ${entry.keyPath}: ${oldValue}`,
+                changed: `${marker} ${entry.keyPath}: ${oldValue} -> ${newValue}`
+            }[entry.type];
+
+            return options.colors ? `${color}${line}\u001b[0m` : line;
+        }).join("\n");
+    }
+
+    /**
+     * Render the differences as text.
+     *
+     * @public
+     * @return {string} Rendered differences.
+     */
+    toString() {
+        return this.render();
+    }
+
+    /**
+     * Provide the entries to serialize to JSON with sensitive values masked.
+     *
+     * @public
+     * @return {Array.<{type: string, keyPath: string, oldValue: *, newValue: *}>} Redacted entries.
+     */
+    toJSON() {
+        return this.entries.map(this.redactEntry);
+    }
+
+    /**
+     * Describe the differences with sensitive values masked when inspected.
+     *
+     * @public
+     * @param {number} depth Current depth of the inspection.
+     * @param {Object} options Inspection options.
+     * @return {string} Description of the differences.
+     */
+    [inspect.custom](depth, options) {
+        return `${this.constructor.name} ${inspect(this.toJSON(), options)}`;
+    }
+
+    /**
+     * Replace the values of the given entry with its masked values, if any.
+     *
+     * @private
+     * @param {{type: string, keyPath: string, oldValue: *, newValue: *, redactedOldValue: *, redactedNewValue: *}} entry Entry to redact.
+     * @return {{type: string, keyPath: string, oldValue: *, newValue: *}} Redacted entry.
+     */
+    redactEntry(entry) {
+        return {
+            type: entry.type,
+            keyPath: entry.keyPath,
+            oldValue: "redactedOldValue" in entry ? entry.redactedOldValue : entry.oldValue,
+            newValue: "redactedNewValue" in entry ? entry.redactedNewValue : entry.newValue
+        };
+    }
+
+    /**
+     * Format the given value for rendering.
+     *
+     * @private
+     * @param {*} value Value to format.
+     * @return {string} Formatted value.
+     */
+    formatValue(value) {
+        return value === REDACTED ? REDACTED : JSON.stringify(value);
+    }
+}
+
+export default ConfigurationDiff;
@@ -0,0 +1,25 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Base class for all errors raised by the configuration component.
+ */
+class ConfigurationError extends Error {
+    /**
+     * Create a new configuration error instance.
+     *
+     * @public
+     * @param {string} message Error message.
+     */
+    constructor(message) {
+        super(message);
+
+        this.name = this.constructor.name;
+    }
+}
+
+export default ConfigurationError;
@@ -0,0 +1,52 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import ConfigurationError from "./ConfigurationError.js";
+
+/**
+ * Raised when a configuration source is unable to parse its contents.
+ */
+class ConfigurationParseError extends ConfigurationError {
+    /**
+     * Create a new parse error instance.
+     *
+     * @public
+     * @param {string} message Error message.
+     * @param {string} file File that failed to parse.
+     * @param {?number} [line=null] Line where the error occurred.
+     * @param {?number} [column=null] Column where the error occurred.
+     */
+    constructor(message, file, line = null, column = null) {
+        super(message);
+
+        /**
+         * File that failed to parse.
+         *
+         * @public
+         * @type {string}
+         */
+        this.file = file;
+
+        /**
+         * Line where the error occurred.
+         *
+         * @public
+         * @type {?number}
+         */
+        this.line = line;
+
+        /**
+         * Column where the error occurred.
+         *
+         * @public
+         * @type {?number}
+         */
+        this.column = column;
+    }
+}
+
+export default ConfigurationParseError;
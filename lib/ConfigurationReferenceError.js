@@ -0,0 +1,34 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import ConfigurationError from "./ConfigurationError.js";
+
+/**
+ * Raised when a placeholder in a configuration value can not be resolved.
+ */
+class ConfigurationReferenceError extends ConfigurationError {
+    /**
+     * Create a new reference error instance.
+     *
+     * @public
+     * @param {string} message Error message.
+     * @param {Array.<string>} chain Key paths followed up to the offending reference.
+     */
+    constructor(message, chain) {
+        super(`${message}: ${chain.join(" -> ")}`);
+
+        /**
+         * Key paths followed up to the offending reference.
+         *
+         * @public
+         * @type {Array.<string>}
+         */
+        this.chain = chain;
+    }
+}
+
+export default ConfigurationReferenceError;
@@ -0,0 +1,473 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { inspect } from "util";
+
+import ConfigurationError from "./ConfigurationError.js";
+import cloneValue from "./cloneValue.js";
+import diffConfigurations from "./diffConfigurations.js";
+import formatKeyPath from "./formatKeyPath.js";
+import formatSettings from "./formatSettings.js";
+import isObject from "./isObject.js";
+import parseKeyPath, { DEEP_WILDCARD, WILDCARD } from "./parseKeyPath.js";
+
+/**
+ * A view of the settings under a key path of another configuration.
+ *
+ * All key paths are relative to the key path of the section and every
+ * operation reads and writes through to the underlying configuration, so no
+ * settings are copied.
+ *
+ * @implements {ConfigurationInterface}
+ */
+class ConfigurationSection {
+    /**
+     * Create a new configuration section instance.
+     *
+     * @public
+     * @param {ConfigurationInterface} configuration Underlying configuration.
+     * @param {string} keyPath Key path of the section in the underlying configuration.
+     */
+    constructor(configuration, keyPath) {
+        /**
+         * Underlying configuration.
+         *
+         * @private
+         * @type {ConfigurationInterface}
+         */
+        this.configuration = configuration;
+
+        /**
+         * Key path of the section in the underlying configuration.
+         *
+         * @private
+         * @type {string}
+         */
+        this.keyPath = keyPath;
+
+        /**
+         * Whether the section is read only.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.frozen = false;
+    }
+
+    /**
+     * Assign a value to a key path.
+     *
+     * @public
+     * @param {string} keyPath Key path to assign a value to.
+     * @param {*} value Value to assign to the key path.
+     * @throws {ConfigurationError} If the section or the underlying configuration is frozen.
+     */
+    set(keyPath, value) {
+        this.assertNotFrozen(`set "${keyPath}"`);
+        this.configuration.set(this.resolveKeyPath(keyPath), value);
+    }
+
+    /**
+     * Determine if the key path exists in the section.
+     *
+     * @public
+     * @param {string} keyPath Key path to check for.
+     * @return {boolean} True if the key path exists in the section.
+     */
+    has(keyPath) {
+        return this.configuration.has(this.resolveKeyPath(keyPath));
+    }
+
+    /**
+     * Retrieve the value at the given key path.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {*} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {*} The value at the key path or default value.
+     */
+    get(keyPath, defaultValue = null) {
+        return this.configuration.get(this.resolveKeyPath(keyPath), defaultValue);
+    }
+
+    /**
+     * Retrieve all values matching the given key path.
+     *
+     * @public
+     * @param {string} keyPath Key path to match.
+     * @return {Object.<string, *>} Matching values by key path relative to the section.
+     */
+    getAll(keyPath) {
+        const prefixLength = parseKeyPath(this.keyPath).length;
+        const matches = this.configuration.getAll(this.resolveKeyPath(keyPath));
+
+        return Object.fromEntries(Object.entries(matches).map(([matchedKeyPath, value]) => [
+            formatKeyPath(parseKeyPath(matchedKeyPath).slice(prefixLength)),
+            value
+        ]));
+    }
+
+    /**
+     * Retrieve the value at the given key path, which must exist.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @return {*} The value at the key path.
+     * @throws {ConfigurationError} If the key path doesn't exist.
+     */
+    require(keyPath) {
+        return this.configuration.require(this.resolveKeyPath(keyPath));
+    }
+
+    /**
+     * Retrieve the value at the given key path as a string.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?string} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?string} The value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getString(keyPath, defaultValue = null) {
+        return this.configuration.getString(this.resolveKeyPath(keyPath), defaultValue);
+    }
+
+    /**
+     * Retrieve the value at the given key path as a number.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?number} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?number} The value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getNumber(keyPath, defaultValue = null) {
+        return this.configuration.getNumber(this.resolveKeyPath(keyPath), defaultValue);
+    }
+
+    /**
+     * Retrieve the value at the given key path as a boolean.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?boolean} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?boolean} The value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getBoolean(keyPath, defaultValue = null) {
+        return this.configuration.getBoolean(this.resolveKeyPath(keyPath), defaultValue);
+    }
+
+    /**
+     * Retrieve the value at the given key path as an array.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?Array} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?Array} The value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getArray(keyPath, defaultValue = null) {
+        return this.configuration.getArray(this.resolveKeyPath(keyPath), defaultValue);
+    }
+
+    /**
+     * Retrieve the value at the given key path as a duration in milliseconds.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?number} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?number} The value at the key path in milliseconds or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getDuration(keyPath, defaultValue = null) {
+        return this.configuration.getDuration(this.resolveKeyPath(keyPath), defaultValue);
+    }
+
+    /**
+     * Retrieve the value at the given key path as a size in bytes.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?number} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?number} The value at the key path in bytes or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getBytes(keyPath, defaultValue = null) {
+        return this.configuration.getBytes(this.resolveKeyPath(keyPath), defaultValue);
+    }
+
+    /**
+     * Retrieve the value at the given key path as a URL.
+     *
+     * @public
+     * @param {string} keyPath Key path to retrieve value from.
+     * @param {?URL} [defaultValue=null] Value to return if key path doesn't exist.
+     * @return {?URL} The value at the key path or default value.
+     * @throws {ConfigurationTypeError} If the value can not be converted.
+     */
+    getUrl(keyPath, defaultValue = null) {
+        return this.configuration.getUrl(this.resolveKeyPath(keyPath), defaultValue);
+    }
+
+    /**
+     * Retrieves all settings in the section.
+     *
+     * A copy of the settings is returned unless the underlying configuration
+     * is frozen.
+     *
+     * @public
+     * @return {Object.<string, *>} All settings.
+     */
+    all() {
+        const settings = this.configuration.get(this.keyPath, {});
+
+        if (!isObject(settings)) {
+            return {};
+        }
+
+        return this.configuration.isFrozen() ? settings : cloneValue(settings);
+    }
+
+    /**
+     * Remove key path from the section.
+     *
+     * @public
+     * @param {string} keyPath Key path to be removed.
+     * @throws {ConfigurationError} If the section or the underlying configuration is frozen.
+     */
+    remove(keyPath) {
+        this.assertNotFrozen(`remove "${keyPath}"`);
+        this.configuration.remove(this.resolveKeyPath(keyPath));
+    }
+
+    /**
+     * Removes all settings in the section effectively leaving it empty.
+     *
+     * @public
+     * @throws {ConfigurationError} If the section or the underlying configuration is frozen.
+     */
+    clear() {
+        this.assertNotFrozen("clear configuration");
+        this.configuration.set(this.keyPath, {});
+    }
+
+    /**
+     * Produce a new configuration instance by merging the given configuration
+     * with this section.
+     *
+     * The result is a section of a merged copy of the underlying
+     * configuration, which is left untouched.
+     *
+     * @public
+     * @param {ConfigurationInterface} configuration Configuration instance to merge with.
+     * @param {string} [keyPath=null] Key path to merge in the new instance at.
+     * @param {MergeStrategy} [strategy=MergeStrategy.MERGE_INDEXED] Merge strategy to use when merging arrays.
+     * @param {Object.<string, MergeStrategy>} [strategies={}] Merge strategies to use for arrays at specific key paths.
+     * @return {ConfigurationSection} Merged configuration instance.
+     */
+    merge(configuration, keyPath = null, strategy, strategies = {}) {
+        const resolvedStrategies = {};
+
+        for (const [strategyKeyPath, keyPathStrategy] of Object.entries(strategies)) {
+            resolvedStrategies[this.resolveKeyPath(strategyKeyPath)] = keyPathStrategy;
+        }
+
+        return this.configuration.merge(
+            configuration,
+            keyPath !== null ? this.resolveKeyPath(keyPath) : this.keyPath,
+            strategy,
+            resolvedStrategies
+        ).section(this.keyPath);
+    }
+
+    /**
+     * Make the section read only.
+     *
+     * The underlying configuration is not affected.
+     *
+     * @public
+     * @return {this} The same instance for method chaining.
+     */
+    freeze() {
+        this.frozen = true;
+
+        return this;
+    }
+
+    /**
+     * Determine if the section is read only.
+     *
+     * @public
+     * @return {boolean} True if the section or the underlying configuration is frozen.
+     */
+    isFrozen() {
+        return this.frozen || this.configuration.isFrozen();
+    }
+
+    /**
+     * Mark the settings at the given key path as sensitive.
+     *
+     * A leading "*" matches at any depth within the section.
+     *
+     * @public
+     * @param {string} keyPath Key path or pattern of sensitive settings.
+     * @return {this} The same instance for method chaining.
+     */
+    markSensitive(keyPath) {
+        const segments = parseKeyPath(keyPath);
+
+        if (segments[0] === WILDCARD) {
+            segments[0] = DEEP_WILDCARD;
+        }
+
+        this.configuration.markSensitive(this.resolveKeyPath(formatKeyPath(segments)));
+
+        return this;
+    }
+
+    /**
+     * Determine if the setting at the given key path is sensitive.
+     *
+     * @public
+     * @param {string} keyPath Key path to check.
+     * @return {boolean} True if the setting is sensitive.
+     */
+    isSensitive(keyPath) {
+        return this.configuration.isSensitive(this.resolveKeyPath(keyPath));
+    }
+
+    /**
+     * Retrieve all settings of the section with sensitive settings masked.
+     *
+     * @public
+     * @return {Object.<string, *>} All settings with sensitive values replaced by "[REDACTED]".
+     */
+    redacted() {
+        const settings = parseKeyPath(this.keyPath).reduce(
+            (value, segment) => value !== null && typeof value === "object" ? value[segment] : undefined,
+            this.configuration.redacted()
+        );
+
+        return isObject(settings) ? settings : {};
+    }
+
+    /**
+     * Provide the settings to serialize to JSON with sensitive settings masked.
+     *
+     * @public
+     * @return {Object.<string, *>} Redacted settings.
+     */
+    toJSON() {
+        return this.redacted();
+    }
+
+    /**
+     * Describe the section with sensitive settings masked when inspected.
+     *
+     * @public
+     * @param {number} depth Current depth of the inspection.
+     * @param {Object} options Inspection options.
+     * @return {string} Description of the section.
+     */
+    [inspect.custom](depth, options) {
+        return `${this.constructor.name} ${inspect(this.redacted(), options)}`;
+    }
+
+    /**
+     * Serialize the settings into the given format.
+     *
+     * Settings are flattened into variables like "APP_DATABASE__HOST" for
+     * dotenv files and may be flattened into keys like "database.host" for
+     * JSON and YAML as well.
+     *
+     * @public
+     * @param {string} format Either "json", "yaml" or "env".
+     * @param {Object} [options={}] Serialization options.
+     * @param {boolean} [options.flatten=false] Whether to flatten JSON and YAML settings.
+     * @param {string} [options.separator] Separator between flattened keys, "__" for dotenv and "." otherwise.
+     * @param {string} [options.prefix=""] Prefix of dotenv variable names.
+     * @param {number} [options.indent=4] Number of spaces to indent JSON with.
+     * @param {boolean} [options.redact=false] Whether to mask sensitive settings.
+     * @return {string} Serialized settings.
+     * @throws {ConfigurationError} If the format is not supported or a key is not a valid variable name.
+     */
+    toFormat(format, options = {}) {
+        return formatSettings(options.redact ? this.redacted() : this.all(), format, options);
+    }
+
+    /**
+     * Subscribe to changes at or under the given key path.
+     *
+     * @public
+     * @param {string} keyPath Key path to subscribe to.
+     * @param {function(*, *)} listener Listener called with the new and old value.
+     * @return {function()} Function removing the subscription.
+     */
+    onChange(keyPath, listener) {
+        return this.configuration.onChange(this.resolveKeyPath(keyPath), listener);
+    }
+
+    /**
+     * Explain where the value at the given key path comes from.
+     *
+     * @public
+     * @param {string} keyPath Key path to explain.
+     * @return {{keyPath: string, value: *, source: ?string, overridden: Array.<{value: *, source: string}>}} Explanation of the value.
+     */
+    explain(keyPath) {
+        return Object.assign(this.configuration.explain(this.resolveKeyPath(keyPath)), {keyPath});
+    }
+
+    /**
+     * Describe what changed between this section and the given configuration.
+     *
+     * @public
+     * @param {ConfigurationInterface} configuration Configuration to compare with.
+     * @return {ConfigurationDiff} Values added, removed and changed in the given configuration.
+     */
+    diff(configuration) {
+        return diffConfigurations(this, configuration);
+    }
+
+    /**
+     * Create a view of the settings under the given key path.
+     *
+     * @public
+     * @param {string} keyPath Key path of the section.
+     * @return {ConfigurationSection} View of the settings under the key path.
+     */
+    section(keyPath) {
+        return new ConfigurationSection(this, keyPath);
+    }
+
+    /**
+     * Resolve the given key path in the underlying configuration.
+     *
+     * @private
+     * @param {string} keyPath Key path relative to the section.
+     * @return {string} Key path in the underlying configuration.
+     */
+    resolveKeyPath(keyPath) {
+        return `${this.keyPath}.${keyPath}`;
+    }
+
+    /**
+     * Make sure the section may be changed.
+     *
+     * @private
+     * @param {string} operation Description of the attempted change.
+     * @throws {ConfigurationError} If the section is frozen.
+     */
+    assertNotFrozen(operation) {
+        if (this.frozen) {
+            throw new ConfigurationError(`Unable to ${operation}: Configuration is frozen`);
+        }
+    }
+}
+
+export default ConfigurationSection;
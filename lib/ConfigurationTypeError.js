@@ -0,0 +1,43 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import ConfigurationError from "./ConfigurationError.js";
+
+/**
+ * Raised when a configuration value can not be converted into the requested type.
+ */
+class ConfigurationTypeError extends ConfigurationError {
+    /**
+     * Create a new type error instance.
+     *
+     * @public
+     * @param {string} keyPath Key path of the value.
+     * @param {string} type Requested type.
+     * @param {*} value Value that could not be converted.
+     */
+    constructor(keyPath, type, value) {
+        super(`Expected "${keyPath}" to be ${type} but got ${JSON.stringify(value)}`);
+
+        /**
+         * Key path of the value.
+         *
+         * @public
+         * @type {string}
+         */
+        this.keyPath = keyPath;
+
+        /**
+         * Requested type.
+         *
+         * @public
+         * @type {string}
+         */
+        this.type = type;
+    }
+}
+
+export default ConfigurationTypeError;
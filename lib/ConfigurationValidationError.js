@@ -0,0 +1,39 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import ConfigurationError from "./ConfigurationError.js";
+
+/**
+ * Raised when a configuration does not conform to its schema.
+ *
+ * All violations are collected so they can be reported at once.
+ */
+class ConfigurationValidationError extends ConfigurationError {
+    /**
+     * Create a new validation error instance.
+     *
+     * @public
+     * @param {Array.<{keyPath: string, message: string, source: ?string}>} violations Schema violations.
+     */
+    constructor(violations) {
+        const lines = violations.map(({ keyPath, message, source }) => source
+            ? `  ${keyPath || "(root)"} ${message} (from ${source})`
+            : `  ${keyPath || "(root)"} ${message}`);
+
+        super(`Configuration is invalid:\n${lines.join("\n")}`);
+
+        /**
+         * Schema violations.
+         *
+         * @public
+         * @type {Array.<{keyPath: string, message: string, source: ?string}>}
+         */
+        this.violations = violations;
+    }
+}
+
+export default ConfigurationValidationError;
@@ -0,0 +1,279 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { EventEmitter } from "events";
+import { watch } from "fs";
+import { stat } from "fs/promises";
+import { basename, dirname } from "path";
+
+/**
+ * Name of the symlink Kubernetes swaps when updating mounted files.
+ *
+ * @private
+ * @type {string}
+ */
+const KUBERNETES_DATA = "..data";
+
+/**
+ * A configuration watcher keeps a configuration up to date with the files it
+ * was built from.
+ *
+ * Changes to the files are debounced before the configuration is rebuilt. If
+ * the rebuilt configuration differs a "change" event is emitted with the new
+ * configuration, the key paths that changed and a diff describing the
+ * changes. If the rebuild fails the last good configuration is kept and an
+ * "error" event is emitted if anyone is listening for it. Errors thrown by
+ * "change" listeners are reported the same way.
+ *
+ * Subscriptions made through "onChange" on the current configuration are
+ * handed over to every rebuilt configuration, so they keep being notified
+ * of changed values across reloads. Settings marked as sensitive on the
+ * current configuration stay sensitive in the rebuilt one as well.
+ *
+ * Files mounted from a Kubernetes ConfigMap or Secret are replaced by
+ * swapping the "..data" symlink of their directory, which is picked up as a
+ * change of every watched file in that directory.
+ */
+class ConfigurationWatcher extends EventEmitter {
+    /**
+     * Create a new configuration watcher instance.
+     *
+     * @public
+     * @param {function(): Promise.<Configuration>} build Function building a new configuration.
+     * @param {Configuration} configuration Current configuration.
+     * @param {Object} [options={}] Watcher options.
+     * @param {number} [options.debounce=100] Milliseconds to wait for more changes before rebuilding.
+     */
+    constructor(build, configuration, options = {}) {
+        super();
+
+        /**
+         * Function building a new configuration.
+         *
+         * @private
+         * @type {function(): Promise.<Configuration>}
+         */
+        this.build = build;
+
+        /**
+         * Current configuration.
+         *
+         * @private
+         * @type {Configuration}
+         */
+        this.currentConfiguration = configuration;
+
+        /**
+         * Milliseconds to wait for more changes before rebuilding.
+         *
+         * @private
+         * @type {number}
+         */
+        this.debounce = options.debounce !== undefined ? options.debounce : 100;
+
+        /**
+         * Active file system watchers.
+         *
+         * @private
+         * @type {Array.<FSWatcher>}
+         */
+        this.watchers = [];
+
+        /**
+         * Pending rebuild timer.
+         *
+         * @private
+         * @type {?Timeout}
+         */
+        this.timer = null;
+
+        /**
+         * Whether a rebuild is in progress.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.rebuilding = false;
+
+        /**
+         * Whether another rebuild is needed once the current one is done.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.pending = false;
+
+        /**
+         * Whether the watcher has been closed.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.closed = false;
+    }
+
+    /**
+     * The most recently built configuration.
+     *
+     * @public
+     * @type {Configuration}
+     */
+    get configuration() {
+        return this.currentConfiguration;
+    }
+
+    /**
+     * Start watching the given files and directories.
+     *
+     * Files are watched through their directory so files that do not exist
+     * yet or are replaced rather than modified are picked up as well. Paths
+     * in directories that do not exist are skipped. If watching fails for
+     * any other reason the watcher is closed.
+     *
+     * @public
+     * @async
+     * @param {Array.<string>} paths Files and directories to watch.
+     * @throws {Error} If a directory can not be watched.
+     */
+    async watch(paths) {
+        const filters = new Map();
+
+        for (const path of paths) {
+            const isDirectory = await stat(path).then(stats => stats.isDirectory(), () => false);
+            const directory = isDirectory ? path : dirname(path);
+
+            if (!filters.has(directory)) {
+                filters.set(directory, new Set());
+            }
+
+            filters.get(directory).add(isDirectory ? null : basename(path));
+        }
+
+        for (const [directory, names] of filters) {
+            let watcher;
+
+            try {
+                watcher = watch(directory, (event, name) => {
+                    if (names.has(null) || names.has(name) || name === KUBERNETES_DATA) {
+                        this.scheduleRebuild();
+                    }
+                });
+            } catch (error) {
+                if (error.code === "ENOENT") {
+                    continue;
+                }
+
+                this.close();
+
+                throw error;
+            }
+
+            watcher.on("error", error => this.reportError(error));
+            this.watchers.push(watcher);
+        }
+    }
+
+    /**
+     * Stop watching for changes.
+     *
+     * A rebuild in progress is discarded once it is done.
+     *
+     * @public
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+
+    /**
+     * Schedule a rebuild once changes have settled.
+     *
+     * Nothing is scheduled once the watcher has been closed.
+     *
+     * @private
+     */
+    scheduleRebuild() {
+        if (this.watchers.length === 0) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.rebuild().catch(error => this.reportError(error)), this.debounce);
+    }
+
+    /**
+     * Report the given error to the error listeners.
+     *
+     * Without listeners the error is dropped rather than thrown, since it
+     * would otherwise surface as an unhandled rejection.
+     *
+     * @private
+     * @param {Error} error Error to report.
+     */
+    reportError(error) {
+        if (this.listenerCount("error") > 0) {
+            this.emit("error", error);
+        }
+    }
+
+    /**
+     * Rebuild the configuration and notify listeners about changes.
+     *
+     * @private
+     * @async
+     */
+    async rebuild() {
+        if (this.rebuilding) {
+            this.pending = true;
+
+            return;
+        }
+
+        let configuration = null;
+        let error = null;
+
+        this.rebuilding = true;
+
+        try {
+            configuration = await this.build();
+        } catch (buildError) {
+            error = buildError;
+        }
+
+        this.rebuilding = false;
+
+        if (this.closed) {
+            return;
+        }
+
+        if (this.pending) {
+            this.pending = false;
+            this.scheduleRebuild();
+        }
+
+        if (error !== null) {
+            this.reportError(error);
+
+            return;
+        }
+
+        this.currentConfiguration.sensitiveKeyPaths.forEach(keyPath => configuration.markSensitive(keyPath));
+
+        const diff = this.currentConfiguration.diff(configuration);
+
+        configuration.takeOverListeners(this.currentConfiguration);
+        this.currentConfiguration = configuration;
+
+        if (!diff.isEmpty()) {
+            this.emit("change", configuration, diff.entries.map(({ keyPath }) => keyPath), diff);
+        }
+    }
+}
+
+export default ConfigurationWatcher;
@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { readdir } from "fs/promises";
+import { basename, dirname, extname, join } from "path";
+
+import Configuration from "./Configuration.js";
+import FileConfigurationSourceRegistry from "./FileConfigurationSourceRegistry.js";
+import MergeStrategy from "./MergeStrategy.js";
+import flattenSettings from "./flattenSettings.js";
+import formatKeyPath from "./formatKeyPath.js";
+import mergeObjects from "./mergeObjects.js";
+import stripDirectives from "./stripDirectives.js";
+
+/**
+ * A configuration source loading every matching file in a directory.
+ *
+ * The path is either a directory, in which case every file with a registered
+ * extension is loaded, or a glob pattern like "conf.d/*.yaml" where the
+ * wildcards "*", "?" and "{a,b}" may be used in the file name. The files are
+ * merged in the order of their names. Merge directives like "$unset" are kept
+ * for the settings to be merged with.
+ *
+ * JavaScript modules are not loaded unless enabled, since loading a module
+ * runs its code.
+ *
+ * @implements {ConfigurationSourceInterface}
+ */
+class DirectoryConfigurationSource {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @public
+     * @param {string} path Directory or glob pattern of files to load.
+     * @param {Object} [options={}] Configuration source options.
+     * @param {FileConfigurationSourceRegistry} [options.registry] Registry used to create file configuration sources.
+     * @param {boolean} [options.modules=false] Whether the default registry loads JavaScript modules.
+     * @param {boolean} [options.mount=false] Whether to merge each file in at a key path named after the file.
+     * @param {MergeStrategy} [options.mergeStrategy=MergeStrategy.MERGE_INDEXED] Merge strategy to use when merging arrays.
+     */
+    constructor(path, options = {}) {
+        const isPattern = /[*?{]/.test(basename(path));
+
+        /**
+         * Directory to load files from.
+         *
+         * @private
+         * @type {string}
+         */
+        this.directory = isPattern ? dirname(path) : path;
+
+        /**
+         * Pattern file names must match, or null to match all registered files.
+         *
+         * @private
+         * @type {?RegExp}
+         */
+        this.pattern = isPattern ? this.compilePattern(basename(path)) : null;
+
+        /**
+         * Registry used to create file configuration sources.
+         *
+         * @private
+         * @type {FileConfigurationSourceRegistry}
+         */
+        this.registry = options.registry || new FileConfigurationSourceRegistry({modules: Boolean(options.modules)});
+
+        /**
+         * Whether to merge each file in at a key path named after the file.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.mount = Boolean(options.mount);
+
+        /**
+         * Merge strategy to use when merging arrays.
+         *
+         * @private
+         * @type {MergeStrategy}
+         */
+        this.mergeStrategy = options.mergeStrategy || MergeStrategy.MERGE_INDEXED;
+
+        /**
+         * Files the loaded values come from by key path.
+         *
+         * @private
+         * @type {Map.<string, string>}
+         */
+        this.files = new Map();
+    }
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @public
+     * @async
+     * @param {Configuration} [configuration] Configuration built from previously added sources.
+     * @return {Promise.<Object.<string, *>>} Configuration settings.
+     * @throws {ConfigurationError} If a matching file has no registered configuration source.
+     */
+    async load(configuration = new Configuration()) {
+        let settings = {};
+
+        this.files = new Map();
+
+        for (const file of await this.getFiles()) {
+            let fileSettings = await this.registry.create(file).load(configuration);
+
+            if (this.mount) {
+                const mountedConfiguration = new Configuration();
+
+                mountedConfiguration.set(this.getMountKeyPath(file), fileSettings);
+                fileSettings = mountedConfiguration.all();
+            }
+
+            settings = mergeObjects(settings, fileSettings, this.mergeStrategy, {}, "", true);
+
+            for (const fileKeyPath of Object.keys(flattenSettings(stripDirectives(fileSettings)))) {
+                this.files.set(fileKeyPath, file);
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @public
+     * @param {string} keyPath Key path of the value.
+     * @return {string} File the value was loaded from.
+     */
+    describe(keyPath) {
+        return this.files.get(keyPath) || this.directory;
+    }
+
+    /**
+     * Provide the files and directories the settings are loaded from.
+     *
+     * @public
+     * @return {Array.<string>} Directory the files are loaded from.
+     */
+    getWatchPaths() {
+        return [this.directory];
+    }
+
+    /**
+     * Retrieve the files to load in order.
+     *
+     * @public
+     * @async
+     * @return {Promise.<Array.<string>>} Paths of the files to load.
+     */
+    async getFiles() {
+        const entries = await readdir(this.directory, {withFileTypes: true});
+
+        return entries.filter(entry => entry.isFile())
+            .map(entry => entry.name)
+            .filter(name => this.pattern ? this.pattern.test(name) : this.registry.has(name))
+            .sort()
+            .map(name => join(this.directory, name));
+    }
+
+    /**
+     * Determine the key path to mount the given file at.
+     *
+     * @private
+     * @param {string} file File to determine key path for.
+     * @return {string} Key path of a single key named after the file.
+     */
+    getMountKeyPath(file) {
+        return formatKeyPath([basename(file, extname(file))]);
+    }
+
+    /**
+     * Compile the given file name glob pattern into a regular expression.
+     *
+     * @private
+     * @param {string} pattern Glob pattern to compile.
+     * @return {RegExp} Regular expression matching the same file names.
+     */
+    compilePattern(pattern) {
+        const expression = pattern.replace(/[.+^$()|[\]\\]/g, "\\$&")
+            .replace(/\*/g, ".*")
+            .replace(/\?/g, ".")
+            .replace(/\{([^}]*)\}/g, (match, alternatives) => `(?:${alternatives.split(",").join("|")})`);
+
+        return new RegExp(`^${expression}$`);
+    }
+}
+
+export default DirectoryConfigurationSource;
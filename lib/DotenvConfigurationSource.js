@@ -0,0 +1,226 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import AbstractFileConfigurationSource from "./AbstractFileConfigurationSource.js";
+import Configuration from "./Configuration.js";
+import ConfigurationParseError from "./ConfigurationParseError.js";
+import coerceValue from "./coerceValue.js";
+import variableNameToKeyPath from "./variableNameToKeyPath.js";
+
+/**
+ * Escape sequences recognized in double quoted values.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+const ESCAPE_SEQUENCES = {
+    n: "\n",
+    r: "\r",
+    t: "\t"
+};
+
+/**
+ * A dotenv (.env) file configuration source.
+ *
+ * Variable names are mapped to key paths by splitting them on the separator,
+ * e.g. "DATABASE__HOST" becomes "database.host", taking every segment as a
+ * key as is. References like "${NAME}" or "${NAME:-default}" in unquoted and
+ * double quoted values are expanded using previously defined variables and
+ * then the environment. The environment is never modified.
+ *
+ * @implements {ConfigurationSourceInterface}
+ */
+class DotenvConfigurationSource extends AbstractFileConfigurationSource {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @public
+     * @param {string} file Configuration file to load.
+     * @param {Object} [options={}] Configuration source options.
+     * @param {Object.<string, string>} [options.environment=process.env] Environment variables used in expansion.
+     * @param {string} [options.separator="__"] Separator between key path segments.
+     * @param {boolean} [options.coerce=false] Whether to coerce values into typed values.
+     */
+    constructor(file, options = {}) {
+        super(file);
+
+        /**
+         * Environment variables used in expansion.
+         *
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.environment = options.environment || process.env;
+
+        /**
+         * Separator between key path segments.
+         *
+         * @private
+         * @type {string}
+         */
+        this.separator = options.separator || "__";
+
+        /**
+         * Whether to coerce values into typed values.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.coerce = Boolean(options.coerce);
+    }
+
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @public
+     * @param {string} content Content to parse.
+     * @return {Object.<string, *>} Configuration settings.
+     * @throws {ConfigurationParseError} If the content is not valid dotenv content.
+     */
+    parse(content) {
+        const variables = this.parseVariables(content);
+        const configuration = new Configuration();
+
+        for (const [name, value] of Object.entries(variables)) {
+            configuration.set(
+                variableNameToKeyPath(name, this.separator),
+                this.coerce ? coerceValue(value) : value
+            );
+        }
+
+        return configuration.all();
+    }
+
+    /**
+     * Parse the given dotenv content into variables.
+     *
+     * @private
+     * @param {string} content Dotenv content.
+     * @return {Object.<string, string>} Variables in order of definition.
+     */
+    parseVariables(content) {
+        const lines = content.replace(/\r\n?/g, "\n").split("\n");
+        const variables = {};
+
+        for (let index = 0; index < lines.length; index++) {
+            if (/^\s*(#.*)?$/.test(lines[index])) {
+                continue;
+            }
+
+            const match = /^\s*(?:export\s+)?([A-Za-z_][\w.]*)\s*=\s*(.*)$/.exec(lines[index]);
+
+            if (!match) {
+                throw this.createParseError("Expected a variable assignment", index + 1, 1);
+            }
+
+            const [, name, rawValue] = match;
+            const quote = rawValue[0];
+
+            if (quote !== "\"" && quote !== "'") {
+                variables[name] = this.expand(rawValue.replace(/(^|\s+)#.*$/, "").trim(), variables, false);
+
+                continue;
+            }
+
+            const startLine = index + 1;
+            let quoted = rawValue.slice(1);
+            let end = this.findClosingQuote(quoted, quote);
+
+            while (end === -1) {
+                if (++index >= lines.length) {
+                    throw this.createParseError("Unterminated quoted value", startLine, lines[startLine - 1].indexOf(quote) + 1);
+                }
+
+                quoted += `\n${lines[index]}`;
+                end = this.findClosingQuote(quoted, quote);
+            }
+
+            if (!/^\s*(#.*)?$/.test(quoted.slice(end + 1))) {
+                throw this.createParseError("Unexpected content after quoted value", index + 1, 1);
+            }
+
+            variables[name] = quote === "'" ? quoted.slice(0, end) : this.expand(quoted.slice(0, end), variables, true);
+        }
+
+        return variables;
+    }
+
+    /**
+     * Find the position of the closing quote in the given value.
+     *
+     * @private
+     * @param {string} value Value following the opening quote.
+     * @param {string} quote Quote character to find.
+     * @return {number} Position of the closing quote or -1 if not found.
+     */
+    findClosingQuote(value, quote) {
+        for (let index = 0; index < value.length; index++) {
+            if (quote === "\"" && value[index] === "\\") {
+                index++;
+
+                continue;
+            }
+
+            if (value[index] === quote) {
+                return index;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Expand variable references and escape sequences in the given value.
+     *
+     * @private
+     * @param {string} value Value to expand.
+     * @param {Object.<string, string>} variables Previously defined variables.
+     * @param {boolean} unescape Whether to resolve all escape sequences.
+     * @return {string} Expanded value.
+     */
+    expand(value, variables, unescape) {
+        return value.replace(/\\(.)|\$\{([A-Za-z_][\w.]*)(?::-([^}]*))?\}/g, (match, escaped, name, defaultValue) => {
+            if (escaped !== undefined) {
+                if (escaped === "$") {
+                    return escaped;
+                }
+
+                return unescape ? ESCAPE_SEQUENCES[escaped] || escaped : match;
+            }
+
+            if (Object.prototype.hasOwnProperty.call(variables, name)) {
+                return variables[name];
+            }
+
+            if (Object.prototype.hasOwnProperty.call(this.environment, name)) {
+                return this.environment[name];
+            }
+
+            return defaultValue !== undefined ? defaultValue : "";
+        });
+    }
+
+    /**
+     * Create a parse error for the given position.
+     *
+     * @private
+     * @param {string} reason Description of the error.
+     * @param {number} line Line where the error occurred.
+     * @param {number} column Column where the error occurred.
+     * @return {ConfigurationParseError} Parse error.
+     */
+    createParseError(reason, line, column) {
+        return new ConfigurationParseError(
+            `Unable to parse "${this.file}": ${reason} at line ${line}, column ${column}`,
+            this.file,
+            line,
+            column
+        );
+    }
+}
+
+export default DotenvConfigurationSource;
@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import Configuration from "./Configuration.js";
+import coerceValue from "./coerceValue.js";
+import formatKeyPath from "./formatKeyPath.js";
+import parseKeyPath from "./parseKeyPath.js";
+import variableNameToKeyPath from "./variableNameToKeyPath.js";
+
+/**
+ * A configuration source providing settings from environment variables.
+ *
+ * Only variables starting with the given prefix are included. The remaining
+ * part of the variable name is mapped to a key path by splitting it on the
+ * separator, e.g. "APP_DATABASE__HOST" becomes "database.host". Every segment
+ * is taken as a key as is, dots and brackets included.
+ *
+ * @implements {ConfigurationSourceInterface}
+ */
+class EnvironmentConfigurationSource {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @public
+     * @param {string} [prefix=""] Prefix a variable must have to be included.
+     * @param {Object} [options={}] Configuration source options.
+     * @param {Object.<string, string>} [options.environment=process.env] Environment variables to read from.
+     * @param {string} [options.separator="__"] Separator between key path segments.
+     * @param {boolean} [options.coerce=false] Whether to coerce values into typed values.
+     */
+    constructor(prefix = "", options = {}) {
+        /**
+         * Prefix a variable must have to be included.
+         *
+         * @private
+         * @type {string}
+         */
+        this.prefix = prefix;
+
+        /**
+         * Environment variables to read from.
+         *
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.environment = options.environment || process.env;
+
+        /**
+         * Separator between key path segments.
+         *
+         * @private
+         * @type {string}
+         */
+        this.separator = options.separator || "__";
+
+        /**
+         * Whether to coerce values into typed values.
+         *
+         * @private
+         * @type {boolean}
+         */
+        this.coerce = Boolean(options.coerce);
+
+        /**
+         * Names of the variables loaded by key path.
+         *
+         * @private
+         * @type {Map.<string, string>}
+         */
+        this.variableNames = new Map();
+    }
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @public
+     * @async
+     * @return {Promise.<Object.<string, *>>} Configuration settings.
+     */
+    async load() {
+        const configuration = new Configuration();
+        const names = Object.keys(this.environment)
+            .filter(name => name.startsWith(this.prefix) && name.length > this.prefix.length)
+            .sort();
+
+        this.variableNames = new Map();
+
+        for (const name of names) {
+            const value = this.environment[name];
+            const keyPath = variableNameToKeyPath(name.slice(this.prefix.length), this.separator);
+
+            configuration.set(keyPath, this.coerce ? coerceValue(value) : value);
+            this.variableNames.set(keyPath, name);
+        }
+
+        return configuration.all();
+    }
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @public
+     * @param {string} keyPath Key path of the value.
+     * @return {string} Name of the environment variable, e.g. "env:APP_DATABASE__HOST".
+     */
+    describe(keyPath) {
+        const segments = parseKeyPath(keyPath);
+
+        while (segments.length > 0) {
+            const name = this.variableNames.get(formatKeyPath(segments));
+
+            if (name !== undefined) {
+                return `env:${name}`;
+            }
+
+            segments.pop();
+        }
+
+        return this.constructor.name;
+    }
+}
+
+export default EnvironmentConfigurationSource;
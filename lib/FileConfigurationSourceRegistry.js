@@ -0,0 +1,121 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { basename, extname } from "path";
+
+import ConfigurationError from "./ConfigurationError.js";
+import DotenvConfigurationSource from "./DotenvConfigurationSource.js";
+import IniConfigurationSource from "./IniConfigurationSource.js";
+import JsonConfigurationSource from "./JsonConfigurationSource.js";
+import ModuleConfigurationSource from "./ModuleConfigurationSource.js";
+import TomlConfigurationSource from "./TomlConfigurationSource.js";
+import YamlConfigurationSource from "./YamlConfigurationSource.js";
+
+/**
+ * A registry of file configuration sources by file extension.
+ *
+ * It is used to pick the configuration source to use for a given file and
+ * comes with all the bundled file configuration sources registered. Since
+ * loading a module runs its code, the module configuration source may be
+ * left out.
+ */
+class FileConfigurationSourceRegistry {
+    /**
+     * Create a new registry instance.
+     *
+     * @public
+     * @param {Object} [options={}] Registry options.
+     * @param {boolean} [options.modules=true] Whether to register the module configuration source for ".js" and ".mjs" files.
+     */
+    constructor(options = {}) {
+        /**
+         * File configuration source classes by file extension.
+         *
+         * @private
+         * @type {Map.<string, Function>}
+         */
+        this.configurationSources = new Map();
+
+        this.register(".env", DotenvConfigurationSource)
+            .register(".ini", IniConfigurationSource)
+            .register(".json", JsonConfigurationSource)
+            .register(".toml", TomlConfigurationSource)
+            .register(".yaml", YamlConfigurationSource)
+            .register(".yml", YamlConfigurationSource);
+
+        if (options.modules !== false) {
+            this.register(".js", ModuleConfigurationSource).register(".mjs", ModuleConfigurationSource);
+        }
+    }
+
+    /**
+     * Register a file configuration source class for a file extension.
+     *
+     * Any previously registered class for the extension is replaced. The class
+     * will be instantiated with the file path as its only argument.
+     *
+     * @public
+     * @param {string} extension File extension including the leading dot, e.g. ".json".
+     * @param {Function} configurationSource File configuration source class.
+     * @return {this} The same instance for method chaining.
+     */
+    register(extension, configurationSource) {
+        this.configurationSources.set(extension.toLowerCase(), configurationSource);
+
+        return this;
+    }
+
+    /**
+     * Determine if there is a configuration source registered for the file.
+     *
+     * @public
+     * @param {string} file File to check for.
+     * @return {boolean} True if the file can be loaded.
+     */
+    has(file) {
+        return this.configurationSources.has(this.getExtension(file));
+    }
+
+    /**
+     * Create a configuration source instance for the given file.
+     *
+     * The configuration source is picked by the extension of the file unless
+     * an extension is explicitly given.
+     *
+     * @public
+     * @param {string} file File to create a configuration source for.
+     * @param {string} [extension] Extension to pick the configuration source by.
+     * @return {ConfigurationSourceInterface} Configuration source for the file.
+     * @throws {ConfigurationError} If there is no configuration source registered for the file.
+     */
+    create(file, extension = this.getExtension(file)) {
+        const ConfigurationSource = this.configurationSources.get(extension.toLowerCase());
+
+        if (!ConfigurationSource) {
+            throw new ConfigurationError(`No configuration source registered for "${file}"`);
+        }
+
+        return new ConfigurationSource(file);
+    }
+
+    /**
+     * Determine the extension of the given file.
+     *
+     * Files like ".env" without a name are considered to be all extension.
+     *
+     * @private
+     * @param {string} file File to determine extension of.
+     * @return {string} Lower cased file extension.
+     */
+    getExtension(file) {
+        const name = basename(file);
+
+        return (extname(name) || (name.startsWith(".") ? name : "")).toLowerCase();
+    }
+}
+
+export default FileConfigurationSourceRegistry;
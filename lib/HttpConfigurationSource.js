@@ -0,0 +1,313 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { readFile, writeFile } from "fs/promises";
+import http from "http";
+import https from "https";
+import { extname } from "path";
+
+import ConfigurationError from "./ConfigurationError.js";
+import FileConfigurationSourceRegistry from "./FileConfigurationSourceRegistry.js";
+
+/**
+ * A configuration source fetching settings from a remote HTTP endpoint.
+ *
+ * The response is parsed by the file configuration source registered for the
+ * format, which defaults to the extension of the URL path if a source is
+ * registered for it and JSON otherwise. Failed requests are retried with an
+ * exponential backoff and the entity tag of the last response is sent along
+ * so unchanged settings are not transferred again. Every request must be
+ * completed within the timeout. If a cache file is given the last
+ * successfully fetched content is stored there and used as a fallback when
+ * the endpoint is unreachable or responds with content that can't be parsed.
+ *
+ * @implements {ConfigurationSourceInterface}
+ */
+class HttpConfigurationSource {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @public
+     * @param {string} url URL to fetch settings from.
+     * @param {Object} [options={}] Configuration source options.
+     * @param {string} [options.format] Extension of the format of the content, e.g. ".yaml".
+     * @param {FileConfigurationSourceRegistry} [options.registry] Registry used to pick the parser for the format.
+     * @param {Object.<string, string>} [options.headers={}] Additional request headers.
+     * @param {number} [options.timeout=5000] Milliseconds a request may take in total.
+     * @param {number} [options.retries=2] Number of times to retry a failed request.
+     * @param {number} [options.retryDelay=100] Delay in milliseconds before the first retry, doubled for each retry.
+     * @param {?string} [options.cacheFile=null] File to keep the last known good content in.
+     */
+    constructor(url, options = {}) {
+        /**
+         * URL to fetch settings from.
+         *
+         * @private
+         * @type {string}
+         */
+        this.url = url;
+
+        /**
+         * Registry used to pick the parser for the format.
+         *
+         * @private
+         * @type {FileConfigurationSourceRegistry}
+         */
+        this.registry = options.registry || new FileConfigurationSourceRegistry();
+
+        const { pathname } = new URL(url);
+
+        /**
+         * Extension of the format of the content.
+         *
+         * @private
+         * @type {string}
+         */
+        this.format = options.format || (this.registry.has(pathname) && extname(pathname)) || ".json";
+
+        /**
+         * Additional request headers.
+         *
+         * @private
+         * @type {Object.<string, string>}
+         */
+        this.headers = options.headers || {};
+
+        /**
+         * Milliseconds a request may take in total.
+         *
+         * @private
+         * @type {number}
+         */
+        this.timeout = options.timeout !== undefined ? options.timeout : 5000;
+
+        /**
+         * Number of times to retry a failed request.
+         *
+         * @private
+         * @type {number}
+         */
+        this.retries = options.retries !== undefined ? options.retries : 2;
+
+        /**
+         * Delay in milliseconds before the first retry.
+         *
+         * @private
+         * @type {number}
+         */
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 100;
+
+        /**
+         * File to keep the last known good content in.
+         *
+         * @private
+         * @type {?string}
+         */
+        this.cacheFile = options.cacheFile || null;
+
+        /**
+         * Last successfully fetched content and its entity tag.
+         *
+         * @private
+         * @type {?{etag: ?string, content: string}}
+         */
+        this.cache = null;
+    }
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @public
+     * @async
+     * @return {Promise.<Object.<string, *>>} Configuration settings.
+     * @throws {ConfigurationError} If the settings could not be fetched and there is no cached content.
+     * @throws {Error} If the content can't be parsed and there is no cached content.
+     */
+    async load() {
+        const parser = this.registry.create(this.url, this.format);
+
+        if (typeof parser.parse !== "function") {
+            throw new ConfigurationError(`Unable to parse "${this.url}" as "${this.format}"`);
+        }
+
+        const cache = await this.readCache();
+        let response;
+
+        try {
+            response = await this.fetch(cache);
+        } catch (error) {
+            if (cache === null) {
+                throw error;
+            }
+
+            return parser.parse(cache.content);
+        }
+
+        if (response === null) {
+            return parser.parse(cache.content);
+        }
+
+        let settings;
+
+        try {
+            settings = parser.parse(response.content);
+        } catch (error) {
+            if (cache === null) {
+                throw error;
+            }
+
+            return parser.parse(cache.content);
+        }
+
+        await this.writeCache({etag: response.etag, content: response.content});
+
+        return settings;
+    }
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @public
+     * @param {string} keyPath Key path of the value.
+     * @return {string} Description of the origin of the value.
+     */
+    describe(keyPath) {
+        return this.url;
+    }
+
+    /**
+     * Fetch the content, retrying failed requests.
+     *
+     * @private
+     * @async
+     * @param {?{etag: ?string, content: string}} cache Last known good content.
+     * @return {Promise.<?{status: number, etag: ?string, content: string}>} Response or null if not modified.
+     * @throws {ConfigurationError} If every attempt failed.
+     */
+    async fetch(cache) {
+        const headers = Object.assign({}, this.headers);
+
+        if (cache !== null && cache.etag) {
+            headers["If-None-Match"] = cache.etag;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+
+            try {
+                response = await this.request(headers);
+            } catch (error) {
+                if (attempt >= this.retries) {
+                    throw new ConfigurationError(`Unable to fetch "${this.url}": ${error.message}`);
+                }
+
+                await this.wait(attempt);
+
+                continue;
+            }
+
+            if (response.status === 304 && cache !== null) {
+                return null;
+            }
+
+            if (response.status >= 500 && attempt < this.retries) {
+                await this.wait(attempt);
+
+                continue;
+            }
+
+            if (response.status !== 200) {
+                throw new ConfigurationError(`Unable to fetch "${this.url}": Unexpected status ${response.status}`);
+            }
+
+            return response;
+        }
+    }
+
+    /**
+     * Wait before retrying the given attempt.
+     *
+     * @private
+     * @param {number} attempt Zero based number of the failed attempt.
+     * @return {Promise} Resolves when it is time to retry.
+     */
+    wait(attempt) {
+        return new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+    }
+
+    /**
+     * Perform a single request.
+     *
+     * @private
+     * @param {Object.<string, string>} headers Request headers.
+     * @return {Promise.<{status: number, etag: ?string, content: string}>} Response.
+     */
+    request(headers) {
+        const client = new URL(this.url).protocol === "https:" ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const request = client.get(this.url, {headers}, response => {
+                const chunks = [];
+
+                response.on("data", chunk => chunks.push(chunk));
+                response.on("error", reject);
+                response.on("end", () => resolve({
+                    status: response.statusCode,
+                    etag: response.headers.etag || null,
+                    content: Buffer.concat(chunks).toString()
+                }));
+            });
+            const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${this.timeout}ms`)), this.timeout);
+
+            request.on("error", reject);
+            request.on("close", () => clearTimeout(timer));
+        });
+    }
+
+    /**
+     * Retrieve the last known good content.
+     *
+     * @private
+     * @async
+     * @return {Promise.<?{etag: ?string, content: string}>} Cached content or null if there is none.
+     */
+    async readCache() {
+        if (this.cache !== null || this.cacheFile === null) {
+            return this.cache;
+        }
+
+        try {
+            this.cache = JSON.parse(await readFile(this.cacheFile));
+        } catch {
+            this.cache = null;
+        }
+
+        return this.cache;
+    }
+
+    /**
+     * Store the given content as the last known good content.
+     *
+     * Failing to write the cache file is not considered an error since the
+     * cache is only a fallback.
+     *
+     * @private
+     * @async
+     * @param {{etag: ?string, content: string}} cache Content to store.
+     */
+    async writeCache(cache) {
+        this.cache = cache;
+
+        if (this.cacheFile === null) {
+            return;
+        }
+
+        await writeFile(this.cacheFile, JSON.stringify(cache)).catch(() => undefined);
+    }
+}
+
+export default HttpConfigurationSource;
@@ -0,0 +1,34 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import ini from "ini";
+
+import AbstractFileConfigurationSource from "./AbstractFileConfigurationSource.js";
+
+/**
+ * An INI file configuration source.
+ *
+ * Sections become top level keys and dotted section names become nested key
+ * paths, e.g. "[database.replica]" becomes "database.replica". A literal dot
+ * in a section name can be escaped with a backslash.
+ *
+ * @implements {ConfigurationSourceInterface}
+ */
+class IniConfigurationSource extends AbstractFileConfigurationSource {
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @public
+     * @param {string} content Content to parse.
+     * @return {Object.<string, *>} Configuration settings.
+     */
+    parse(content) {
+        return ini.parse(content);
+    }
+}
+
+export default IniConfigurationSource;
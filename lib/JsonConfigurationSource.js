@@ -14,14 +14,14 @@ import AbstractFileConfigurationSource from "./AbstractFileConfigurationSource.j
  */
 class JsonConfigurationSource extends AbstractFileConfigurationSource {
     /**
-     * Provide the configuration source settings.
+     * Parse the given content into configuration settings.
      *
      * @public
-     * @async
-     * @return {Promise.<Object.<string, *>>} Configuration settings.
+     * @param {string} content Content to parse.
+     * @return {Object.<string, *>} Configuration settings.
      */
-    async load() {
-        return JSON.parse(await this.readFile());
+    parse(content) {
+        return JSON.parse(content);
     }
 }
 
@@ -8,12 +8,26 @@
 /**
  * Represents a fixed set of merge strategies.
  *
+ * A merge strategy decides how an array is combined with the array it
+ * overrides:
+ *
+ * - MERGE_INDEXED keeps the unique elements of both, comparing objects by reference.
+ * - REPLACE_INDEXED replaces the array.
+ * - APPEND adds the elements after the existing ones, keeping duplicates.
+ * - PREPEND adds the elements before the existing ones, keeping duplicates.
+ * - MERGE_BY_KEY merges objects with the same "id", or else "name", and appends the rest.
+ * - DEEP_INDEX merges the elements at the same index.
+ *
  * @readonly
  * @enum {string}
  */
 const MergeStrategy = {
     MERGE_INDEXED: "MERGE_INDEXED",
-    REPLACE_INDEXED: "REPLACE_INDEXED"
+    REPLACE_INDEXED: "REPLACE_INDEXED",
+    APPEND: "APPEND",
+    PREPEND: "PREPEND",
+    MERGE_BY_KEY: "MERGE_BY_KEY",
+    DEEP_INDEX: "DEEP_INDEX"
 };
 
 export default MergeStrategy;
@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { stat } from "fs/promises";
+import { resolve } from "path";
+import { pathToFileURL } from "url";
+
+import AbstractFileConfigurationSource from "./AbstractFileConfigurationSource.js";
+import Configuration from "./Configuration.js";
+
+/**
+ * A JavaScript module configuration source.
+ *
+ * The default export of the module is used as settings. If it is a function
+ * it is called with the configuration built so far and its result, or the
+ * value it resolves to, is used instead.
+ *
+ * The module is imported again whenever it has been modified. Modules can't
+ * be unloaded, so every modification keeps another copy of the module in
+ * memory for the lifetime of the process, which adds up when the module is
+ * watched and modified often.
+ *
+ * @implements {ConfigurationSourceInterface}
+ */
+class ModuleConfigurationSource extends AbstractFileConfigurationSource {
+    /**
+     * Provide the configuration source settings.
+     *
+     * @public
+     * @async
+     * @param {Configuration} [configuration] Configuration built from previously added sources.
+     * @return {Promise.<Object.<string, *>>} Configuration settings.
+     */
+    async load(configuration = new Configuration()) {
+        const url = pathToFileURL(resolve(this.file));
+        const { mtimeMs } = await stat(url);
+
+        url.searchParams.set("mtime", mtimeMs);
+
+        const { default: settings } = await import(url.href);
+
+        if (typeof settings === "function") {
+            return await settings(configuration);
+        }
+
+        return settings;
+    }
+}
+
+export default ModuleConfigurationSource;
@@ -0,0 +1,109 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { readdir, stat } from "fs/promises";
+import { join } from "path";
+
+import AbstractFileConfigurationSource from "./AbstractFileConfigurationSource.js";
+import Configuration from "./Configuration.js";
+import formatKeyPath from "./formatKeyPath.js";
+import parseKeyPath from "./parseKeyPath.js";
+
+/**
+ * A configuration source reading a directory of one value per file secrets,
+ * like the ones mounted by Docker or Kubernetes.
+ *
+ * Each file provides a single value with trailing newlines removed. File names
+ * are mapped to key paths by splitting them on the separator, e.g.
+ * "database__password" becomes "database.password". Every segment is taken as
+ * a key as is, dots and brackets included. Hidden files are ignored.
+ *
+ * All values provided by this source are considered sensitive.
+ *
+ * @implements {ConfigurationSourceInterface}
+ */
+class SecretsDirectoryConfigurationSource extends AbstractFileConfigurationSource {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @public
+     * @param {string} directory Directory containing the secret files.
+     * @param {Object} [options={}] Configuration source options.
+     * @param {string} [options.separator="__"] Separator between key path segments.
+     */
+    constructor(directory, options = {}) {
+        super(directory);
+
+        /**
+         * Separator between key path segments.
+         *
+         * @private
+         * @type {string}
+         */
+        this.separator = options.separator || "__";
+    }
+
+    /**
+     * Provide the configuration source settings.
+     *
+     * @public
+     * @async
+     * @return {Promise.<Object.<string, *>>} Configuration settings.
+     */
+    async load() {
+        const configuration = new Configuration();
+        const names = (await readdir(this.file)).filter(name => !name.startsWith(".")).sort();
+
+        for (const name of names) {
+            const file = join(this.file, name);
+
+            if (!(await stat(file)).isFile()) {
+                continue;
+            }
+
+            configuration.set(
+                formatKeyPath(name.split(this.separator)),
+                (await this.readFile(file)).toString().replace(/[\r\n]+$/, "")
+            );
+        }
+
+        return configuration.all();
+    }
+
+    /**
+     * Describe where the value at the given key path comes from.
+     *
+     * @public
+     * @param {string} keyPath Key path of the value.
+     * @return {string} Path of the secret file.
+     */
+    describe(keyPath) {
+        return join(this.file, parseKeyPath(keyPath).join(this.separator));
+    }
+
+    /**
+     * Provide the files and directories the settings are loaded from.
+     *
+     * @public
+     * @return {Array.<string>} Directory containing the secret files.
+     */
+    getWatchPaths() {
+        return [this.file];
+    }
+
+    /**
+     * Determine if the values provided by this source are sensitive.
+     *
+     * @public
+     * @return {boolean} Always true since all values are secrets.
+     */
+    isSensitive() {
+        return true;
+    }
+}
+
+export default SecretsDirectoryConfigurationSource;
@@ -0,0 +1,47 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import toml from "@iarna/toml";
+
+import AbstractFileConfigurationSource from "./AbstractFileConfigurationSource.js";
+import ConfigurationParseError from "./ConfigurationParseError.js";
+
+/**
+ * A TOML file configuration source.
+ *
+ * Tables become nested objects and dates and times become date instances.
+ *
+ * @implements {ConfigurationSourceInterface}
+ */
+class TomlConfigurationSource extends AbstractFileConfigurationSource {
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @public
+     * @param {string} content Content to parse.
+     * @return {Object.<string, *>} Configuration settings.
+     * @throws {ConfigurationParseError} If the content is not valid TOML.
+     */
+    parse(content) {
+        try {
+            return toml.parse(content);
+        } catch (error) {
+            if (!error.fromTOML) {
+                throw error;
+            }
+
+            throw new ConfigurationParseError(
+                `Unable to parse "${this.file}": ${error.message}`,
+                this.file,
+                error.line + 1,
+                error.col + 1
+            );
+        }
+    }
+}
+
+export default TomlConfigurationSource;
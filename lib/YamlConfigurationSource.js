@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { parseAllDocuments } from "yaml";
+
+import AbstractFileConfigurationSource from "./AbstractFileConfigurationSource.js";
+import ConfigurationError from "./ConfigurationError.js";
+import ConfigurationParseError from "./ConfigurationParseError.js";
+import MergeStrategy from "./MergeStrategy.js";
+import isObject from "./isObject.js";
+import mergeObjects from "./mergeObjects.js";
+
+/**
+ * A YAML file configuration source.
+ *
+ * Anchors, aliases and merge keys are supported. If the file contains multiple
+ * documents they are merged in order with later documents taking precedence,
+ * so arrays of later documents replace earlier ones unless another merge
+ * strategy is given. Every document must be a mapping or empty. Merge
+ * directives like "$unset" are kept for the settings to be merged with.
+ *
+ * @implements {ConfigurationSourceInterface}
+ */
+class YamlConfigurationSource extends AbstractFileConfigurationSource {
+    /**
+     * Create a new configuration source instance.
+     *
+     * @public
+     * @param {string} file Configuration file to load.
+     * @param {Object} [options={}] Configuration source options.
+     * @param {MergeStrategy} [options.mergeStrategy=MergeStrategy.REPLACE_INDEXED] Merge strategy to use when merging arrays of documents.
+     */
+    constructor(file, options = {}) {
+        super(file);
+
+        /**
+         * Merge strategy to use when merging arrays of documents.
+         *
+         * @private
+         * @type {MergeStrategy}
+         */
+        this.mergeStrategy = options.mergeStrategy || MergeStrategy.REPLACE_INDEXED;
+    }
+
+    /**
+     * Parse the given content into configuration settings.
+     *
+     * @public
+     * @param {string} content Content to parse.
+     * @return {Object.<string, *>} Configuration settings.
+     * @throws {ConfigurationParseError} If the content is not valid YAML.
+     * @throws {ConfigurationError} If a document is neither a mapping nor empty.
+     */
+    parse(content) {
+        const documents = parseAllDocuments(content, {merge: true});
+        let settings = {};
+
+        for (const [index, document] of documents.entries()) {
+            if (document.errors.length > 0) {
+                throw this.createParseError(document.errors[0]);
+            }
+
+            const documentSettings = document.toJS();
+
+            if (documentSettings === null || documentSettings === undefined) {
+                continue;
+            }
+
+            if (!isObject(documentSettings)) {
+                throw new ConfigurationError(`Unable to parse "${this.file}": Document ${index + 1} is not a mapping`);
+            }
+
+            settings = mergeObjects(settings, documentSettings, this.mergeStrategy, {}, "", true);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Create a parse error from the given YAML error.
+     *
+     * @private
+     * @param {Error} error YAML error to convert.
+     * @return {ConfigurationParseError} Parse error.
+     */
+    createParseError(error) {
+        const [position] = error.linePos || [{line: null, col: null}];
+
+        return new ConfigurationParseError(
+            `Unable to parse "${this.file}": ${error.message}`,
+            this.file,
+            position.line,
+            position.col
+        );
+    }
+}
+
+export default YamlConfigurationSource;
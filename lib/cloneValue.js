@@ -0,0 +1,35 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import isObject from "./isObject.js";
+
+/**
+ * Create a deep copy of the given value.
+ *
+ * Objects, arrays and dates are copied. All other values are returned as is.
+ *
+ * @private
+ * @param {*} value Value to copy.
+ * @return {*} Copy of the value.
+ */
+function cloneValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneValue);
+    }
+
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+
+    if (isObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, cloneValue(entry)]));
+    }
+
+    return value;
+}
+
+export default cloneValue;
@@ -0,0 +1,26 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Coerce the given string value into the typed value it represents.
+ *
+ * Any valid JSON literal (booleans, numbers, null, arrays, objects and quoted
+ * strings) is converted. All other values are returned untouched.
+ *
+ * @private
+ * @param {string} value Value to coerce.
+ * @return {*} Coerced value.
+ */
+function coerceValue(value) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+export default coerceValue;
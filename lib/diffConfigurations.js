@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import ConfigurationDiff from "./ConfigurationDiff.js";
+import diffSettings from "./diffSettings.js";
+import isObject from "./isObject.js";
+import parseKeyPath from "./parseKeyPath.js";
+
+/**
+ * Describe the differences between the two given configurations.
+ *
+ * Every entry carries its old and new value as masked by the configuration
+ * it was taken from, so values below a sensitive setting, such as the
+ * settings of a removed object, are masked as well.
+ *
+ * @private
+ * @param {ConfigurationInterface} a Old configuration.
+ * @param {ConfigurationInterface} b New configuration.
+ * @return {ConfigurationDiff} Values added, removed and changed in the new configuration.
+ */
+function diffConfigurations(a, b) {
+    const redactedA = a.redacted();
+    const redactedB = b.redacted();
+
+    return new ConfigurationDiff(diffSettings(a.all(), b.all()).map(entry => Object.assign(entry, {
+        redactedOldValue: entry.type === "added" ? undefined : findValue(redactedA, entry.keyPath),
+        redactedNewValue: entry.type === "removed" ? undefined : findValue(redactedB, entry.keyPath)
+    })));
+}
+
+/**
+ * Find the value at the given key path of the given redacted settings.
+ *
+ * A masked setting along the key path replaces everything below it, in which
+ * case the mask is returned.
+ *
+ * @private
+ * @param {Object.<string, *>} settings Redacted settings.
+ * @param {string} keyPath Key path of the value.
+ * @return {*} Redacted value.
+ */
+function findValue(settings, keyPath) {
+    let value = settings;
+
+    for (const segment of parseKeyPath(keyPath)) {
+        if (!isObject(value) && !Array.isArray(value)) {
+            return value;
+        }
+
+        value = value[segment];
+    }
+
+    return value;
+}
+
+export default diffConfigurations;
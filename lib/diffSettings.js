@@ -0,0 +1,69 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import flattenSettings from "./flattenSettings.js";
+import formatKeyPath from "./formatKeyPath.js";
+import isEqual from "./isEqual.js";
+import isObject from "./isObject.js";
+
+/**
+ * Describe the differences between the two given settings.
+ *
+ * Objects are descended into so the entries hold the deepest differing key
+ * paths, including the settings of added and removed objects. Any other
+ * values, including arrays, are compared as a whole.
+ *
+ * @private
+ * @param {Object.<string, *>} a Old settings.
+ * @param {Object.<string, *>} b New settings.
+ * @param {string} [prefix=""] Key path of the given settings.
+ * @return {Array.<{type: string, keyPath: string, oldValue: *, newValue: *}>} Added, removed and changed values.
+ */
+function diffSettings(a, b, prefix = "") {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    const entries = [];
+
+    for (const key of keys) {
+        const keyPath = formatKeyPath([key], prefix);
+
+        if (!Object.prototype.hasOwnProperty.call(b, key)) {
+            entries.push(...describeValues("removed", a[key], keyPath));
+        } else if (!Object.prototype.hasOwnProperty.call(a, key)) {
+            entries.push(...describeValues("added", b[key], keyPath));
+        } else if (isObject(a[key]) && isObject(b[key])) {
+            entries.push(...diffSettings(a[key], b[key], keyPath));
+        } else if (!isEqual(a[key], b[key])) {
+            entries.push({type: "changed", keyPath, oldValue: a[key], newValue: b[key]});
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Describe every value of the given added or removed setting.
+ *
+ * @private
+ * @param {string} type Either "added" or "removed".
+ * @param {*} value Added or removed value.
+ * @param {string} keyPath Key path of the value.
+ * @return {Array.<{type: string, keyPath: string, oldValue: *, newValue: *}>} Added or removed values.
+ */
+function describeValues(type, value, keyPath) {
+    const values = isObject(value) && Object.keys(value).length > 0
+        ? Object.entries(flattenSettings(value, keyPath))
+        : [[keyPath, value]];
+
+    return values.map(([valueKeyPath, item]) => ({
+        type,
+        keyPath: valueKeyPath,
+        oldValue: type === "removed" ? item : undefined,
+        newValue: type === "added" ? item : undefined
+    }));
+}
+
+export default diffSettings;
@@ -0,0 +1,40 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import formatKeyPath from "./formatKeyPath.js";
+import isObject from "./isObject.js";
+
+/**
+ * Flatten the given settings into a map of key paths and values.
+ *
+ * Objects are descended into while all other values, including arrays and
+ * empty objects, are kept as values.
+ *
+ * @private
+ * @param {Object.<string, *>} settings Settings to flatten.
+ * @param {string} [prefix=""] Key path of the given settings.
+ * @return {Object.<string, *>} Values by key path.
+ */
+function flattenSettings(settings, prefix = "") {
+    const flattened = {};
+
+    for (const [key, value] of Object.entries(settings)) {
+        const keyPath = formatKeyPath([key], prefix);
+
+        if (isObject(value) && Object.keys(value).length > 0) {
+            Object.assign(flattened, flattenSettings(value, keyPath));
+
+            continue;
+        }
+
+        flattened[keyPath] = value;
+    }
+
+    return flattened;
+}
+
+export default flattenSettings;
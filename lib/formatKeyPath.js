@@ -0,0 +1,38 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { DEEP_WILDCARD, WILDCARD } from "./parseKeyPath.js";
+
+/**
+ * Format the given segments into a key path.
+ *
+ * Array indices are put in brackets and characters with a special meaning in
+ * key paths are escaped, so the result can be parsed back into the same
+ * segments.
+ *
+ * @private
+ * @param {Array.<(string|number|symbol)>} segments Object keys, array indices and wildcards.
+ * @param {string} [prefix=""] Key path to append the segments to.
+ * @return {string} Key path.
+ */
+function formatKeyPath(segments, prefix = "") {
+    return segments.reduce((keyPath, segment) => {
+        if (typeof segment === "number") {
+            return `${keyPath}[${segment}]`;
+        }
+
+        let key = segment === DEEP_WILDCARD ? "**" : "*";
+
+        if (segment !== WILDCARD && segment !== DEEP_WILDCARD) {
+            key = /^\*\*?$/.test(segment) ? `\\${segment}` : segment.replace(/[\\.[\]]/g, "\\$&");
+        }
+
+        return keyPath ? `${keyPath}.${key}` : key;
+    }, prefix);
+}
+
+export default formatKeyPath;
@@ -0,0 +1,123 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { stringify } from "yaml";
+
+import ConfigurationError from "./ConfigurationError.js";
+import flattenSettings from "./flattenSettings.js";
+import parseKeyPath from "./parseKeyPath.js";
+
+/**
+ * Flatten the given settings into keys joined by the given separator.
+ *
+ * Key paths are formatted with escapes when the separator is a dot so they
+ * can be parsed back, otherwise the keys are joined as is.
+ *
+ * @private
+ * @param {Object.<string, *>} settings Settings to flatten.
+ * @param {string} separator Separator between keys.
+ * @return {Object.<string, *>} Values by flattened key.
+ */
+function flattenKeys(settings, separator) {
+    const flattened = {};
+
+    for (const [keyPath, value] of Object.entries(flattenSettings(settings))) {
+        flattened[separator === "." ? keyPath : parseKeyPath(keyPath).join(separator)] = value;
+    }
+
+    return flattened;
+}
+
+/**
+ * Format the given value as a dotenv value.
+ *
+ * Values that are not strings are formatted as JSON and values containing
+ * anything but safe characters are double quoted.
+ *
+ * @private
+ * @param {*} value Value to format.
+ * @return {string} Dotenv value.
+ */
+function formatEnvValue(value) {
+    let formatted = value;
+
+    if (value instanceof Date) {
+        formatted = value.toISOString();
+    } else if (typeof value !== "string") {
+        formatted = JSON.stringify(value);
+    }
+
+    if (/^[\w.\-/:@,+]+$/.test(formatted)) {
+        return formatted;
+    }
+
+    const escaped = formatted.replace(/[\\"$]/g, "\\$&")
+        .replace(/\n/g, "\\n")
+        .replace(/\r/g, "\\r")
+        .replace(/\t/g, "\\t");
+
+    return `"${escaped}"`;
+}
+
+/**
+ * Format the given flattened key as a dotenv variable name.
+ *
+ * @private
+ * @param {string} key Flattened key.
+ * @param {string} prefix Prefix of the variable name.
+ * @return {string} Variable name.
+ * @throws {ConfigurationError} If the key doesn't make a valid variable name.
+ */
+function formatEnvName(key, prefix) {
+    const name = `${prefix}${key.toUpperCase()}`;
+
+    if (!/^[A-Z_][A-Z0-9_]*$/.test(name)) {
+        throw new ConfigurationError(`Unable to serialize configuration: Invalid variable name "${name}"`);
+    }
+
+    return name;
+}
+
+/**
+ * Serialize the given settings into the given format.
+ *
+ * Settings are flattened into dotenv variables like "APP_DATABASE__HOST" and
+ * may optionally be flattened into keys like "database.host" for JSON and
+ * YAML as well. Arrays are kept as values in flattened settings. Dotenv
+ * variable names may only hold letters, digits and underscores.
+ *
+ * @private
+ * @param {Object.<string, *>} settings Settings to serialize.
+ * @param {string} format Either "json", "yaml" or "env".
+ * @param {Object} [options={}] Serialization options.
+ * @param {boolean} [options.flatten=false] Whether to flatten JSON and YAML settings.
+ * @param {string} [options.separator] Separator between flattened keys, "__" for dotenv and "." otherwise.
+ * @param {string} [options.prefix=""] Prefix of dotenv variable names.
+ * @param {number} [options.indent=4] Number of spaces to indent JSON with.
+ * @return {string} Serialized settings.
+ * @throws {ConfigurationError} If the format is not supported or a key is not a valid variable name.
+ */
+function formatSettings(settings, format, options = {}) {
+    const separator = options.separator || (format === "env" ? "__" : ".");
+    const values = options.flatten ? flattenKeys(settings, separator) : settings;
+
+    switch (format) {
+        case "json":
+            return `${JSON.stringify(values, null, options.indent !== undefined ? options.indent : 4)}\n`;
+        case "yaml":
+        case "yml":
+            return stringify(values);
+        case "env":
+            return Object.entries(flattenKeys(settings, separator))
+                .map(([key, value]) => `${formatEnvName(key, options.prefix || "")}=${formatEnvValue(value)}\n`)
+                .join("");
+        default:
+            throw new ConfigurationError(`Unable to serialize configuration: Unsupported format "${format}"`);
+    }
+}
+
+export default formatSettings;
@@ -0,0 +1,24 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Freeze the given value and everything it contains.
+ *
+ * @private
+ * @param {*} value Value to freeze.
+ * @return {*} The same value, frozen.
+ */
+function freezeValue(value) {
+    if (value !== null && typeof value === "object" && !Object.isFrozen(value)) {
+        Object.values(value).forEach(freezeValue);
+        Object.freeze(value);
+    }
+
+    return value;
+}
+
+export default freezeValue;
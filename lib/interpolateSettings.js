@@ -0,0 +1,162 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import Configuration from "./Configuration.js";
+import ConfigurationReferenceError from "./ConfigurationReferenceError.js";
+import formatKeyPath from "./formatKeyPath.js";
+import isObject from "./isObject.js";
+import parseKeyPath from "./parseKeyPath.js";
+
+/**
+ * Prefix of placeholders referring to environment variables.
+ *
+ * @private
+ * @type {string}
+ */
+const ENVIRONMENT_PREFIX = "env:";
+
+/**
+ * Matches escaped placeholders and placeholders with an optional default value.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const PLACEHOLDER = /\$\$\{|\$\{([^}]+?)(?::-([^}]*))?\}/g;
+
+/**
+ * Matches values consisting of a single placeholder.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const SINGLE_PLACEHOLDER = /^\$\{([^}]+?)(?::-([^}]*))?\}$/;
+
+/**
+ * Resolve placeholders in all string values of the given settings.
+ *
+ * A placeholder like "${database.host}" refers to another setting and
+ * "${env:HOME}" to an environment variable. A default value may be given as in
+ * "${env:PORT:-8080}" and "$${" produces a literal "${". A value consisting of
+ * a single placeholder takes on the referenced value as is, otherwise the
+ * referenced value is embedded as a string.
+ *
+ * Values referring to a sensitive setting, or to a setting containing one, are
+ * reported so they can be masked as well.
+ *
+ * @private
+ * @param {Object.<string, *>} settings Settings to resolve placeholders in.
+ * @param {Object.<string, string>} environment Environment variables to refer to.
+ * @param {Set.<string>} [sensitiveKeyPaths=new Set()] Key paths and patterns of sensitive settings.
+ * @return {{settings: Object.<string, *>, sensitiveKeyPaths: Set.<string>}} Settings with all placeholders resolved and key paths of values referring to sensitive settings.
+ * @throws {ConfigurationReferenceError} If a reference is unresolved or circular.
+ */
+function interpolateSettings(settings, environment, sensitiveKeyPaths = new Set()) {
+    const configuration = new Configuration(settings, new Map(), sensitiveKeyPaths);
+    const resolved = new Map();
+    const tainted = new Set();
+
+    const isSensitiveValue = (keyPath, value) => {
+        if (configuration.isSensitive(keyPath) || tainted.has(keyPath)) {
+            return true;
+        }
+
+        if (Array.isArray(value)) {
+            return value.some((item, index) => isSensitiveValue(formatKeyPath([index], keyPath), item));
+        }
+
+        return isObject(value) &&
+            Object.entries(value).some(([key, item]) => isSensitiveValue(formatKeyPath([key], keyPath), item));
+    };
+
+    const resolveReference = (reference, defaultValue, chain) => {
+        if (reference.startsWith(ENVIRONMENT_PREFIX)) {
+            const name = reference.slice(ENVIRONMENT_PREFIX.length);
+
+            if (Object.prototype.hasOwnProperty.call(environment, name)) {
+                return environment[name];
+            }
+
+            if (defaultValue !== undefined) {
+                return defaultValue;
+            }
+
+            throw new ConfigurationReferenceError(`Unresolved reference "${reference}"`, chain.concat(reference));
+        }
+
+        if (!configuration.has(reference)) {
+            if (defaultValue !== undefined) {
+                return defaultValue;
+            }
+
+            throw new ConfigurationReferenceError(`Unresolved reference "${reference}"`, chain.concat(reference));
+        }
+
+        const keyPath = formatKeyPath(parseKeyPath(reference));
+        const value = configuration.get(reference);
+        const result = resolveValue(keyPath, value, chain);
+
+        if (isSensitiveValue(keyPath, value)) {
+            tainted.add(chain[chain.length - 1]);
+        }
+
+        return result;
+    };
+
+    const resolveString = (value, chain) => {
+        const match = SINGLE_PLACEHOLDER.exec(value);
+
+        if (match) {
+            return resolveReference(match[1], match[2], chain);
+        }
+
+        return value.replace(PLACEHOLDER, (placeholder, reference, defaultValue) => {
+            if (reference === undefined) {
+                return "${";
+            }
+
+            const referencedValue = resolveReference(reference, defaultValue, chain);
+
+            return typeof referencedValue === "string" ? referencedValue : JSON.stringify(referencedValue);
+        });
+    };
+
+    const resolveValue = (keyPath, value, chain) => {
+        if (resolved.has(keyPath)) {
+            return resolved.get(keyPath);
+        }
+
+        if (chain.includes(keyPath)) {
+            throw new ConfigurationReferenceError(`Circular reference "${keyPath}"`, chain.concat(keyPath));
+        }
+
+        chain = chain.concat(keyPath);
+
+        let result = value;
+
+        if (typeof value === "string") {
+            result = resolveString(value, chain);
+        } else if (Array.isArray(value)) {
+            result = value.map((item, index) => resolveValue(formatKeyPath([index], keyPath), item, chain));
+        } else if (isObject(value)) {
+            result = Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [key, resolveValue(formatKeyPath([key], keyPath), item, chain)])
+            );
+        }
+
+        resolved.set(keyPath, result);
+
+        return result;
+    };
+
+    const interpolated = Object.fromEntries(
+        Object.entries(settings).map(([key, value]) => [key, resolveValue(formatKeyPath([key]), value, [])])
+    );
+
+    return {settings: interpolated, sensitiveKeyPaths: tainted};
+}
+
+export default interpolateSettings;
@@ -0,0 +1,41 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import isObject from "./isObject.js";
+
+/**
+ * Determine if the two given values are deeply equal.
+ *
+ * @private
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @return {boolean} True if the values are equal.
+ */
+function isEqual(a, b) {
+    if (Object.is(a, b)) {
+        return true;
+    }
+
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, index) => isEqual(value, b[index]));
+    }
+
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a);
+
+        return keys.length === Object.keys(b).length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+    }
+
+    return false;
+}
+
+export default isEqual;
@@ -0,0 +1,38 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { DEEP_WILDCARD, WILDCARD } from "./parseKeyPath.js";
+
+/**
+ * Determine if the given segments match the given key path pattern.
+ *
+ * A wildcard segment in the pattern matches any key or index and a deep
+ * wildcard segment any number of keys and indices, including none.
+ *
+ * @private
+ * @param {Array.<(string|number|symbol)>} pattern Segments of the pattern.
+ * @param {Array.<(string|number)>} segments Segments of the key path.
+ * @return {boolean} True if the segments match the pattern.
+ */
+function matchKeyPath(pattern, segments) {
+    if (pattern.length === 0) {
+        return segments.length === 0;
+    }
+
+    const [segment, ...remainingPattern] = pattern;
+
+    if (segment === DEEP_WILDCARD) {
+        return segments.some((item, index) => matchKeyPath(remainingPattern, segments.slice(index))) ||
+            matchKeyPath(remainingPattern, []);
+    }
+
+    return segments.length > 0 &&
+        (segment === WILDCARD || String(segment) === String(segments[0])) &&
+        matchKeyPath(remainingPattern, segments.slice(1));
+}
+
+export default matchKeyPath;
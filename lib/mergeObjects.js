@@ -7,44 +7,194 @@
 
 import MergeStrategy from "./MergeStrategy.js";
 import isObject from "./isObject.js";
+import matchKeyPath from "./matchKeyPath.js";
+import parseKeyPath from "./parseKeyPath.js";
+import stripDirectives, { UNSET, REPLACE, isReplaceDirective } from "./stripDirectives.js";
 
 /**
- * Merge the two given object into one using the given merge strategy.
+ * Fields identifying objects when merging arrays by key, in order of preference.
  *
- * The second object takes precedence.
+ * @private
+ * @type {Array.<string>}
+ */
+const IDENTITY_FIELDS = ["id", "name"];
+
+/**
+ * Determine the merge strategy to use for the array at the given key path.
  *
  * @private
- * @param {Object.<string, *>} a First object.
- * @param {Object.<string, *>} b Second object.
- * @param {MergeStrategy} mergeStrategy The strategy to use when merging arrays.
- * @return {Object.<string, *>} Result of combining the two objects.
+ * @param {{mergeStrategy: MergeStrategy, rules: Array.<{segments: Array, strategy: MergeStrategy}>}} context Merge context.
+ * @param {Array.<(string|number)>} segments Key path of the array.
+ * @return {MergeStrategy} Merge strategy to use.
  */
-function mergeObjects(a, b, mergeStrategy) {
-    const aCopy = Object.assign({}, a);
+function findMergeStrategy(context, segments) {
+    const rule = context.rules.find(({ segments: ruleSegments }) => matchKeyPath(ruleSegments, segments));
 
-    for (let [key, value] of Object.entries(b)) {
-        if (!(key in aCopy)) {
-            aCopy[key] = value;
+    return rule ? rule.strategy : context.mergeStrategy;
+}
 
-            continue;
-        }
+/**
+ * Determine the identity of the given array element when merging by key.
+ *
+ * @private
+ * @param {*} item Array element.
+ * @return {?string} Identity of the element or null if it has none.
+ */
+function identify(item) {
+    if (!isObject(item)) {
+        return null;
+    }
+
+    const field = IDENTITY_FIELDS.find(name => item[name] !== undefined);
+
+    return field ? `${field}:${JSON.stringify(item[field])}` : null;
+}
+
+/**
+ * Prepare a value taken from the second value for the result.
+ *
+ * @private
+ * @param {*} value Value to copy.
+ * @param {Object} context Merge context.
+ * @return {*} The value, without directives unless they are kept.
+ */
+function copyValue(value, context) {
+    return context.keepDirectives ? value : stripDirectives(value);
+}
+
+/**
+ * Merge the two given arrays using the merge strategy for their key path.
+ *
+ * @private
+ * @param {Array} a First array.
+ * @param {Array} b Second array.
+ * @param {Object} context Merge context.
+ * @param {Array.<(string|number)>} segments Key path of the arrays.
+ * @return {Array} Result of combining the two arrays.
+ */
+function mergeArrays(a, b, context, segments) {
+    switch (findMergeStrategy(context, segments)) {
+        case MergeStrategy.MERGE_INDEXED:
+            return Array.from(new Set([...a, ...copyValue(b, context)]));
+        case MergeStrategy.APPEND:
+            return [...a, ...copyValue(b, context)];
+        case MergeStrategy.PREPEND:
+            return [...copyValue(b, context), ...a];
+        case MergeStrategy.DEEP_INDEX:
+            return Array.from({length: Math.max(a.length, b.length)}, (item, index) => {
+                if (index >= b.length) {
+                    return a[index];
+                }
+
+                return index < a.length
+                    ? mergeValues(a[index], b[index], context, segments.concat(index))
+                    : copyValue(b[index], context);
+            });
+        case MergeStrategy.MERGE_BY_KEY: {
+            const merged = a.slice();
+
+            for (const item of b) {
+                const identity = identify(item);
+                const index = identity !== null ? merged.findIndex(existing => identify(existing) === identity) : -1;
 
-        if (isObject(a[key]) && isObject(value)) {
-            aCopy[key] = mergeObjects(aCopy[key], value, mergeStrategy);
+                if (index === -1) {
+                    merged.push(copyValue(item, context));
 
-            continue;
+                    continue;
+                }
+
+                merged[index] = mergeValues(merged[index], item, context, segments.concat(index));
+            }
+
+            return merged;
         }
+        default:
+            return copyValue(b, context);
+    }
+}
+
+/**
+ * Merge the two given values.
+ *
+ * Objects are merged key by key, arrays according to the merge strategy and
+ * any other value of the second value takes precedence. Keys of the second
+ * value set to "$unset" are removed and a {"$replace": value} directive
+ * replaces the first value without merging. When directives are kept the
+ * result holds them instead, so it has the same effect as the two values
+ * applied one after the other.
+ *
+ * @private
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @param {Object} context Merge context.
+ * @param {Array.<(string|number)>} segments Key path of the values.
+ * @return {*} Result of combining the two values.
+ */
+function mergeValues(a, b, context, segments) {
+    if (isReplaceDirective(b)) {
+        return context.keepDirectives ? b : stripDirectives(b[REPLACE]);
+    }
+
+    if (context.keepDirectives && isReplaceDirective(a)) {
+        return {[REPLACE]: mergeValues(a[REPLACE], b, Object.assign({}, context, {keepDirectives: false}), segments)};
+    }
+
+    if (isObject(a) && isObject(b)) {
+        const aCopy = Object.assign({}, a);
 
-        if (mergeStrategy === MergeStrategy.MERGE_INDEXED && Array.isArray(aCopy[key]) && Array.isArray(value)) {
-            aCopy[key] = Array.from(new Set([...aCopy[key], ...value]));
+        for (const [key, value] of Object.entries(b)) {
+            if (value === UNSET && !context.keepDirectives) {
+                delete aCopy[key];
 
-            continue;
+                continue;
+            }
+
+            aCopy[key] = key in aCopy
+                ? mergeValues(aCopy[key], value, context, segments.concat(key))
+                : copyValue(value, context);
         }
 
-        aCopy[key] = value;
+        return aCopy;
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return mergeArrays(a, b, context, segments);
+    }
+
+    if (context.keepDirectives && (isObject(b) || Array.isArray(b))) {
+        return {[REPLACE]: stripDirectives(b)};
     }
 
-    return aCopy;
+    return copyValue(b, context);
+}
+
+/**
+ * Merge the two given object into one using the given merge strategy.
+ *
+ * The second object takes precedence. Arrays at the key paths of the given
+ * strategies are merged using those strategies instead, where a "*" segment
+ * matches any key or index. Keys of the second object set to "$unset" are
+ * removed and a {"$replace": value} directive replaces the setting instead
+ * of being merged into it. Directives may be kept instead, to combine two
+ * sets of settings that are both to be merged into another one later.
+ *
+ * @private
+ * @param {Object.<string, *>} a First object.
+ * @param {Object.<string, *>} b Second object.
+ * @param {MergeStrategy} mergeStrategy The strategy to use when merging arrays.
+ * @param {Object.<string, MergeStrategy>} [strategies={}] Strategies to use for arrays at specific key paths.
+ * @param {string} [keyPath=""] Key path of the given objects.
+ * @param {boolean} [keepDirectives=false] Whether to keep directives rather than apply them.
+ * @return {Object.<string, *>} Result of combining the two objects.
+ */
+function mergeObjects(a, b, mergeStrategy, strategies = {}, keyPath = "", keepDirectives = false) {
+    const context = {
+        mergeStrategy,
+        keepDirectives,
+        rules: Object.entries(strategies).map(([ruleKeyPath, strategy]) => ({segments: parseKeyPath(ruleKeyPath), strategy}))
+    };
+
+    return mergeValues(Object.assign({}, a), b, context, keyPath ? parseKeyPath(keyPath) : []);
 }
 
 export default mergeObjects;
@@ -0,0 +1,42 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Bytes per size unit.
+ *
+ * @private
+ * @type {Object.<string, number>}
+ */
+const UNITS = {
+    b: 1,
+    k: 1024,
+    m: 1024 ** 2,
+    g: 1024 ** 3,
+    t: 1024 ** 4
+};
+
+/**
+ * Parse the given size into bytes.
+ *
+ * A size is a number of bytes optionally followed by a unit, e.g. "512MB" or
+ * "1.5 GiB". Units are binary, so "KB" and "KiB" both mean 1024 bytes.
+ *
+ * @private
+ * @param {string} size Size to parse.
+ * @return {?number} Size in bytes or null if it's not a valid size.
+ */
+function parseBytes(size) {
+    const match = /^(\d+(?:\.\d+)?)\s*(?:([kmgt])(?:i?b)?|b)?$/.exec(size.trim().toLowerCase());
+
+    if (!match) {
+        return null;
+    }
+
+    return Math.round(Number(match[1]) * UNITS[match[2] || "b"]);
+}
+
+export default parseBytes;
@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Milliseconds per duration unit.
+ *
+ * @private
+ * @type {Object.<string, number>}
+ */
+const UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse the given duration into milliseconds.
+ *
+ * A duration is a number of milliseconds or one or more numbers with a unit,
+ * e.g. "500ms", "30s" or "1h 30m". The units "ms", "s", "m", "h", "d" and "w"
+ * are recognized.
+ *
+ * @private
+ * @param {string} duration Duration to parse.
+ * @return {?number} Duration in milliseconds or null if it's not a valid duration.
+ */
+function parseDuration(duration) {
+    const value = duration.trim().toLowerCase();
+
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+
+    if (!/^(\d+(\.\d+)?\s*(ms|s|m|h|d|w)\s*)+$/.test(value)) {
+        return null;
+    }
+
+    let milliseconds = 0;
+
+    for (const [, amount, , unit] of value.matchAll(/(\d+(\.\d+)?)\s*(ms|s|m|h|d|w)/g)) {
+        milliseconds += Number(amount) * UNITS[unit];
+    }
+
+    return milliseconds;
+}
+
+export default parseDuration;
@@ -0,0 +1,153 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import ConfigurationError from "./ConfigurationError.js";
+
+/**
+ * Segment matching every key of an object or index of an array.
+ *
+ * @type {symbol}
+ */
+export const WILDCARD = Symbol("wildcard");
+
+/**
+ * Segment matching any number of keys or indices, including none.
+ *
+ * @type {symbol}
+ */
+export const DEEP_WILDCARD = Symbol("deep wildcard");
+
+/**
+ * Parse the content of a bracket segment that is not a quoted key.
+ *
+ * @private
+ * @param {string} content Content between the brackets.
+ * @param {string} keyPath Key path being parsed.
+ * @return {(number|symbol)} Segment.
+ * @throws {ConfigurationError} If the content is not an index or a wildcard.
+ */
+function parseBracket(content, keyPath) {
+    if (/^\d+$/.test(content)) {
+        return Number(content);
+    }
+
+    if (content === "*") {
+        return WILDCARD;
+    }
+
+    throw new ConfigurationError(`Invalid key path "${keyPath}": Unexpected "[${content}]"`);
+}
+
+/**
+ * Find the closing quote of a quoted key.
+ *
+ * A backslash escapes the following character, including the quote.
+ *
+ * @private
+ * @param {string} keyPath Key path being parsed.
+ * @param {number} start Index of the opening quote.
+ * @return {number} Index of the closing quote or -1 if there is none.
+ */
+function findQuoteEnd(keyPath, start) {
+    for (let index = start + 1; index < keyPath.length; index++) {
+        if (keyPath[index] === "\\") {
+            index++;
+        } else if (keyPath[index] === keyPath[start]) {
+            return index;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Parse the given key path into segments.
+ *
+ * Segments are separated by dots and array indices may be given in brackets,
+ * e.g. "servers[0].host". A backslash escapes the following character so
+ * "hosts.example\.com" refers to the key "example.com" and keys may also be
+ * quoted in brackets as in 'hosts["example.com"]', where a backslash escapes
+ * the following character as well. A "*" segment is a
+ * wildcard and a "**" segment a wildcard spanning any number of segments.
+ *
+ * @private
+ * @param {string} keyPath Key path to parse.
+ * @return {Array.<(string|number|symbol)>} Object keys, array indices and wildcards.
+ * @throws {ConfigurationError} If the key path is malformed.
+ */
+function parseKeyPath(keyPath) {
+    const segments = [];
+    let segment = "";
+    let escaped = false;
+    let reading = true;
+
+    const endSegment = () => {
+        const wildcards = {"*": WILDCARD, "**": DEEP_WILDCARD};
+
+        segments.push(!escaped && Object.prototype.hasOwnProperty.call(wildcards, segment) ? wildcards[segment] : segment);
+        segment = "";
+        escaped = false;
+    };
+
+    for (let index = 0; index < keyPath.length; index++) {
+        const character = keyPath[index];
+
+        if (character === "\\" && index + 1 < keyPath.length) {
+            segment += keyPath[++index];
+            escaped = true;
+            reading = true;
+
+            continue;
+        }
+
+        if (character === ".") {
+            if (reading) {
+                endSegment();
+            }
+
+            reading = true;
+
+            continue;
+        }
+
+        if (character === "[") {
+            const quoted = keyPath[index + 1] === "\"" || keyPath[index + 1] === "'";
+            const end = quoted ? findQuoteEnd(keyPath, index + 1) + 1 : keyPath.indexOf("]", index);
+
+            if (end <= 0 || end >= keyPath.length) {
+                throw new ConfigurationError(`Invalid key path "${keyPath}": Unterminated "["`);
+            }
+
+            if (keyPath[end] !== "]") {
+                throw new ConfigurationError(`Invalid key path "${keyPath}": Expected "]" after quoted key`);
+            }
+
+            if (segment !== "" || escaped) {
+                endSegment();
+            }
+
+            segments.push(quoted
+                ? keyPath.slice(index + 2, end - 1).replace(/\\(.)/gs, "$1")
+                : parseBracket(keyPath.slice(index + 1, end), keyPath));
+            index = end;
+            reading = false;
+
+            continue;
+        }
+
+        segment += character;
+        reading = true;
+    }
+
+    if (reading) {
+        endSegment();
+    }
+
+    return segments;
+}
+
+export default parseKeyPath;
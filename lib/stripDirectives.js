@@ -0,0 +1,68 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import isObject from "./isObject.js";
+
+/**
+ * Value removing the setting it is assigned to when merged.
+ *
+ * @type {string}
+ */
+export const UNSET = "$unset";
+
+/**
+ * Key of an object whose value replaces the setting instead of being merged into it.
+ *
+ * @type {string}
+ */
+export const REPLACE = "$replace";
+
+/**
+ * Determine if the given value is a replace directive like {"$replace": value}.
+ *
+ * @param {*} value Value to check.
+ * @return {boolean} True if the value is a replace directive.
+ */
+export function isReplaceDirective(value) {
+    return isObject(value) && Object.keys(value).length === 1 && Object.prototype.hasOwnProperty.call(value, REPLACE);
+}
+
+/**
+ * Remove merge directives from the given value.
+ *
+ * Settings set to "$unset" are removed and replace directives are replaced
+ * with their values.
+ *
+ * @private
+ * @param {*} value Value to remove directives from.
+ * @return {*} Value without directives.
+ */
+function stripDirectives(value) {
+    if (isReplaceDirective(value)) {
+        return stripDirectives(value[REPLACE]);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(stripDirectives);
+    }
+
+    if (!isObject(value)) {
+        return value;
+    }
+
+    const stripped = {};
+
+    for (const [key, item] of Object.entries(value)) {
+        if (item !== UNSET) {
+            stripped[key] = stripDirectives(item);
+        }
+    }
+
+    return stripped;
+}
+
+export default stripDirectives;
@@ -0,0 +1,271 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import ConfigurationError from "./ConfigurationError.js";
+import cloneValue from "./cloneValue.js";
+import formatKeyPath from "./formatKeyPath.js";
+import isEqual from "./isEqual.js";
+import isObject from "./isObject.js";
+
+/**
+ * Supported JSON Schema keywords, including annotations without effect.
+ *
+ * @private
+ * @type {Set.<string>}
+ */
+const KEYWORDS = new Set([
+    "type", "enum", "const", "minimum", "maximum", "minLength", "maxLength", "pattern", "minItems", "maxItems",
+    "items", "properties", "required", "additionalProperties", "default",
+    "$schema", "$id", "$comment", "title", "description", "examples"
+]);
+
+/**
+ * Supported JSON Schema types.
+ *
+ * @private
+ * @type {Array.<string>}
+ */
+const TYPES = ["array", "boolean", "integer", "null", "number", "object", "string"];
+
+/**
+ * Determine if the given value is of the given JSON Schema type.
+ *
+ * @private
+ * @param {string} type JSON Schema type.
+ * @param {*} value Value to check.
+ * @return {boolean} True if the value is of the type.
+ */
+function isOfType(type, value) {
+    switch (type) {
+        case "array":
+            return Array.isArray(value);
+        case "boolean":
+            return typeof value === "boolean";
+        case "integer":
+            return Number.isInteger(value);
+        case "null":
+            return value === null;
+        case "number":
+            return typeof value === "number" && !Number.isNaN(value);
+        case "object":
+            return isObject(value);
+        case "string":
+            return typeof value === "string";
+        default:
+            return false;
+    }
+}
+
+/**
+ * Make sure the given schema only uses the supported subset of JSON Schema.
+ *
+ * @private
+ * @param {*} schema JSON Schema to check.
+ * @param {Array.<string>} segments Location of the schema in the root schema.
+ * @throws {ConfigurationError} If the schema uses unsupported keywords or types.
+ */
+function assertSupported(schema, segments) {
+    const location = segments.length > 0 ? ` at "${formatKeyPath(segments)}"` : "";
+
+    if (!isObject(schema)) {
+        throw new ConfigurationError(`Unable to use schema: Expected an object${location}`);
+    }
+
+    for (const keyword of Object.keys(schema)) {
+        if (!KEYWORDS.has(keyword)) {
+            throw new ConfigurationError(`Unable to use schema: Unsupported keyword "${keyword}"${location}`);
+        }
+    }
+
+    for (const type of schema.type !== undefined ? [].concat(schema.type) : []) {
+        if (!TYPES.includes(type)) {
+            throw new ConfigurationError(`Unable to use schema: Unsupported type ${JSON.stringify(type)}${location}`);
+        }
+    }
+
+    if (schema.items !== undefined) {
+        assertSupported(schema.items, segments.concat("items"));
+    }
+
+    for (const [name, propertySchema] of Object.entries(isObject(schema.properties) ? schema.properties : {})) {
+        assertSupported(propertySchema, segments.concat("properties", name));
+    }
+
+    if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== "boolean") {
+        assertSupported(schema.additionalProperties, segments.concat("additionalProperties"));
+    }
+}
+
+/**
+ * Assign schema defaults to missing properties of the given value.
+ *
+ * Missing objects are created if any of their properties have defaults.
+ *
+ * @private
+ * @param {Object} schema JSON Schema describing the value.
+ * @param {*} value Value to assign defaults to.
+ * @return {*} The same value with defaults assigned.
+ */
+function applyDefaults(schema, value) {
+    if (Array.isArray(value) && isObject(schema.items)) {
+        value.forEach(item => applyDefaults(schema.items, item));
+    }
+
+    if (!isObject(value) || !isObject(schema.properties)) {
+        return value;
+    }
+
+    for (const [name, propertySchema] of Object.entries(schema.properties)) {
+        if (!isObject(propertySchema)) {
+            continue;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(value, name)) {
+            applyDefaults(propertySchema, value[name]);
+
+            continue;
+        }
+
+        if ("default" in propertySchema) {
+            value[name] = cloneValue(propertySchema.default);
+
+            continue;
+        }
+
+        const defaults = applyDefaults(propertySchema, {});
+
+        if (isObject(propertySchema.properties) && Object.keys(defaults).length > 0) {
+            value[name] = defaults;
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Validate the given value against the schema and collect all violations.
+ *
+ * @private
+ * @param {Object} schema JSON Schema describing the value.
+ * @param {*} value Value to validate.
+ * @param {string} keyPath Key path of the value.
+ * @param {Array.<{keyPath: string, message: string}>} violations Violations found so far.
+ */
+function validate(schema, value, keyPath, violations) {
+    if (!isObject(schema)) {
+        return;
+    }
+
+    const fail = (message, path = keyPath) => violations.push({keyPath: path, message});
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+
+        if (!types.some(type => isOfType(type, value))) {
+            fail(`must be of type ${types.join(" or ")}`);
+
+            return;
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(allowed => isEqual(allowed, value))) {
+        fail(`must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(", ")}`);
+    }
+
+    if ("const" in schema && !isEqual(schema.const, value)) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be greater than or equal to ${schema.minimum}`);
+        }
+
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be less than or equal to ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters long`);
+        }
+
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters long`);
+        }
+
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+            fail(`must match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must contain at least ${schema.minItems} items`);
+        }
+
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must contain at most ${schema.maxItems} items`);
+        }
+
+        if (isObject(schema.items)) {
+            value.forEach((item, index) => validate(schema.items, item, formatKeyPath([index], keyPath), violations));
+        }
+    }
+
+    if (!isObject(value)) {
+        return;
+    }
+
+    const properties = isObject(schema.properties) ? schema.properties : {};
+
+    for (const name of Array.isArray(schema.required) ? schema.required : []) {
+        if (!Object.prototype.hasOwnProperty.call(value, name)) {
+            fail("is required", formatKeyPath([name], keyPath));
+        }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+        if (Object.prototype.hasOwnProperty.call(properties, name)) {
+            validate(properties[name], propertyValue, formatKeyPath([name], keyPath), violations);
+        } else if (schema.additionalProperties === false) {
+            fail("is not allowed", formatKeyPath([name], keyPath));
+        } else if (isObject(schema.additionalProperties)) {
+            validate(schema.additionalProperties, propertyValue, formatKeyPath([name], keyPath), violations);
+        }
+    }
+}
+
+/**
+ * Validate the given settings against a JSON Schema.
+ *
+ * A subset of JSON Schema is supported: "type", "enum", "const", "minimum",
+ * "maximum", "minLength", "maxLength", "pattern", "minItems", "maxItems",
+ * "items", "properties", "required", "additionalProperties" and "default",
+ * along with annotations like "title" and "description". Other keywords are
+ * rejected rather than ignored. Defaults are assigned to missing properties
+ * before validating.
+ *
+ * @private
+ * @param {Object} schema JSON Schema describing the settings.
+ * @param {Object.<string, *>} settings Settings to validate.
+ * @return {{settings: Object.<string, *>, violations: Array.<{keyPath: string, message: string}>}} Settings with defaults and all violations.
+ * @throws {ConfigurationError} If the schema uses unsupported keywords or types.
+ */
+function validateSchema(schema, settings) {
+    assertSupported(schema, []);
+
+    const settingsWithDefaults = applyDefaults(schema, cloneValue(settings));
+    const violations = [];
+
+    validate(schema, settingsWithDefaults, "", violations);
+
+    return {settings: settingsWithDefaults, violations};
+}
+
+export default validateSchema;
@@ -0,0 +1,26 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import formatKeyPath from "./formatKeyPath.js";
+
+/**
+ * Map a variable name to a key path.
+ *
+ * The name is split on the separator and every segment is lower cased, e.g.
+ * "DATABASE__HOST" becomes "database.host". Characters with a special meaning
+ * in key paths are escaped, so every segment is taken as a key as is.
+ *
+ * @private
+ * @param {string} name Variable name to map.
+ * @param {string} separator Separator between key path segments.
+ * @return {string} Corresponding key path.
+ */
+function variableNameToKeyPath(name, separator) {
+    return formatKeyPath(name.split(separator).map(segment => segment.toLowerCase()));
+}
+
+export default variableNameToKeyPath;
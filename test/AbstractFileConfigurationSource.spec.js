@@ -5,18 +5,42 @@
  * file that was distributed with this source code.
  */
 
-import { AbstractFileConfigurationSource } from "@moonwalkingbits/apollo-configuration";
+import { AbstractFileConfigurationSource, ConfigurationError } from "@moonwalkingbits/apollo-configuration";
 import { createRequire } from "module";
 
 const require = createRequire(import.meta.url);
 const { expect } = require("chai");
 
 describe("AbstractFileConfigurationSource", () => {
+    describe("#load", () => {
+        it("should parse the contents of the file", async () => {
+            const configurationSource = new AbstractFileConfigurationSource("test/fixtures/content.txt");
+
+            configurationSource.parse = content => ({content});
+
+            expect(await configurationSource.load()).to.eql({content: "content"});
+        });
+    });
+
+    describe("#parse", () => {
+        it("should throw by default", () => {
+            expect(() => new AbstractFileConfigurationSource("test/fixtures/content.txt").parse("content"))
+                .to.throw(ConfigurationError);
+        });
+    });
+
     describe("#readFile", () => {
         it("should return the contents of the file", async () => {
             const content = await new AbstractFileConfigurationSource("test/fixtures/content.txt").readFile();
 
             expect(content.toString()).to.eql("content");
         });
+
+        it("should return the contents of the given file", async () => {
+            const content = await new AbstractFileConfigurationSource("test/fixtures/config.json")
+                .readFile("test/fixtures/content.txt");
+
+            expect(content.toString()).to.eql("content");
+        });
     });
 });;
@@ -0,0 +1,141 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { ArgvConfigurationSource, ConfigurationError } from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("ArgvConfigurationSource", () => {
+    describe("#load", () => {
+        it("should read from process arguments by default", async () => {
+            const argv = process.argv;
+
+            process.argv = ["node", "script.js", "--key=value"];
+
+            try {
+                expect(await new ArgvConfigurationSource().load()).to.eql({key: "value"});
+            } finally {
+                process.argv = argv;
+            }
+        });
+
+        it("should map options to key paths", async () => {
+            const argv = ["--database.host=localhost", "--database.port", "5432"];
+
+            expect(await new ArgvConfigurationSource(argv).load()).to.eql({
+                database: {
+                    host: "localhost",
+                    port: "5432"
+                }
+            });
+        });
+
+        it("should set options without value to true", async () => {
+            expect(await new ArgvConfigurationSource(["--verbose", "--debug"]).load()).to.eql({
+                verbose: true,
+                debug: true
+            });
+        });
+
+        it("should take negative numbers as values", async () => {
+            expect(await new ArgvConfigurationSource(["--offset", "-5", "--ratio", "-0.5", "--verbose", "-v"]).load()).to.eql({
+                offset: "-5",
+                ratio: "-0.5",
+                verbose: true,
+                v: true
+            });
+        });
+
+        it("should set negated options to false", async () => {
+            expect(await new ArgvConfigurationSource(["--no-cache"]).load()).to.eql({cache: false});
+        });
+
+        it("should collect repeated options", async () => {
+            expect(await new ArgvConfigurationSource(["--tag=one", "--tag", "two", "--tag=three"]).load()).to.eql({
+                tag: ["one", "two", "three"]
+            });
+        });
+
+        it("should ignore positional arguments", async () => {
+            expect(await new ArgvConfigurationSource(["file.txt", "--key=value"]).load()).to.eql({key: "value"});
+        });
+
+        it("should stop at terminator", async () => {
+            expect(await new ArgvConfigurationSource(["--key=value", "--", "--other=value"]).load()).to.eql({
+                key: "value"
+            });
+        });
+
+        it("should map aliases to key paths", async () => {
+            const aliases = {p: "server.port", host: "server.host"};
+            const argv = ["-p", "80", "--host=localhost"];
+
+            expect(await new ArgvConfigurationSource(argv, {aliases}).load()).to.eql({
+                server: {
+                    host: "localhost",
+                    port: "80"
+                }
+            });
+        });
+
+        it("should coerce values", async () => {
+            const argv = ["--port=80", "--enabled=false", "--name=name", "--verbose"];
+
+            expect(await new ArgvConfigurationSource(argv, {coerce: true}).load()).to.eql({
+                port: 80,
+                enabled: false,
+                name: "name",
+                verbose: true
+            });
+        });
+
+        it("should reject options that are not valid key paths", async () => {
+            let error = null;
+
+            await new ArgvConfigurationSource(["--servers[x]=1"]).load().catch(loadError => {
+                error = loadError;
+            });
+
+            expect(error).to.be.instanceOf(ConfigurationError);
+        });
+
+        it("should not modify prototypes", async () => {
+            let error = null;
+
+            await new ArgvConfigurationSource(["--__proto__.polluted=yes"]).load().catch(loadError => {
+                error = loadError;
+            });
+
+            expect(error).to.be.instanceOf(ConfigurationError);
+            expect({}.polluted).to.be.undefined;
+        });
+    });
+
+    describe("#describe", () => {
+        it("should describe values by option as given", async () => {
+            const configurationSource = new ArgvConfigurationSource(["--database.host=localhost", "-p", "80"], {
+                aliases: {p: "server.port"}
+            });
+
+            await configurationSource.load();
+
+            expect(configurationSource.describe("database.host")).to.equal("--database.host");
+            expect(configurationSource.describe("server.port")).to.equal("-p");
+        });
+
+        it("should describe values of escaped keys", async () => {
+            const configurationSource = new ArgvConfigurationSource(["--hosts.example\\.com=true"]);
+
+            await configurationSource.load();
+
+            expect(configurationSource.describe("hosts.example\\.com")).to.equal("--hosts.example\\.com");
+            expect(configurationSource.describe("hosts.example\\.com.port")).to.equal("--hosts.example\\.com");
+        });
+    });
+});
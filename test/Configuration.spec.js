@@ -5,8 +5,17 @@
  * file that was distributed with this source code.
  */
 
-import { Configuration } from "@moonwalkingbits/apollo-configuration";
+import {
+    Configuration,
+    ConfigurationDiff,
+    ConfigurationError,
+    ConfigurationTypeError,
+    DotenvConfigurationSource,
+    MergeStrategy,
+    YamlConfigurationSource
+} from "@moonwalkingbits/apollo-configuration";
 import { createRequire } from "module";
+import { inspect } from "util";
 
 const require = createRequire(import.meta.url);
 const { expect } = require("chai");
@@ -35,6 +44,13 @@ describe("Configuration", () => {
 
             expect(configuration.all()).to.eql({key: "value"});
         });
+
+        it("should return a copy of the settings", () => {
+            configuration.set("nested.key", "value");
+            configuration.all().nested.key = "other value";
+
+            expect(configuration.get("nested.key")).to.equal("value");
+        });
     });
 
     describe("#set", () => {
@@ -56,6 +72,14 @@ describe("Configuration", () => {
 
             expect(configuration.all()).to.have.nested.property("nested.key", "value");
         });
+
+        it("should not modify prototypes", () => {
+            expect(() => configuration.set("__proto__.polluted", "yes")).to.throw(ConfigurationError, "Invalid key path");
+            configuration.set("constructor.prototype.polluted", "yes");
+
+            expect({}.polluted).to.be.undefined;
+            expect(configuration.all()).to.eql({constructor: {prototype: {polluted: "yes"}}});
+        });
     });
 
     describe("#clear", () => {
@@ -119,6 +143,374 @@ describe("Configuration", () => {
         });
     });
 
+    describe("key paths", () => {
+        beforeEach(() => {
+            configuration = new Configuration({
+                servers: [
+                    {host: "one.example.com"},
+                    {host: "two.example.com"}
+                ],
+                hosts: {
+                    "example.com": {port: 80}
+                }
+            });
+        });
+
+        it("should address array elements by index", () => {
+            expect(configuration.get("servers[1].host")).to.equal("two.example.com");
+            expect(configuration.get("servers.0.host")).to.equal("one.example.com");
+            expect(configuration.has("servers[2]")).to.be.false;
+            expect(configuration.has("servers.length")).to.be.false;
+        });
+
+        it("should address keys containing dots", () => {
+            expect(configuration.get("hosts.example\\.com.port")).to.equal(80);
+            expect(configuration.get("hosts[\"example.com\"].port")).to.equal(80);
+            expect(configuration.get("hosts['example.com'].port")).to.equal(80);
+        });
+
+        it("should address quoted keys containing brackets and quotes", () => {
+            configuration = new Configuration({"a]b": 1, "say \"hi\"": 2});
+
+            expect(configuration.get("[\"a]b\"]")).to.equal(1);
+            expect(configuration.get("['a]b']")).to.equal(1);
+            expect(configuration.get("[\"say \\\"hi\\\"\"]")).to.equal(2);
+        });
+
+        it("should set values in arrays", () => {
+            configuration.set("servers[1].port", 8080);
+            configuration.set("list[0].key", "value");
+
+            expect(configuration.get("servers")).to.eql([
+                {host: "one.example.com"},
+                {host: "two.example.com", port: 8080}
+            ]);
+            expect(configuration.get("list")).to.eql([{key: "value"}]);
+        });
+
+        it("should set values at keys containing dots", () => {
+            configuration.set("hosts.example\\.org.port", 443);
+
+            expect(configuration.get("hosts")).to.eql({
+                "example.com": {port: 80},
+                "example.org": {port: 443}
+            });
+        });
+
+        it("should remove array elements", () => {
+            configuration.remove("servers[0]");
+
+            expect(configuration.get("servers")).to.eql([{host: "two.example.com"}]);
+        });
+
+        it("should not find inherited properties", () => {
+            expect(configuration.has("hosts.toString")).to.be.false;
+        });
+
+        it("should throw if key path is malformed", () => {
+            expect(() => configuration.get("servers[0")).to.throw(ConfigurationError, "Invalid key path \"servers[0\"");
+            expect(() => configuration.get("servers[first]")).to.throw(ConfigurationError, "Invalid key path");
+            expect(() => configuration.get("hosts[\"example.com")).to.throw(ConfigurationError, "Unterminated");
+            expect(() => configuration.get("hosts[\"example\".com]")).to.throw(ConfigurationError, "Invalid key path");
+        });
+
+        it("should throw if key path contains wildcard", () => {
+            expect(() => configuration.get("servers.*.host")).to.throw(ConfigurationError, "Invalid key path");
+            expect(() => configuration.set("servers[*].host", "value")).to.throw(ConfigurationError, "Invalid key path");
+            expect(() => configuration.get("**.host")).to.throw(ConfigurationError, "Invalid key path");
+        });
+
+        it("should treat escaped wildcard as key", () => {
+            configuration.set("patterns.\\*", "all");
+
+            expect(configuration.get("patterns")).to.eql({"*": "all"});
+        });
+    });
+
+    describe("#getAll", () => {
+        beforeEach(() => {
+            configuration = new Configuration({
+                services: {
+                    payments: {url: "https://payments.example.com"},
+                    users: {url: "https://users.example.com"},
+                    cache: {}
+                },
+                servers: [
+                    {host: "one.example.com"},
+                    {host: "two.example.com"}
+                ]
+            });
+        });
+
+        it("should return values matching wildcard by key path", () => {
+            expect(configuration.getAll("services.*.url")).to.eql({
+                "services.payments.url": "https://payments.example.com",
+                "services.users.url": "https://users.example.com"
+            });
+        });
+
+        it("should match array elements", () => {
+            expect(configuration.getAll("servers[*].host")).to.eql({
+                "servers[0].host": "one.example.com",
+                "servers[1].host": "two.example.com"
+            });
+            expect(configuration.getAll("servers.*.host")).to.eql({
+                "servers[0].host": "one.example.com",
+                "servers[1].host": "two.example.com"
+            });
+        });
+
+        it("should match any number of segments", () => {
+            expect(configuration.getAll("**.host")).to.eql({
+                "servers[0].host": "one.example.com",
+                "servers[1].host": "two.example.com"
+            });
+            expect(configuration.getAll("services.**.url")).to.eql({
+                "services.payments.url": "https://payments.example.com",
+                "services.users.url": "https://users.example.com"
+            });
+        });
+
+        it("should return single value for key path without wildcard", () => {
+            expect(configuration.getAll("services.users.url")).to.eql({
+                "services.users.url": "https://users.example.com"
+            });
+        });
+
+        it("should return nothing if nothing matches", () => {
+            expect(configuration.getAll("services.*.host")).to.eql({});
+            expect(configuration.getAll("missing.*")).to.eql({});
+        });
+
+        it("should escape keys containing dots", () => {
+            configuration = new Configuration({hosts: {"example.com": {port: 80}}});
+
+            expect(configuration.getAll("hosts.*.port")).to.eql({"hosts.example\\.com.port": 80});
+        });
+    });
+
+    describe("#require", () => {
+        it("should return value for key path", () => {
+            configuration.set("nested.key", null);
+
+            expect(configuration.require("nested.key")).to.be.null;
+        });
+
+        it("should throw if key path is not found", () => {
+            expect(() => configuration.require("nested.key"))
+                .to.throw(ConfigurationError, "Missing required setting \"nested.key\"");
+        });
+    });
+
+    describe("#getString", () => {
+        it("should return string values", () => {
+            configuration.set("key", "value");
+
+            expect(configuration.getString("key")).to.equal("value");
+        });
+
+        it("should convert numbers and booleans", () => {
+            configuration = new Configuration({number: 42, boolean: false});
+
+            expect(configuration.getString("number")).to.equal("42");
+            expect(configuration.getString("boolean")).to.equal("false");
+        });
+
+        it("should return default value if key path is not found", () => {
+            expect(configuration.getString("key")).to.be.null;
+            expect(configuration.getString("key", "default")).to.equal("default");
+        });
+
+        it("should throw if value can not be converted", () => {
+            configuration.set("nested.key", ["value"]);
+
+            expect(() => configuration.getString("nested.key"))
+                .to.throw(ConfigurationTypeError, "Expected \"nested.key\" to be a string but got [\"value\"]")
+                .with.property("keyPath", "nested.key");
+        });
+
+        it("should mask sensitive values if value can not be converted", () => {
+            configuration.set("database", {password: ["hunter2"]});
+            configuration.markSensitive("*.password");
+
+            expect(() => configuration.getString("database.password"))
+                .to.throw(ConfigurationTypeError, "Expected \"database.password\" to be a string but got \"[REDACTED]\"");
+            expect(() => configuration.getString("database"))
+                .to.throw(ConfigurationTypeError, "Expected \"database\" to be a string but got {\"password\":\"[REDACTED]\"}");
+        });
+    });
+
+    describe("#getNumber", () => {
+        it("should return numbers and convert numeric strings", () => {
+            configuration = new Configuration({number: 42, string: " 1.5 "});
+
+            expect(configuration.getNumber("number")).to.equal(42);
+            expect(configuration.getNumber("string")).to.equal(1.5);
+        });
+
+        it("should return default value if key path is not found", () => {
+            expect(configuration.getNumber("key", 8080)).to.equal(8080);
+        });
+
+        it("should throw if value can not be converted", () => {
+            configuration = new Configuration({string: "value", empty: "", boolean: true});
+
+            expect(() => configuration.getNumber("string")).to.throw(ConfigurationTypeError, "to be a number");
+            expect(() => configuration.getNumber("empty")).to.throw(ConfigurationTypeError, "to be a number");
+            expect(() => configuration.getNumber("boolean")).to.throw(ConfigurationTypeError, "to be a number");
+        });
+    });
+
+    describe("#getBoolean", () => {
+        it("should return booleans and convert boolean strings", () => {
+            configuration = new Configuration({
+                boolean: false,
+                true: "TRUE",
+                yes: "yes",
+                on: "on",
+                one: 1,
+                false: "false",
+                no: "No",
+                off: "off",
+                zero: "0"
+            });
+
+            expect(configuration.getBoolean("boolean")).to.be.false;
+            expect(["true", "yes", "on", "one"].map(key => configuration.getBoolean(key))).to.eql([true, true, true, true]);
+            expect(["false", "no", "off", "zero"].map(key => configuration.getBoolean(key))).to.eql([false, false, false, false]);
+        });
+
+        it("should return default value if key path is not found", () => {
+            expect(configuration.getBoolean("key", true)).to.be.true;
+        });
+
+        it("should throw if value can not be converted", () => {
+            configuration.set("key", "maybe");
+
+            expect(() => configuration.getBoolean("key")).to.throw(ConfigurationTypeError, "to be a boolean");
+        });
+
+        it("should throw if value is neither a string nor a number", () => {
+            configuration.set("array", ["1"]);
+            configuration.set("object", {});
+
+            expect(() => configuration.getBoolean("array")).to.throw(ConfigurationTypeError, "to be a boolean");
+            expect(() => configuration.getBoolean("object")).to.throw(ConfigurationTypeError, "to be a boolean");
+        });
+    });
+
+    describe("#getArray", () => {
+        it("should return arrays", () => {
+            configuration.set("key", ["one", "two"]);
+
+            expect(configuration.getArray("key")).to.eql(["one", "two"]);
+        });
+
+        it("should convert strings", () => {
+            configuration = new Configuration({json: "[1, 2]", list: "one, two", empty: ""});
+
+            expect(configuration.getArray("json")).to.eql([1, 2]);
+            expect(configuration.getArray("list")).to.eql(["one", "two"]);
+            expect(configuration.getArray("empty")).to.eql([]);
+        });
+
+        it("should return default value if key path is not found", () => {
+            expect(configuration.getArray("key", [])).to.eql([]);
+        });
+
+        it("should throw if value can not be converted", () => {
+            configuration = new Configuration({number: 1, invalid: "[1, 2"});
+
+            expect(() => configuration.getArray("number")).to.throw(ConfigurationTypeError, "to be an array");
+            expect(() => configuration.getArray("invalid")).to.throw(ConfigurationTypeError, "to be an array");
+        });
+    });
+
+    describe("#getDuration", () => {
+        it("should convert durations into milliseconds", () => {
+            configuration = new Configuration({
+                number: 250,
+                numeric: "100",
+                milliseconds: "500ms",
+                seconds: "30s",
+                combined: "1h 30m",
+                days: "1.5d",
+                weeks: "2W"
+            });
+
+            expect(configuration.getDuration("number")).to.equal(250);
+            expect(configuration.getDuration("numeric")).to.equal(100);
+            expect(configuration.getDuration("milliseconds")).to.equal(500);
+            expect(configuration.getDuration("seconds")).to.equal(30000);
+            expect(configuration.getDuration("combined")).to.equal(5400000);
+            expect(configuration.getDuration("days")).to.equal(129600000);
+            expect(configuration.getDuration("weeks")).to.equal(1209600000);
+        });
+
+        it("should return default value if key path is not found", () => {
+            expect(configuration.getDuration("key", 1000)).to.equal(1000);
+        });
+
+        it("should throw if value can not be converted", () => {
+            configuration.set("key", "30 parsecs");
+
+            expect(() => configuration.getDuration("key")).to.throw(ConfigurationTypeError, "to be a duration");
+        });
+    });
+
+    describe("#getBytes", () => {
+        it("should convert sizes into bytes", () => {
+            configuration = new Configuration({
+                number: 64,
+                bytes: "10B",
+                kilobytes: "2KB",
+                megabytes: "512MB",
+                gibibytes: "1.5 GiB",
+                short: "1k"
+            });
+
+            expect(configuration.getBytes("number")).to.equal(64);
+            expect(configuration.getBytes("bytes")).to.equal(10);
+            expect(configuration.getBytes("kilobytes")).to.equal(2048);
+            expect(configuration.getBytes("megabytes")).to.equal(536870912);
+            expect(configuration.getBytes("gibibytes")).to.equal(1610612736);
+            expect(configuration.getBytes("short")).to.equal(1024);
+        });
+
+        it("should return default value if key path is not found", () => {
+            expect(configuration.getBytes("key", 1024)).to.equal(1024);
+        });
+
+        it("should throw if value can not be converted", () => {
+            configuration.set("key", "512 apples");
+
+            expect(() => configuration.getBytes("key")).to.throw(ConfigurationTypeError, "to be a byte size");
+        });
+    });
+
+    describe("#getUrl", () => {
+        it("should convert strings into URLs", () => {
+            configuration.set("key", "https://example.com/path");
+
+            const url = configuration.getUrl("key");
+
+            expect(url).to.be.instanceOf(URL);
+            expect(url.hostname).to.equal("example.com");
+        });
+
+        it("should return default value if key path is not found", () => {
+            const url = new URL("http://localhost");
+
+            expect(configuration.getUrl("key", url)).to.equal(url);
+        });
+
+        it("should throw if value can not be converted", () => {
+            configuration.set("key", "not a url");
+
+            expect(() => configuration.getUrl("key")).to.throw(ConfigurationTypeError, "to be a URL");
+        });
+    });
+
     describe("#remove", () => {
         it("should remove value from key path", () => {
             configuration.set("key", "value");
@@ -184,6 +576,30 @@ describe("Configuration", () => {
             });
         });
 
+        it("should not alter the original configuration when merging at key path", () => {
+            const configuration = new Configuration({nested: {key: "value"}});
+            const otherConfiguration = new Configuration({otherKey: "other value"});
+
+            configuration.merge(otherConfiguration, "nested.section");
+
+            expect(configuration.all()).to.eql({nested: {key: "value"}});
+        });
+
+        it("should not share settings with the merged configuration", () => {
+            const configuration = new Configuration({nested: {key: "value"}});
+            const otherConfiguration = new Configuration({other: {key: "value"}});
+            const mergedConfiguration = configuration.merge(otherConfiguration);
+            const mountedConfiguration = configuration.merge(otherConfiguration, "nested");
+
+            mergedConfiguration.set("nested.key", "other value");
+            mergedConfiguration.set("other.key", "other value");
+            mountedConfiguration.set("nested.key", "other value");
+            mountedConfiguration.set("nested.other.key", "other value");
+
+            expect(configuration.all()).to.eql({nested: {key: "value"}});
+            expect(otherConfiguration.all()).to.eql({other: {key: "value"}});
+        });
+
         it("should merge configurations at existing key path", () => {
             const configuration = new Configuration({nested: {key: "value"}});
             const otherConfiguration = new Configuration({otherKey: "other value"});
@@ -198,5 +614,663 @@ describe("Configuration", () => {
                 }
             });
         });
+
+        it("should merge arrays using merge strategy", () => {
+            const configuration = new Configuration({list: [1, 2]});
+            const otherConfiguration = new Configuration({list: [2, 3]});
+
+            expect(configuration.merge(otherConfiguration).get("list")).to.eql([1, 2, 3]);
+            expect(configuration.merge(otherConfiguration, null, MergeStrategy.REPLACE_INDEXED).get("list"))
+                .to.eql([2, 3]);
+            expect(configuration.merge(otherConfiguration, null, MergeStrategy.APPEND).get("list"))
+                .to.eql([1, 2, 2, 3]);
+            expect(configuration.merge(otherConfiguration, null, MergeStrategy.PREPEND).get("list"))
+                .to.eql([2, 3, 1, 2]);
+        });
+
+        it("should merge arrays of objects by key", () => {
+            const configuration = new Configuration({
+                plugins: [{id: "cache", ttl: 60}, {name: "logger", level: "info"}, {enabled: true}]
+            });
+            const otherConfiguration = new Configuration({
+                plugins: [{name: "logger", level: "debug"}, {id: "auth"}, {enabled: true}]
+            });
+            const mergedConfiguration = configuration.merge(otherConfiguration, null, MergeStrategy.MERGE_BY_KEY);
+
+            expect(mergedConfiguration.get("plugins")).to.eql([
+                {id: "cache", ttl: 60},
+                {name: "logger", level: "debug"},
+                {enabled: true},
+                {id: "auth"},
+                {enabled: true}
+            ]);
+        });
+
+        it("should merge arrays element by element", () => {
+            const configuration = new Configuration({list: [{key: "value", other: "value"}, 2, 3]});
+            const otherConfiguration = new Configuration({list: [{key: "other value"}, 4]});
+            const mergedConfiguration = configuration.merge(otherConfiguration, null, MergeStrategy.DEEP_INDEX);
+
+            expect(mergedConfiguration.get("list")).to.eql([{key: "other value", other: "value"}, 4, 3]);
+        });
+
+        it("should merge arrays at specific key paths using their merge strategies", () => {
+            const configuration = new Configuration({
+                list: [1],
+                services: {api: {plugins: [{id: "cache", ttl: 60}]}}
+            });
+            const otherConfiguration = new Configuration({
+                list: [2],
+                services: {api: {plugins: [{id: "cache", ttl: 30}]}}
+            });
+            const mergedConfiguration = configuration.merge(otherConfiguration, null, MergeStrategy.REPLACE_INDEXED, {
+                "services.*.plugins": MergeStrategy.MERGE_BY_KEY
+            });
+
+            expect(mergedConfiguration.all()).to.eql({
+                list: [2],
+                services: {api: {plugins: [{id: "cache", ttl: 30}]}}
+            });
+        });
+
+        it("should resolve merge strategy key paths from the root when merging at key path", () => {
+            const configuration = new Configuration({nested: {list: [1]}});
+            const otherConfiguration = new Configuration({list: [1]});
+            const mergedConfiguration = configuration.merge(otherConfiguration, "nested", MergeStrategy.MERGE_INDEXED, {
+                "nested.list": MergeStrategy.APPEND
+            });
+
+            expect(mergedConfiguration.get("nested.list")).to.eql([1, 1]);
+        });
+
+        it("should remove settings set to unset", () => {
+            const configuration = new Configuration({feature: {enabled: true}, key: "value"});
+            const otherConfiguration = new Configuration({feature: "$unset", other: {key: "$unset"}});
+
+            expect(configuration.merge(otherConfiguration).all()).to.eql({key: "value", other: {}});
+        });
+
+        it("should replace settings instead of merging them", () => {
+            const configuration = new Configuration({feature: {enabled: true, hosts: ["a"]}});
+            const otherConfiguration = new Configuration({
+                feature: {$replace: {hosts: ["b"], nested: {key: "$unset"}}}
+            });
+
+            expect(configuration.merge(otherConfiguration).all()).to.eql({feature: {hosts: ["b"], nested: {}}});
+        });
+
+        it("should remove directives from settings not merged with existing settings", () => {
+            const otherConfiguration = new Configuration({
+                key: "$unset",
+                list: [{$replace: "value"}],
+                nested: {$replace: {key: "value"}}
+            });
+
+            expect(new Configuration().merge(otherConfiguration).all()).to.eql({
+                list: ["value"],
+                nested: {key: "value"}
+            });
+        });
+
+        it("should remove settings of merged array elements set to unset", () => {
+            const configuration = new Configuration({plugins: [{id: "cache", ttl: 60}]});
+            const otherConfiguration = new Configuration({plugins: [{id: "cache", ttl: "$unset"}]});
+            const mergedConfiguration = configuration.merge(otherConfiguration, null, MergeStrategy.MERGE_BY_KEY);
+
+            expect(mergedConfiguration.get("plugins")).to.eql([{id: "cache"}]);
+        });
+    });
+
+    describe("#freeze", () => {
+        it("should be chainable", () => {
+            expect(configuration.freeze()).to.equal(configuration);
+        });
+
+        it("should make configuration read only", () => {
+            configuration.set("nested.key", "value");
+            configuration.freeze();
+
+            expect(configuration.isFrozen()).to.be.true;
+            expect(() => configuration.set("key", "value"))
+                .to.throw(ConfigurationError, "Unable to set \"key\": Configuration is frozen");
+            expect(() => configuration.remove("nested.key"))
+                .to.throw(ConfigurationError, "Unable to remove \"nested.key\": Configuration is frozen");
+            expect(() => configuration.clear())
+                .to.throw(ConfigurationError, "Unable to clear configuration: Configuration is frozen");
+            expect(configuration.all()).to.eql({nested: {key: "value"}});
+        });
+
+        it("should deep freeze settings", () => {
+            configuration.set("nested.list", [{key: "value"}]);
+            configuration.freeze();
+
+            const settings = configuration.all();
+
+            expect(Object.isFrozen(settings)).to.be.true;
+            expect(Object.isFrozen(settings.nested.list[0])).to.be.true;
+            expect(Object.isFrozen(configuration.get("nested"))).to.be.true;
+        });
+
+        it("should not freeze settings given to the constructor", () => {
+            const settings = {nested: {key: "value"}};
+
+            new Configuration(settings).freeze();
+
+            expect(Object.isFrozen(settings)).to.be.false;
+            expect(Object.isFrozen(settings.nested)).to.be.false;
+        });
+
+        it("should not be frozen by default", () => {
+            expect(configuration.isFrozen()).to.be.false;
+        });
+
+        it("should produce configuration that is not frozen when merging", () => {
+            const frozenConfiguration = new Configuration({nested: {key: "value"}}).freeze();
+            const mergedConfiguration = frozenConfiguration.merge(new Configuration({other: {key: "value"}}));
+
+            mergedConfiguration.set("nested.key", "other value");
+
+            expect(mergedConfiguration.isFrozen()).to.be.false;
+            expect(mergedConfiguration.get("nested.key")).to.equal("other value");
+            expect(frozenConfiguration.get("nested.key")).to.equal("value");
+        });
+    });
+
+    describe("#diff", () => {
+        it("should describe added, removed and changed values", () => {
+            const oldConfiguration = new Configuration({
+                server: {port: 80, host: "localhost"},
+                feature: {enabled: true, limits: {rate: 10}},
+                hosts: ["a", "b"]
+            });
+            const newConfiguration = new Configuration({
+                server: {port: 8080, host: "localhost"},
+                database: {host: "db", options: {}},
+                hosts: ["a", "c"]
+            });
+            const diff = oldConfiguration.diff(newConfiguration);
+
+            expect(diff).to.be.instanceOf(ConfigurationDiff);
+            expect(diff.entries.map(({ type, keyPath, oldValue, newValue }) => ({type, keyPath, oldValue, newValue}))).to.eql([
+                {type: "changed", keyPath: "server.port", oldValue: 80, newValue: 8080},
+                {type: "removed", keyPath: "feature.enabled", oldValue: true, newValue: undefined},
+                {type: "removed", keyPath: "feature.limits.rate", oldValue: 10, newValue: undefined},
+                {type: "changed", keyPath: "hosts", oldValue: ["a", "b"], newValue: ["a", "c"]},
+                {type: "added", keyPath: "database.host", oldValue: undefined, newValue: "db"},
+                {type: "added", keyPath: "database.options", oldValue: undefined, newValue: {}}
+            ]);
+        });
+
+        it("should produce empty diff for equal configurations", () => {
+            const settings = {nested: {list: [{key: "value"}]}};
+
+            expect(new Configuration(settings).diff(new Configuration(settings)).isEmpty()).to.be.true;
+        });
+
+        it("should describe keys named like inherited properties", () => {
+            const diff = new Configuration({toString: "x"}).diff(new Configuration({constructor: "y"}));
+
+            expect(diff.entries.map(({ type, keyPath, oldValue, newValue }) => ({type, keyPath, oldValue, newValue}))).to.eql([
+                {type: "removed", keyPath: "toString", oldValue: "x", newValue: undefined},
+                {type: "added", keyPath: "constructor", oldValue: undefined, newValue: "y"}
+            ]);
+        });
+
+        it("should mask values as masked by either configuration", () => {
+            const oldConfiguration = new Configuration({password: "old", token: "old"}).markSensitive("password");
+            const newConfiguration = new Configuration({password: "new", token: "new"}).markSensitive("token");
+            const diff = oldConfiguration.diff(newConfiguration);
+
+            expect(diff.changed.map(({ redactedOldValue, redactedNewValue }) => [redactedOldValue, redactedNewValue])).to.eql([
+                ["[REDACTED]", "new"],
+                ["old", "[REDACTED]"]
+            ]);
+            expect(diff.render()).to.equal("~ password: [REDACTED] -> \"new\"\n~ token: \"old\" -> [REDACTED]");
+        });
+
+        it("should mask sensitive values below changed parents", () => {
+            const oldConfiguration = new Configuration({database: {host: "db", password: "hunter2"}}).markSensitive("database.password");
+            const newConfiguration = new Configuration({database: "gone"});
+            const diff = oldConfiguration.diff(newConfiguration);
+
+            expect(diff.changed[0].redactedOldValue).to.eql({host: "db", password: "[REDACTED]"});
+            expect(diff.render()).to.not.include("hunter2");
+        });
+
+        it("should mask settings of sensitive parents", () => {
+            const oldConfiguration = new Configuration({credentials: {user: "admin"}}).markSensitive("credentials");
+            const newConfiguration = new Configuration({credentials: {}});
+            const diff = oldConfiguration.diff(newConfiguration);
+
+            expect(diff.render()).to.equal("- credentials.user: [REDACTED]");
+        });
+    });
+
+    describe("#markSensitive", () => {
+        it("should be chainable", () => {
+            expect(configuration.markSensitive("password")).to.equal(configuration);
+        });
+
+        it("should mark key paths and patterns as sensitive", () => {
+            configuration.markSensitive("api.key").markSensitive("*.password").markSensitive("credentials");
+
+            expect(configuration.isSensitive("api.key")).to.be.true;
+            expect(configuration.isSensitive("database.password")).to.be.true;
+            expect(configuration.isSensitive("credentials.user")).to.be.true;
+            expect(configuration.isSensitive("api.url")).to.be.false;
+        });
+
+        it("should match leading wildcard at any depth", () => {
+            configuration.markSensitive("*.password").markSensitive("services.**.token");
+
+            expect(configuration.isSensitive("password")).to.be.true;
+            expect(configuration.isSensitive("database.password")).to.be.true;
+            expect(configuration.isSensitive("services.payments.password")).to.be.true;
+            expect(configuration.isSensitive("database.nested.password")).to.be.true;
+            expect(configuration.isSensitive("services.payments.api.token")).to.be.true;
+            expect(configuration.isSensitive("token")).to.be.false;
+            expect(configuration.isSensitive("password_hint")).to.be.false;
+        });
+
+        it("should mark sensitive key paths of frozen configuration", () => {
+            configuration.freeze().markSensitive("password");
+
+            expect(configuration.isSensitive("password")).to.be.true;
+        });
+    });
+
+    describe("#redacted", () => {
+        it("should mask sensitive settings", () => {
+            configuration = new Configuration({
+                database: {host: "localhost", password: "secret"},
+                servers: [{host: "a", token: "secret"}],
+                credentials: {user: "admin", key: "secret"}
+            });
+            configuration.markSensitive("*.password").markSensitive("servers.*.token").markSensitive("credentials");
+
+            expect(configuration.redacted()).to.eql({
+                database: {host: "localhost", password: "[REDACTED]"},
+                servers: [{host: "a", token: "[REDACTED]"}],
+                credentials: "[REDACTED]"
+            });
+            expect(configuration.get("database.password")).to.equal("secret");
+            expect(configuration.all().credentials).to.eql({user: "admin", key: "secret"});
+        });
+
+        it("should mask nested credentials", () => {
+            configuration = new Configuration({
+                password: "a",
+                services: {pay: {password: "b"}},
+                database: {nested: {password: "c", host: "localhost"}}
+            }).markSensitive("*.password");
+
+            expect(configuration.redacted()).to.eql({
+                password: "[REDACTED]",
+                services: {pay: {password: "[REDACTED]"}},
+                database: {nested: {password: "[REDACTED]", host: "localhost"}}
+            });
+        });
+
+        it("should keep sensitive key paths when merging", () => {
+            const otherConfiguration = new Configuration({password: "secret"}).markSensitive("password");
+            const mergedConfiguration = new Configuration({key: "value"})
+                .markSensitive("key")
+                .merge(otherConfiguration, "database");
+
+            expect(mergedConfiguration.redacted()).to.eql({
+                key: "[REDACTED]",
+                database: {password: "[REDACTED]"}
+            });
+        });
+    });
+
+    describe("#toJSON", () => {
+        it("should mask sensitive settings when serialized", () => {
+            configuration = new Configuration({user: "admin", password: "secret"}).markSensitive("password");
+
+            expect(JSON.parse(JSON.stringify(configuration))).to.eql({user: "admin", password: "[REDACTED]"});
+        });
+    });
+
+    describe("#[inspect.custom]", () => {
+        it("should mask sensitive settings when inspected", () => {
+            configuration = new Configuration({user: "admin", password: "secret"}).markSensitive("password");
+
+            expect(inspect(configuration)).to.equal("Configuration { user: 'admin', password: '[REDACTED]' }");
+        });
+    });
+
+    describe("#toFormat", () => {
+        beforeEach(() => {
+            configuration = new Configuration({
+                database: {host: "localhost", port: 5432, password: "it's \"$ecret\""},
+                hosts: ["a", "b"],
+                enabled: true
+            });
+        });
+
+        it("should serialize settings as JSON", () => {
+            expect(JSON.parse(configuration.toFormat("json"))).to.eql(configuration.all());
+            expect(configuration.toFormat("json", {indent: 0})).to.equal(`${JSON.stringify(configuration.all())}\n`);
+        });
+
+        it("should serialize settings as YAML", () => {
+            expect(new YamlConfigurationSource("config.yaml").parse(configuration.toFormat("yaml"))).to.eql(configuration.all());
+        });
+
+        it("should serialize settings as dotenv variables", () => {
+            const content = configuration.toFormat("env", {prefix: "APP_"});
+
+            expect(content).to.equal([
+                "APP_DATABASE__HOST=localhost",
+                "APP_DATABASE__PORT=5432",
+                "APP_DATABASE__PASSWORD=\"it's \\\"\\$ecret\\\"\"",
+                "APP_HOSTS=\"[\\\"a\\\",\\\"b\\\"]\"",
+                "APP_ENABLED=true",
+                ""
+            ].join("\n"));
+            expect(new DotenvConfigurationSource(".env", {environment: {}, coerce: true}).parse(content.replace(/APP_/g, "")))
+                .to.eql(configuration.all());
+        });
+
+        it("should restore dotenv variables with underscores in keys", () => {
+            configuration = new Configuration({database: {read_only: true, pool_size: 5}, log_level: "debug"});
+
+            const content = configuration.toFormat("env");
+
+            expect(content).to.equal("DATABASE__READ_ONLY=true\nDATABASE__POOL_SIZE=5\nLOG_LEVEL=debug\n");
+            expect(new DotenvConfigurationSource(".env", {environment: {}, coerce: true}).parse(content))
+                .to.eql(configuration.all());
+        });
+
+        it("should throw if key is not a valid dotenv variable name", () => {
+            expect(() => new Configuration({database: {"read-only": true}}).toFormat("env", {prefix: "APP_"}))
+                .to.throw(ConfigurationError, "Unable to serialize configuration: Invalid variable name \"APP_DATABASE__READ-ONLY\"");
+            expect(() => new Configuration({hosts: {"example.com": true}}).toFormat("env"))
+                .to.throw(ConfigurationError, "Invalid variable name \"HOSTS__EXAMPLE.COM\"");
+        });
+
+        it("should flatten settings", () => {
+            const flattened = {
+                "database.host": "localhost",
+                "database.port": 5432,
+                "database.password": "it's \"$ecret\"",
+                "hosts": ["a", "b"],
+                "enabled": true
+            };
+
+            expect(JSON.parse(configuration.toFormat("json", {flatten: true}))).to.eql(flattened);
+            expect(configuration.toFormat("yaml", {flatten: true, separator: "__"})).to.include("database__host: localhost");
+        });
+
+        it("should escape keys of flattened settings", () => {
+            configuration = new Configuration({hosts: {"example.com": true}});
+
+            expect(JSON.parse(configuration.toFormat("json", {flatten: true}))).to.eql({"hosts.example\\.com": true});
+        });
+
+        it("should mask sensitive settings if requested", () => {
+            configuration.markSensitive("*.password");
+
+            expect(JSON.parse(configuration.toFormat("json", {redact: true})).database.password).to.equal("[REDACTED]");
+            expect(JSON.parse(configuration.toFormat("json")).database.password).to.equal("it's \"$ecret\"");
+        });
+
+        it("should throw if format is not supported", () => {
+            expect(() => configuration.toFormat("xml"))
+                .to.throw(ConfigurationError, "Unable to serialize configuration: Unsupported format \"xml\"");
+        });
+    });
+
+    describe(".fromFlat", () => {
+        it("should create configuration from key paths", () => {
+            configuration = Configuration.fromFlat({
+                "database.host": "localhost",
+                "servers[0].host": "a",
+                "hosts.example\\.com": true
+            });
+
+            expect(configuration).to.be.instanceOf(Configuration);
+            expect(configuration.all()).to.eql({
+                database: {host: "localhost"},
+                servers: [{host: "a"}],
+                hosts: {"example.com": true}
+            });
+        });
+
+        it("should create configuration from keys joined by separator", () => {
+            configuration = Configuration.fromFlat({"database__host": "localhost", "hosts__example.com": true}, {separator: "__"});
+
+            expect(configuration.all()).to.eql({database: {host: "localhost"}, hosts: {"example.com": true}});
+        });
+
+        it("should not modify prototypes", () => {
+            expect(() => Configuration.fromFlat({"__proto__.polluted": "yes"})).to.throw(ConfigurationError);
+            expect(() => Configuration.fromFlat({"__proto__:polluted": "yes"}, {separator: ":"})).to.throw(ConfigurationError);
+            expect({}.polluted).to.be.undefined;
+        });
+
+        it("should take numeric keys as object keys", () => {
+            const expected = {errors: {404: "Not Found"}};
+
+            expect(Configuration.fromFlat({"errors.404": "Not Found"}).all()).to.eql(expected);
+            expect(Configuration.fromFlat({'errors["404"]': "Not Found"}).all()).to.eql(expected);
+            expect(Configuration.fromFlat({"errors__404": "Not Found"}, {separator: "__"}).all()).to.eql(expected);
+        });
+
+        it("should take numeric keys joined by separator as array indices if enabled", () => {
+            const expected = {servers: [{host: "a"}, {host: "b"}]};
+            const settings = {"servers__0__host": "a", "servers__1__host": "b"};
+
+            expect(Configuration.fromFlat(settings, {separator: "__", arrayIndices: true}).all()).to.eql(expected);
+        });
+
+        it("should take numeric keys joined by separator as indices of existing arrays", () => {
+            configuration = Configuration.fromFlat({"servers": [{host: "a"}], "servers__1__host": "b"}, {separator: "__"});
+
+            expect(configuration.all()).to.eql({servers: [{host: "a"}, {host: "b"}]});
+        });
+
+        it("should rebuild flattened settings", () => {
+            configuration = new Configuration({database: {host: "localhost", options: {ssl: true}}, list: [1, 2]});
+
+            expect(Configuration.fromFlat(JSON.parse(configuration.toFormat("json", {flatten: true}))).all())
+                .to.eql(configuration.all());
+        });
+
+        it("should rebuild flattened settings with numeric object keys", () => {
+            configuration = new Configuration({errors: {404: "Not Found"}, ports: {8080: "http"}});
+
+            expect(Configuration.fromFlat(JSON.parse(configuration.toFormat("json", {flatten: true}))).all())
+                .to.eql(configuration.all());
+        });
+    });
+
+    describe("#onChange", () => {
+        it("should notify listener when value at key path is set", () => {
+            const changes = [];
+
+            configuration.set("key", "value");
+            configuration.onChange("key", (newValue, oldValue) => changes.push([newValue, oldValue]));
+            configuration.set("key", "other value");
+
+            expect(changes).to.eql([["other value", "value"]]);
+        });
+
+        it("should notify listener when value under key path changes", () => {
+            const changes = [];
+
+            configuration.set("database.pool.size", 1);
+            configuration.onChange("database.pool", (newValue, oldValue) => changes.push([newValue, oldValue]));
+            configuration.set("database.pool.size", 2);
+
+            expect(changes).to.eql([[{size: 2}, {size: 1}]]);
+        });
+
+        it("should notify listener when parent of key path changes", () => {
+            const changes = [];
+
+            configuration.set("database.pool.size", 1);
+            configuration.onChange("database.pool.size", (newValue, oldValue) => changes.push([newValue, oldValue]));
+            configuration.set("database", {pool: {size: 2}});
+
+            expect(changes).to.eql([[2, 1]]);
+        });
+
+        it("should not notify listener when value is unchanged", () => {
+            const changes = [];
+
+            configuration.set("database.pool.size", 1);
+            configuration.onChange("database.pool", (newValue, oldValue) => changes.push([newValue, oldValue]));
+            configuration.set("database.pool.size", 1);
+            configuration.set("database.host", "localhost");
+
+            expect(changes).to.be.empty;
+        });
+
+        it("should notify listener when value is removed", () => {
+            const changes = [];
+
+            configuration.set("key", "value");
+            configuration.onChange("key", (newValue, oldValue) => changes.push([newValue, oldValue]));
+            configuration.remove("key");
+
+            expect(changes).to.eql([[undefined, "value"]]);
+        });
+
+        it("should notify listener when configuration is cleared", () => {
+            const changes = [];
+
+            configuration.set("key", "value");
+            configuration.onChange("key", (newValue, oldValue) => changes.push([newValue, oldValue]));
+            configuration.clear();
+
+            expect(changes).to.eql([[undefined, "value"]]);
+        });
+
+        it("should not notify listener after unsubscribing", () => {
+            const changes = [];
+            const unsubscribe = configuration.onChange("key", (newValue, oldValue) => changes.push([newValue, oldValue]));
+
+            unsubscribe();
+            configuration.set("key", "value");
+
+            expect(changes).to.be.empty;
+        });
+    });
+
+    describe("#takeOverListeners", () => {
+        it("should be chainable", () => {
+            expect(configuration.takeOverListeners(new Configuration())).to.equal(configuration);
+        });
+
+        it("should notify listeners of values that differ", () => {
+            const changes = [];
+            const oldConfiguration = new Configuration({key: "value", other: "value"});
+
+            oldConfiguration.onChange("key", (newValue, oldValue) => changes.push(["key", newValue, oldValue]));
+            oldConfiguration.onChange("other", (newValue, oldValue) => changes.push(["other", newValue, oldValue]));
+            configuration.set("other", "value");
+            configuration.takeOverListeners(oldConfiguration);
+
+            expect(changes).to.eql([["key", undefined, "value"]]);
+        });
+
+        it("should move subscriptions to the instance", () => {
+            const changes = [];
+            const oldConfiguration = new Configuration();
+            const unsubscribe = oldConfiguration.onChange("key", newValue => changes.push(newValue));
+
+            configuration.takeOverListeners(oldConfiguration);
+            oldConfiguration.set("key", "old");
+            configuration.set("key", "new");
+            unsubscribe();
+            configuration.set("key", "newer");
+
+            expect(changes).to.eql(["new"]);
+        });
+    });
+
+    describe("#explain", () => {
+        it("should explain value without origin", () => {
+            configuration.set("key", "value");
+
+            expect(configuration.explain("key")).to.eql({
+                keyPath: "key",
+                value: "value",
+                source: null,
+                overridden: []
+            });
+        });
+
+        it("should explain value supplied by source", () => {
+            configuration = new Configuration({key: "value"}, new Map([
+                ["key", [{value: "value", source: "config.json"}]]
+            ]));
+
+            expect(configuration.explain("key")).to.eql({
+                keyPath: "key",
+                value: "value",
+                source: "config.json",
+                overridden: []
+            });
+        });
+
+        it("should explain overridden values in order when merging", () => {
+            const first = new Configuration({key: "first"}, new Map([["key", [{value: "first", source: "first.json"}]]]));
+            const second = new Configuration({key: "second"}, new Map([["key", [{value: "second", source: "second.json"}]]]));
+            const third = new Configuration({other: "third"}, new Map([["other", [{value: "third", source: "third.json"}]]]));
+
+            expect(first.merge(second).merge(third, "nested").explain("key")).to.eql({
+                keyPath: "key",
+                value: "second",
+                source: "second.json",
+                overridden: [{value: "first", source: "first.json"}]
+            });
+            expect(first.merge(third, "nested").explain("nested.other").source).to.equal("third.json");
+        });
+
+        it("should explain value inside value supplied as a whole", () => {
+            configuration = new Configuration({server: {port: 80}}, new Map([
+                ["server", [{value: {port: 80}, source: "--server"}]]
+            ]));
+
+            expect(configuration.explain("server.port").value).to.equal(80);
+            expect(configuration.explain("server.port").source).to.equal("--server");
+        });
+
+        it("should explain values regardless of key path notation", () => {
+            configuration = new Configuration({hosts: {"example.com": "value"}}, new Map([
+                ["hosts.example\\.com", [{value: "value", source: "config.json"}]]
+            ]));
+
+            expect(configuration.explain("hosts[\"example.com\"]").source).to.equal("config.json");
+        });
+
+        it("should forget origins of values that are set", () => {
+            configuration = new Configuration({nested: {key: "value"}}, new Map([
+                ["nested.key", [{value: "value", source: "config.json"}]]
+            ]));
+
+            configuration.set("nested", "value");
+
+            expect(configuration.explain("nested.key").source).to.be.null;
+            expect(configuration.explain("nested").source).to.be.null;
+        });
+
+        it("should forget origins of values that are removed", () => {
+            configuration = new Configuration({key: "value"}, new Map([
+                ["key", [{value: "value", source: "config.json"}]]
+            ]));
+
+            configuration.remove("key");
+
+            expect(configuration.explain("key")).to.eql({
+                keyPath: "key",
+                value: null,
+                source: null,
+                overridden: []
+            });
+        });
     });
 });
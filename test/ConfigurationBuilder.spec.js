@@ -5,7 +5,18 @@
  * file that was distributed with this source code.
  */
 
-import { ConfigurationBuilder, ObjectConfigurationSource, MergeStrategy } from "@moonwalkingbits/apollo-configuration";
+import {
+    ConfigurationBuilder,
+    ConfigurationError,
+    ConfigurationReferenceError,
+    ConfigurationValidationError,
+    DirectoryConfigurationSource,
+    FileConfigurationSourceRegistry,
+    JsonConfigurationSource,
+    ObjectConfigurationSource,
+    MergeStrategy,
+    YamlConfigurationSource
+} from "@moonwalkingbits/apollo-configuration";
 import { createRequire } from "module";
 
 const require = createRequire(import.meta.url);
@@ -32,6 +43,592 @@ describe("ConfigurationBuilder", () => {
         });
     });
 
+    describe("#addConfigurationSource", () => {
+        it("should accept key path as option", async () => {
+            const settings = {key: "value"};
+            const configuration = await configurationBuilder
+                .addConfigurationSource(new ObjectConfigurationSource(settings), {keyPath: "nested"})
+                .build();
+
+            expect(configuration.all()).to.eql({
+                nested: {
+                    key: "value"
+                }
+            });
+        });
+
+        it("should reject missing configuration files by default", async () => {
+            configurationBuilder.addConfigurationSource(new JsonConfigurationSource("test/fixtures/missing.json"));
+
+            try {
+                await configurationBuilder.build();
+            } catch (error) {
+                expect(error.code).to.equal("ENOENT");
+
+                return;
+            }
+
+            expect.fail("Expected a missing file error");
+        });
+
+        it("should skip missing optional configuration files", async () => {
+            const settings = {key: "value"};
+            const configuration = await configurationBuilder.addConfigurationSource(new ObjectConfigurationSource(settings))
+                .addConfigurationSource(new JsonConfigurationSource("test/fixtures/missing.json"), {optional: true})
+                .addConfigurationSource(new JsonConfigurationSource("test/fixtures/missing.json"), "nested", {optional: true})
+                .build();
+
+            expect(configuration.all()).to.eql(settings);
+        });
+
+        it("should not skip other errors from optional configuration sources", async () => {
+            const error = new Error("Unable to load");
+            const configurationSource = {
+                load() {
+                    return Promise.reject(error);
+                }
+            };
+
+            configurationBuilder.addConfigurationSource(configurationSource, {optional: true});
+
+            try {
+                await configurationBuilder.build();
+            } catch (thrownError) {
+                expect(thrownError).to.equal(error);
+
+                return;
+            }
+
+            expect.fail("Expected an error");
+        });
+
+        it("should only use configuration sources with predicate if it holds", async () => {
+            const configuration = await configurationBuilder
+                .addConfigurationSource(new ObjectConfigurationSource({debug: true}))
+                .addConfigurationSource(new ObjectConfigurationSource({level: "debug"}), {
+                    when: configuration => configuration.get("debug")
+                })
+                .addConfigurationSource(new ObjectConfigurationSource({format: "json"}), {
+                    when: async configuration => !configuration.get("debug")
+                })
+                .build();
+
+            expect(configuration.all()).to.eql({
+                debug: true,
+                level: "debug"
+            });
+        });
+    });
+
+    describe("#addProfileConfigurationSources", () => {
+        it("should layer base, profile and local configuration files", async () => {
+            const configuration = await configurationBuilder
+                .addProfileConfigurationSources("test/fixtures/profiles/config.json", {profile: "production"})
+                .build();
+
+            expect(configuration.all()).to.eql({
+                profile: "production",
+                debug: true,
+                database: {
+                    host: "database",
+                    pool: 10
+                }
+            });
+        });
+
+        it("should use profile from environment by default", async () => {
+            const environment = process.env.NODE_ENV;
+
+            process.env.NODE_ENV = "production";
+
+            try {
+                const configuration = await configurationBuilder
+                    .addProfileConfigurationSources("test/fixtures/profiles/config.json")
+                    .build();
+
+                expect(configuration.get("profile")).to.equal("production");
+            } finally {
+                if (environment === undefined) {
+                    delete process.env.NODE_ENV;
+                } else {
+                    process.env.NODE_ENV = environment;
+                }
+            }
+        });
+
+        it("should skip missing profile configuration files", async () => {
+            const configuration = await configurationBuilder
+                .addProfileConfigurationSources("test/fixtures/profiles/config.json", {profile: "development"})
+                .build();
+
+            expect(configuration.get("profile")).to.equal("default");
+        });
+
+        it("should not require a profile", async () => {
+            const configuration = await configurationBuilder
+                .addProfileConfigurationSources("test/fixtures/profiles/config.json", {profile: null, local: false})
+                .build();
+
+            expect(configuration.all()).to.eql({
+                profile: "default",
+                database: {
+                    host: "localhost",
+                    pool: 1
+                }
+            });
+        });
+
+        it("should layer inherited profiles first", async () => {
+            const configuration = await configurationBuilder
+                .addProfileConfigurationSources("test/fixtures/profiles/config.json", {
+                    profile: "staging",
+                    profiles: {staging: "production"}
+                })
+                .build();
+
+            expect(configuration.all()).to.eql({
+                profile: "staging",
+                debug: true,
+                database: {
+                    host: "database",
+                    pool: 2
+                }
+            });
+        });
+
+        it("should merge profile configuration files at key path", async () => {
+            const configuration = await configurationBuilder
+                .addProfileConfigurationSources("test/fixtures/profiles/config.json", {
+                    profile: "production",
+                    local: false,
+                    keyPath: "nested"
+                })
+                .build();
+
+            expect(configuration.get("nested.profile")).to.equal("production");
+        });
+
+        it("should add local configuration file once", () => {
+            const files = [];
+            const registry = new class extends FileConfigurationSourceRegistry {
+                create(file) {
+                    files.push(file);
+
+                    return super.create(file);
+                }
+            }();
+
+            configurationBuilder.addProfileConfigurationSources("config.json", {
+                profile: "local",
+                profiles: {local: "development"},
+                registry
+            });
+
+            expect(files).to.eql(["config.json", "config.development.json", "config.local.json"]);
+        });
+
+        it("should throw if profiles inherit from each other in a cycle", () => {
+            expect(() => configurationBuilder.addProfileConfigurationSources("config.json", {
+                profile: "staging",
+                profiles: {staging: ["production"], production: ["staging"]}
+            })).to.throw(ConfigurationError, "staging -> production -> staging");
+        });
+    });
+
+    describe("#markSensitive", () => {
+        it("should be chainable", () => {
+            expect(configurationBuilder.markSensitive("*.password")).to.equal(configurationBuilder);
+        });
+
+        it("should mark settings of built configuration as sensitive", async () => {
+            const configuration = await configurationBuilder.markSensitive("*.password")
+                .addConfigurationSource(new ObjectConfigurationSource({database: {password: "secret"}}))
+                .enableFreezing()
+                .build();
+
+            expect(configuration.isSensitive("database.password")).to.be.true;
+            expect(JSON.stringify(configuration)).to.not.include("secret");
+        });
+
+        it("should mark settings interpolated from sensitive settings as sensitive", async () => {
+            const configuration = await configurationBuilder.markSensitive("*.password")
+                .enableInterpolation()
+                .addConfigurationSource(new ObjectConfigurationSource({
+                    database: {password: "hunter2", url: "postgres://app:${database.password}@db/app"},
+                    backup: {url: "${database.url}", settings: "${database}"},
+                    host: "db"
+                }))
+                .build();
+
+            expect(configuration.get("database.url")).to.equal("postgres://app:hunter2@db/app");
+            expect(configuration.isSensitive("database.url")).to.be.true;
+            expect(configuration.isSensitive("backup.url")).to.be.true;
+            expect(configuration.isSensitive("backup.settings")).to.be.true;
+            expect(configuration.isSensitive("host")).to.be.false;
+            expect(JSON.stringify(configuration)).to.not.include("hunter2");
+        });
+    });
+
+    describe("#setSchema", () => {
+        it("should be chainable", () => {
+            expect(configurationBuilder.setSchema({type: "object"})).to.equal(configurationBuilder);
+        });
+
+        it("should build configuration conforming to schema", async () => {
+            const configuration = await configurationBuilder.setSchema({
+                type: "object",
+                properties: {key: {type: "string"}},
+                required: ["key"]
+            })
+                .addConfigurationSource(new ObjectConfigurationSource({key: "value"}))
+                .build();
+
+            expect(configuration.all()).to.eql({key: "value"});
+        });
+
+        it("should apply schema defaults", async () => {
+            const configuration = await configurationBuilder.setSchema({
+                type: "object",
+                properties: {
+                    key: {type: "string", default: "default value"},
+                    server: {
+                        type: "object",
+                        properties: {
+                            host: {type: "string", default: "localhost"},
+                            port: {type: "integer", default: 8080}
+                        }
+                    }
+                }
+            })
+                .addConfigurationSource(new ObjectConfigurationSource({server: {port: 80}}))
+                .build();
+
+            expect(configuration.all()).to.eql({
+                key: "default value",
+                server: {
+                    host: "localhost",
+                    port: 80
+                }
+            });
+        });
+
+        it("should apply defaults of properties named like inherited properties", async () => {
+            const configuration = await configurationBuilder.setSchema({
+                type: "object",
+                properties: {toString: {type: "string", default: "value"}}
+            }).build();
+
+            expect(configuration.get("toString")).to.equal("value");
+        });
+
+        it("should require properties named like inherited properties", async () => {
+            configurationBuilder.setSchema({type: "object", required: ["constructor"]});
+
+            let error = null;
+
+            try {
+                await configurationBuilder.build();
+            } catch (buildError) {
+                error = buildError;
+            }
+
+            expect(error).to.be.instanceOf(ConfigurationValidationError);
+            expect(error.violations).to.eql([{keyPath: "constructor", message: "is required", source: null}]);
+        });
+
+        it("should report every violation at once", async () => {
+            configurationBuilder.setSchema({
+                type: "object",
+                properties: {
+                    key: {type: "integer"},
+                    server: {
+                        type: "object",
+                        properties: {
+                            host: {type: "string"},
+                            port: {type: "integer", minimum: 1}
+                        },
+                        required: ["host"]
+                    }
+                },
+                required: ["name"]
+            })
+                .addConfigurationSource(new JsonConfigurationSource("test/fixtures/config.json"))
+                .addConfigurationSource(new ObjectConfigurationSource({port: 0}), "server");
+
+            let error = null;
+
+            try {
+                await configurationBuilder.build();
+            } catch (buildError) {
+                error = buildError;
+            }
+
+            expect(error).to.be.instanceOf(ConfigurationValidationError);
+            expect(error).to.be.instanceOf(ConfigurationError);
+            expect(error.violations).to.have.deep.members([
+                {keyPath: "name", message: "is required", source: null},
+                {keyPath: "key", message: "must be of type integer", source: "test/fixtures/config.json"},
+                {keyPath: "server.host", message: "is required", source: null},
+                {keyPath: "server.port", message: "must be greater than or equal to 1", source: "ObjectConfigurationSource"}
+            ]);
+            expect(error.message).to.contain("key must be of type integer (from test/fixtures/config.json)");
+        });
+
+        it("should use latest source supplying value", async () => {
+            configurationBuilder.setSchema({
+                type: "object",
+                properties: {key: {type: "string"}}
+            })
+                .addConfigurationSource(new JsonConfigurationSource("test/fixtures/config.json"))
+                .addConfigurationSource(new ObjectConfigurationSource({key: 1}));
+
+            let error = null;
+
+            try {
+                await configurationBuilder.build();
+            } catch (buildError) {
+                error = buildError;
+            }
+
+            expect(error.violations).to.eql([
+                {keyPath: "key", message: "must be of type string", source: "ObjectConfigurationSource"}
+            ]);
+        });
+
+        it("should reject unsupported schema keywords and types", async () => {
+            const schemas = [
+                [{type: "object", oneOf: []}, "Unsupported keyword \"oneOf\""],
+                [{properties: {port: {type: "integer", exclusiveMinimum: 0}}}, "Unsupported keyword \"exclusiveMinimum\" at \"properties.port\""],
+                [{items: {$ref: "#/definitions/item"}}, "Unsupported keyword \"$ref\" at \"items\""],
+                [{additionalProperties: {type: "string", format: "uri"}}, "Unsupported keyword \"format\" at \"additionalProperties\""],
+                [{type: ["string", "date"]}, "Unsupported type \"date\""]
+            ];
+
+            for (const [schema, message] of schemas) {
+                let error = null;
+
+                try {
+                    await new ConfigurationBuilder().setSchema(schema).build();
+                } catch (buildError) {
+                    error = buildError;
+                }
+
+                expect(error).to.be.instanceOf(ConfigurationError);
+                expect(error.message).to.equal(`Unable to use schema: ${message}`);
+            }
+        });
+
+        it("should accept schema annotations", async () => {
+            const configuration = await configurationBuilder.setSchema({
+                $schema: "http://json-schema.org/draft-07/schema#",
+                title: "Configuration",
+                properties: {key: {type: "string", description: "Key"}}
+            })
+                .addConfigurationSource(new JsonConfigurationSource("test/fixtures/config.json"))
+                .build();
+
+            expect(configuration.get("key")).to.equal("value");
+        });
+
+        it("should not validate without schema", async () => {
+            const configuration = await configurationBuilder.setSchema({type: "object", required: ["key"]})
+                .setSchema(null)
+                .build();
+
+            expect(configuration.all()).to.eql({});
+        });
+    });
+
+    describe("#enableInterpolation", () => {
+        it("should be chainable", () => {
+            expect(configurationBuilder.enableInterpolation()).to.equal(configurationBuilder);
+        });
+
+        it("should not resolve placeholders unless enabled", async () => {
+            const configuration = await configurationBuilder.addConfigurationSource(new ObjectConfigurationSource({
+                host: "localhost",
+                url: "http://${host}"
+            })).build();
+
+            expect(configuration.get("url")).to.equal("http://${host}");
+        });
+
+        it("should resolve references to other settings", async () => {
+            const configuration = await configurationBuilder.enableInterpolation()
+                .addConfigurationSource(new ObjectConfigurationSource({
+                    database: {
+                        host: "localhost",
+                        port: 5432,
+                        url: "postgres://${database.address}/app",
+                        address: "${database.host}:${database.port}"
+                    }
+                }))
+                .build();
+
+            expect(configuration.get("database.url")).to.equal("postgres://localhost:5432/app");
+            expect(configuration.get("database.address")).to.equal("localhost:5432");
+        });
+
+        it("should resolve references across configuration sources", async () => {
+            const configuration = await configurationBuilder.enableInterpolation()
+                .addConfigurationSource(new ObjectConfigurationSource({url: "http://${host}/"}))
+                .addConfigurationSource(new ObjectConfigurationSource({host: "example.com"}))
+                .build();
+
+            expect(configuration.get("url")).to.equal("http://example.com/");
+        });
+
+        it("should keep type of single placeholder values", async () => {
+            const configuration = await configurationBuilder.enableInterpolation()
+                .addConfigurationSource(new ObjectConfigurationSource({
+                    port: 8080,
+                    server: {port: "${port}", hosts: ["${list}"]},
+                    list: ["one", "two"],
+                    description: "hosts ${list}"
+                }))
+                .build();
+
+            expect(configuration.get("server.port")).to.equal(8080);
+            expect(configuration.get("server.hosts")).to.eql([["one", "two"]]);
+            expect(configuration.get("description")).to.equal("hosts [\"one\",\"two\"]");
+        });
+
+        it("should resolve references using key path syntax", async () => {
+            const configuration = await configurationBuilder.enableInterpolation()
+                .addConfigurationSource(new ObjectConfigurationSource({
+                    servers: [{host: "localhost"}],
+                    hosts: {"example.com": "remote"},
+                    first: "${servers[0].host}",
+                    remote: "${hosts.example\\.com}"
+                }))
+                .build();
+
+            expect(configuration.get("first")).to.equal("localhost");
+            expect(configuration.get("remote")).to.equal("remote");
+        });
+
+        it("should resolve environment variables", async () => {
+            const configuration = await configurationBuilder.enableInterpolation({environment: {HOME: "/home/user"}})
+                .addConfigurationSource(new ObjectConfigurationSource({
+                    cache: "${env:HOME}/.cache",
+                    port: "${env:PORT:-8080}",
+                    host: "${hostname:-localhost}"
+                }))
+                .build();
+
+            expect(configuration.all()).to.eql({
+                cache: "/home/user/.cache",
+                port: "8080",
+                host: "localhost"
+            });
+        });
+
+        it("should not resolve escaped placeholders", async () => {
+            const configuration = await configurationBuilder.enableInterpolation()
+                .addConfigurationSource(new ObjectConfigurationSource({key: "value", literal: "$${key} ${key}"}))
+                .build();
+
+            expect(configuration.get("literal")).to.equal("${key} value");
+        });
+
+        it("should report unresolved references with reference chain", async () => {
+            configurationBuilder.enableInterpolation({environment: {}})
+                .addConfigurationSource(new ObjectConfigurationSource({
+                    url: "http://${address}",
+                    address: "${host}:${env:PORT}",
+                    host: "localhost"
+                }));
+
+            let error = null;
+
+            try {
+                await configurationBuilder.build();
+            } catch (buildError) {
+                error = buildError;
+            }
+
+            expect(error).to.be.instanceOf(ConfigurationReferenceError);
+            expect(error).to.be.instanceOf(ConfigurationError);
+            expect(error.chain).to.eql(["url", "address", "env:PORT"]);
+            expect(error.message).to.equal("Unresolved reference \"env:PORT\": url -> address -> env:PORT");
+        });
+
+        it("should report circular references with reference chain", async () => {
+            configurationBuilder.enableInterpolation()
+                .addConfigurationSource(new ObjectConfigurationSource({
+                    one: "${two}",
+                    two: "${nested}",
+                    nested: {three: "${one}"}
+                }));
+
+            let error = null;
+
+            try {
+                await configurationBuilder.build();
+            } catch (buildError) {
+                error = buildError;
+            }
+
+            expect(error).to.be.instanceOf(ConfigurationReferenceError);
+            expect(error.chain).to.eql(["one", "two", "nested", "nested.three", "one"]);
+            expect(error.message).to.equal("Circular reference \"one\": one -> two -> nested -> nested.three -> one");
+        });
+
+        it("should resolve placeholders before validating", async () => {
+            const configuration = await configurationBuilder.enableInterpolation()
+                .setSchema({type: "object", properties: {port: {type: "integer"}}})
+                .addConfigurationSource(new ObjectConfigurationSource({defaultPort: 80, port: "${defaultPort}"}))
+                .build();
+
+            expect(configuration.get("port")).to.equal(80);
+        });
+    });
+
+    describe("#enableFreezing", () => {
+        it("should be chainable", () => {
+            expect(configurationBuilder.enableFreezing()).to.equal(configurationBuilder);
+        });
+
+        it("should not freeze built configuration unless enabled", async () => {
+            const configuration = await configurationBuilder.build();
+
+            expect(configuration.isFrozen()).to.be.false;
+        });
+
+        it("should freeze built configuration", async () => {
+            const configuration = await configurationBuilder.enableFreezing()
+                .addConfigurationSource(new ObjectConfigurationSource({key: "value"}))
+                .build();
+
+            expect(configuration.isFrozen()).to.be.true;
+            expect(() => configuration.set("key", "other value")).to.throw(ConfigurationError);
+        });
+    });
+
+    describe("#setMergeStrategy", () => {
+        it("should be chainable", () => {
+            expect(configurationBuilder.setMergeStrategy("list", MergeStrategy.APPEND)).to.equal(configurationBuilder);
+        });
+
+        it("should merge arrays at key path using merge strategy", async () => {
+            const configuration = await configurationBuilder.setMergeStrategy("routes", MergeStrategy.MERGE_BY_KEY)
+                .addConfigurationSource(new ObjectConfigurationSource({
+                    list: ["one", "two"],
+                    routes: [{name: "home", path: "/"}, {name: "about", path: "/about"}]
+                }))
+                .addConfigurationSource(new ObjectConfigurationSource({
+                    list: ["two", "three"],
+                    routes: [{name: "about", path: "/about-us"}]
+                }))
+                .build(MergeStrategy.REPLACE_INDEXED);
+
+            expect(configuration.all()).to.eql({
+                list: ["two", "three"],
+                routes: [{name: "home", path: "/"}, {name: "about", path: "/about-us"}]
+            });
+        });
+    });
+
     describe("#build", () => {
         it("should merge configuration sources", async () => {
             const settings = {key: "value"};
@@ -119,6 +716,93 @@ describe("ConfigurationBuilder", () => {
             });
         });
 
+        it("should provide configuration sources with the configuration built so far", async () => {
+            const settings = {key: "value"};
+            const loadedConfigurations = [];
+            const configurationSource = {
+                load(configuration) {
+                    loadedConfigurations.push(configuration.all());
+
+                    return Promise.resolve({otherKey: "other value"});
+                }
+            };
+
+            await configurationBuilder.addConfigurationSource(configurationSource)
+                .addConfigurationSource(new ObjectConfigurationSource(settings))
+                .addConfigurationSource(configurationSource)
+                .build();
+
+            expect(loadedConfigurations).to.eql([
+                {},
+                {
+                    key: "value",
+                    otherKey: "other value"
+                }
+            ]);
+        });
+
+        it("should keep track of configuration sources supplying values", async () => {
+            const configuration = await configurationBuilder.addConfigurationSource(new JsonConfigurationSource("test/fixtures/config.json"))
+                .addConfigurationSource(new ObjectConfigurationSource({key: "other value"}))
+                .addConfigurationSource(new ObjectConfigurationSource({key: "value"}), "nested")
+                .build();
+
+            expect(configuration.explain("key")).to.eql({
+                keyPath: "key",
+                value: "other value",
+                source: "ObjectConfigurationSource",
+                overridden: [{value: "value", source: "test/fixtures/config.json"}]
+            });
+            expect(configuration.explain("nested.key").source).to.equal("ObjectConfigurationSource");
+        });
+
+        it("should mark values of sensitive configuration sources as sensitive", async () => {
+            const secretsSource = {
+                load: async () => ({password: "secret"}),
+                isSensitive: () => true
+            };
+            const configuration = await configurationBuilder.addConfigurationSource(new ObjectConfigurationSource({user: "admin"}))
+                .addConfigurationSource(secretsSource, "database")
+                .enableInterpolation({environment: {}})
+                .build();
+
+            expect(configuration.get("database.password")).to.equal("secret");
+            expect(configuration.redacted()).to.eql({user: "admin", database: {password: "[REDACTED]"}});
+        });
+
+        it("should let configuration sources remove and replace inherited settings", async () => {
+            const configuration = await configurationBuilder.addConfigurationSource(new ObjectConfigurationSource({
+                feature: {enabled: true},
+                database: {host: "localhost", port: 5432}
+            }))
+                .addConfigurationSource(new ObjectConfigurationSource({
+                    feature: "$unset",
+                    database: {$replace: {url: "postgres://db"}}
+                }))
+                .build();
+
+            expect(configuration.all()).to.eql({database: {url: "postgres://db"}});
+            expect(configuration.explain("feature.enabled").source).to.be.null;
+            expect(configuration.explain("database.host").source).to.be.null;
+            expect(configuration.explain("database.url").source).to.equal("ObjectConfigurationSource");
+        });
+
+        it("should let file overlays remove and replace inherited settings", async () => {
+            const overlays = [
+                new YamlConfigurationSource("test/fixtures/directives/overlay.yaml"),
+                new DirectoryConfigurationSource("test/fixtures/directives/overlay.d")
+            ];
+
+            for (const overlay of overlays) {
+                const configuration = await new ConfigurationBuilder()
+                    .addConfigurationSource(new YamlConfigurationSource("test/fixtures/directives/base.yaml"))
+                    .addConfigurationSource(overlay)
+                    .build();
+
+                expect(configuration.all()).to.eql({database: {url: "x"}, list: ["one"]});
+            }
+        });
+
         it("should merge configuration sources at existing key path", async () => {
             const settings = {
                 nested: {
@@ -0,0 +1,92 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { ConfigurationDiff } from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+import { inspect } from "util";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("ConfigurationDiff", () => {
+    let diff;
+
+    beforeEach(() => {
+        diff = new ConfigurationDiff([
+            {type: "added", keyPath: "database.host", oldValue: undefined, newValue: "localhost"},
+            {type: "removed", keyPath: "feature.enabled", oldValue: true, newValue: undefined},
+            {type: "changed", keyPath: "server.port", oldValue: 80, newValue: 8080},
+            {type: "changed", keyPath: "database.password", oldValue: "old", newValue: "new", redactedOldValue: "[REDACTED]", redactedNewValue: "[REDACTED]"}
+        ]);
+    });
+
+    describe("#constructor", () => {
+        it("should group entries by type", () => {
+            expect(diff.added.map(({ keyPath }) => keyPath)).to.eql(["database.host"]);
+            expect(diff.removed.map(({ keyPath }) => keyPath)).to.eql(["feature.enabled"]);
+            expect(diff.changed.map(({ keyPath }) => keyPath)).to.eql(["server.port", "database.password"]);
+        });
+    });
+
+    describe("#isEmpty", () => {
+        it("should determine if there are differences", () => {
+            expect(diff.isEmpty()).to.be.false;
+            expect(new ConfigurationDiff([]).isEmpty()).to.be.true;
+        });
+    });
+
+    describe("#render", () => {
+        it("should render one line per entry", () => {
+            expect(diff.render()).to.equal([
+                "+ database.host: \"localhost\"",
+                "- feature.enabled: true",
+                "~ server.port: 80 -> 8080",
+                "~ database.password: [REDACTED] -> [REDACTED]"
+            ].join("\n"));
+        });
+
+        it("should render colored lines", () => {
+            const lines = diff.render({colors: true}).split("\n");
+
+            expect(lines[0]).to.equal("\u001b[32m+ database.host: \"localhost\"\u001b[0m");
+            expect(lines[1]).to.equal("\u001b[31m- feature.enabled: true\u001b[0m");
+            expect(lines[2]).to.equal("\u001b[33m~ server.port: 80 -> 8080\u001b[0m");
+        });
+
+        it("should render empty diff", () => {
+            expect(new ConfigurationDiff([]).render()).to.equal("No changes");
+        });
+    });
+
+    describe("#toString", () => {
+        it("should render differences", () => {
+            expect(String(diff)).to.equal(diff.render());
+        });
+    });
+
+    describe("#toJSON", () => {
+        it("should mask sensitive values when serialized", () => {
+            expect(JSON.parse(JSON.stringify(diff))).to.eql([
+                {type: "added", keyPath: "database.host", newValue: "localhost"},
+                {type: "removed", keyPath: "feature.enabled", oldValue: true},
+                {type: "changed", keyPath: "server.port", oldValue: 80, newValue: 8080},
+                {type: "changed", keyPath: "database.password", oldValue: "[REDACTED]", newValue: "[REDACTED]"}
+            ]);
+        });
+    });
+
+    describe("#[inspect.custom]", () => {
+        it("should mask sensitive values when inspected", () => {
+            const description = inspect(diff);
+
+            expect(description).to.match(/^ConfigurationDiff \[/);
+            expect(description).to.include("'[REDACTED]'");
+            expect(description).to.not.include("'old'");
+            expect(description).to.not.include("'new'");
+        });
+    });
+});
@@ -0,0 +1,243 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    Configuration,
+    ConfigurationError,
+    ConfigurationSection,
+    MergeStrategy
+} from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+import { inspect } from "util";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("ConfigurationSection", () => {
+    let configuration;
+    let section;
+
+    beforeEach(() => {
+        configuration = new Configuration({
+            services: {
+                payments: {
+                    url: "https://payments.example.com",
+                    timeout: "30s"
+                }
+            }
+        });
+        section = configuration.section("services.payments");
+    });
+
+    describe("#constructor", () => {
+        it("should be created through configuration", () => {
+            expect(section).to.be.instanceOf(ConfigurationSection);
+        });
+    });
+
+    describe("#get", () => {
+        it("should return value relative to section", () => {
+            expect(section.get("url")).to.equal("https://payments.example.com");
+        });
+
+        it("should return default value if key path is not found", () => {
+            expect(section.get("key", "default")).to.equal("default");
+        });
+
+        it("should read through to configuration", () => {
+            configuration.set("services.payments.url", "http://localhost");
+
+            expect(section.get("url")).to.equal("http://localhost");
+        });
+    });
+
+    describe("#getAll", () => {
+        it("should return matching values by key path relative to section", () => {
+            configuration.set("services.payments.endpoints", [{url: "/charge"}, {url: "/refund"}]);
+
+            expect(section.getAll("endpoints[*].url")).to.eql({
+                "endpoints[0].url": "/charge",
+                "endpoints[1].url": "/refund"
+            });
+        });
+    });
+
+    describe("#has", () => {
+        it("should determine if key path is present relative to section", () => {
+            expect(section.has("url")).to.be.true;
+            expect(section.has("services")).to.be.false;
+        });
+    });
+
+    describe("#set", () => {
+        it("should write through to configuration", () => {
+            section.set("retry.count", 3);
+
+            expect(configuration.get("services.payments.retry.count")).to.equal(3);
+        });
+
+        it("should throw if configuration is frozen", () => {
+            configuration.freeze();
+
+            expect(() => section.set("key", "value")).to.throw(ConfigurationError);
+        });
+    });
+
+    describe("#remove", () => {
+        it("should remove value from configuration", () => {
+            section.remove("url");
+
+            expect(configuration.has("services.payments.url")).to.be.false;
+        });
+    });
+
+    describe("#clear", () => {
+        it("should clear section only", () => {
+            configuration.set("services.other", "value");
+            section.clear();
+
+            expect(configuration.all()).to.eql({
+                services: {
+                    payments: {},
+                    other: "value"
+                }
+            });
+        });
+    });
+
+    describe("#all", () => {
+        it("should return copy of settings in section", () => {
+            section.all().url = "http://localhost";
+
+            expect(section.all()).to.eql({
+                url: "https://payments.example.com",
+                timeout: "30s"
+            });
+        });
+
+        it("should return empty settings if section does not exist", () => {
+            expect(configuration.section("missing").all()).to.eql({});
+        });
+    });
+
+    describe("#getDuration", () => {
+        it("should use typed accessors of configuration", () => {
+            expect(section.getDuration("timeout")).to.equal(30000);
+            expect(section.getUrl("url").hostname).to.equal("payments.example.com");
+        });
+    });
+
+    describe("#merge", () => {
+        it("should produce merged section without altering configuration", () => {
+            const mergedSection = section.merge(new Configuration({timeout: "10s"}));
+
+            expect(mergedSection.all()).to.eql({
+                url: "https://payments.example.com",
+                timeout: "10s"
+            });
+            expect(section.get("timeout")).to.equal("30s");
+        });
+
+        it("should resolve merge strategy key paths relative to section", () => {
+            section.set("hosts", ["a"]);
+
+            const mergedSection = section.merge(new Configuration({hosts: ["a"]}), null, MergeStrategy.MERGE_INDEXED, {
+                hosts: MergeStrategy.APPEND
+            });
+
+            expect(mergedSection.get("hosts")).to.eql(["a", "a"]);
+        });
+    });
+
+    describe("#freeze", () => {
+        it("should make section read only", () => {
+            section.freeze();
+
+            expect(section.isFrozen()).to.be.true;
+            expect(() => section.set("key", "value"))
+                .to.throw(ConfigurationError, "Unable to set \"key\": Configuration is frozen");
+            expect(configuration.isFrozen()).to.be.false;
+        });
+
+        it("should be frozen if configuration is frozen", () => {
+            configuration.freeze();
+
+            expect(section.isFrozen()).to.be.true;
+        });
+    });
+
+    describe("#onChange", () => {
+        it("should notify listener of changes relative to section", () => {
+            const changes = [];
+
+            section.onChange("timeout", (newValue, oldValue) => changes.push([newValue, oldValue]));
+            configuration.set("services.payments.timeout", "10s");
+
+            expect(changes).to.eql([["10s", "30s"]]);
+        });
+    });
+
+    describe("#explain", () => {
+        it("should explain value relative to section", () => {
+            const configuration = new Configuration({nested: {key: "value"}}, new Map([
+                ["nested.key", [{value: "value", source: "config.json"}]]
+            ]));
+
+            expect(configuration.section("nested").explain("key")).to.eql({
+                keyPath: "key",
+                value: "value",
+                source: "config.json",
+                overridden: []
+            });
+        });
+    });
+
+    describe("#diff", () => {
+        it("should describe changes relative to section", () => {
+            const diff = section.diff(new Configuration({url: "https://payments.example.com", timeout: "10s"}));
+
+            expect(diff.render()).to.equal("~ timeout: \"30s\" -> \"10s\"");
+        });
+    });
+
+    describe("#redacted", () => {
+        it("should mask sensitive settings of section", () => {
+            section.markSensitive("url");
+            configuration.markSensitive("services.*.timeout");
+
+            expect(configuration.isSensitive("services.payments.url")).to.be.true;
+            expect(section.isSensitive("timeout")).to.be.true;
+            expect(section.redacted()).to.eql({url: "[REDACTED]", timeout: "[REDACTED]"});
+            expect(JSON.stringify(section)).to.equal('{"url":"[REDACTED]","timeout":"[REDACTED]"}');
+            expect(inspect(section)).to.equal("ConfigurationSection { url: '[REDACTED]', timeout: '[REDACTED]' }");
+            expect(section.get("url")).to.equal("https://payments.example.com");
+        });
+
+        it("should match leading wildcard at any depth within section", () => {
+            configuration.set("services.payments.api.password", "secret");
+            configuration.set("password", "secret");
+            section.markSensitive("*.password");
+
+            expect(section.redacted().api).to.eql({password: "[REDACTED]"});
+            expect(configuration.isSensitive("password")).to.be.false;
+        });
+    });
+
+    describe("#toFormat", () => {
+        it("should serialize settings of section", () => {
+            expect(section.toFormat("env")).to.equal("URL=https://payments.example.com\nTIMEOUT=30s\n");
+        });
+    });
+
+    describe("#section", () => {
+        it("should create nested sections", () => {
+            const nestedSection = configuration.section("services").section("payments");
+
+            expect(nestedSection.get("url")).to.equal("https://payments.example.com");
+        });
+    });
+});
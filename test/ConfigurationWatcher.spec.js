@@ -0,0 +1,326 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    Configuration,
+    ConfigurationBuilder,
+    ConfigurationParseError,
+    ConfigurationWatcher,
+    DirectoryConfigurationSource,
+    JsonConfigurationSource,
+    YamlConfigurationSource
+} from "@moonwalkingbits/apollo-configuration";
+import { mkdir, mkdtemp, rename, rm, symlink, writeFile } from "fs/promises";
+import { createRequire } from "module";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+function nextEvent(emitter, event) {
+    return new Promise(resolve => emitter.once(event, (...values) => resolve(values)));
+}
+
+describe("ConfigurationWatcher", () => {
+    let directory;
+    let file;
+    let watcher;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), "apollo-configuration-"));
+        file = join(directory, "config.json");
+
+        await writeFile(file, JSON.stringify({key: "value", nested: {key: "value"}}));
+
+        watcher = await new ConfigurationBuilder()
+            .addConfigurationSource(new JsonConfigurationSource(file))
+            .addConfigurationSource(new YamlConfigurationSource(join(directory, "config.local.yaml")), {optional: true})
+            .watch(null, {debounce: 10});
+    });
+
+    afterEach(async () => {
+        watcher.close();
+
+        await rm(directory, {recursive: true, force: true});
+    });
+
+    describe("#configuration", () => {
+        it("should provide the initially built configuration", () => {
+            expect(watcher.configuration.get("key")).to.equal("value");
+        });
+    });
+
+    describe("#watch", () => {
+        it("should rebuild configuration when file changes", async () => {
+            const change = nextEvent(watcher, "change");
+
+            await writeFile(file, JSON.stringify({key: "other value", nested: {key: "value"}}));
+
+            const [configuration, keyPaths] = await change;
+
+            expect(configuration.get("key")).to.equal("other value");
+            expect(watcher.configuration).to.equal(configuration);
+            expect(keyPaths).to.eql(["key"]);
+        });
+
+        it("should report changed nested key paths", async () => {
+            const change = nextEvent(watcher, "change");
+
+            await writeFile(file, JSON.stringify({key: "value", nested: {key: "other value", added: true}}));
+
+            const [, keyPaths] = await change;
+
+            expect(keyPaths).to.eql(["nested.key", "nested.added"]);
+        });
+
+        it("should report key paths of described changes", async () => {
+            const change = nextEvent(watcher, "change");
+
+            await writeFile(file, JSON.stringify({nested: {key: "value"}, database: {host: "db", port: 5432}}));
+
+            const [, keyPaths, diff] = await change;
+
+            expect(keyPaths).to.eql(["key", "database.host", "database.port"]);
+            expect(keyPaths).to.eql(diff.entries.map(({ keyPath }) => keyPath));
+        });
+
+        it("should describe changes", async () => {
+            const change = nextEvent(watcher, "change");
+
+            await writeFile(file, JSON.stringify({key: "other value", nested: {key: "value"}}));
+
+            const [, , diff] = await change;
+
+            expect(diff.render()).to.equal("~ key: \"value\" -> \"other value\"");
+        });
+
+        it("should keep notifying change listeners across rebuilds", async () => {
+            const changes = [];
+
+            watcher.configuration.onChange("key", (newValue, oldValue) => changes.push([newValue, oldValue]));
+            watcher.configuration.section("nested").onChange("key", (newValue, oldValue) => changes.push([newValue, oldValue]));
+
+            let change = nextEvent(watcher, "change");
+
+            await writeFile(file, JSON.stringify({key: "other value", nested: {key: "value"}}));
+            await change;
+
+            change = nextEvent(watcher, "change");
+
+            await writeFile(file, JSON.stringify({key: "other value", nested: {key: "other value"}}));
+            await change;
+
+            expect(changes).to.eql([["other value", "value"], ["other value", "value"]]);
+        });
+
+        it("should keep settings marked as sensitive across rebuilds", async () => {
+            watcher.configuration.markSensitive("*.key");
+
+            const change = nextEvent(watcher, "change");
+
+            await writeFile(file, JSON.stringify({key: "value", nested: {key: "new-secret"}}));
+
+            const [configuration, , diff] = await change;
+
+            expect(diff.render()).to.equal("~ nested.key: [REDACTED] -> [REDACTED]");
+            expect(JSON.stringify(configuration)).to.not.include("new-secret");
+        });
+
+        it("should mask settings marked as sensitive by the builder", async () => {
+            watcher.close();
+            watcher = await new ConfigurationBuilder()
+                .addConfigurationSource(new JsonConfigurationSource(file))
+                .markSensitive("nested.key")
+                .watch(null, {debounce: 10});
+
+            const change = nextEvent(watcher, "change");
+
+            await writeFile(file, JSON.stringify({key: "value", nested: {key: "new-secret"}}));
+
+            const [, , diff] = await change;
+
+            expect(diff.render()).to.equal("~ nested.key: [REDACTED] -> [REDACTED]");
+        });
+
+        it("should rebuild configuration when missing optional file is created", async () => {
+            const change = nextEvent(watcher, "change");
+
+            await writeFile(join(directory, "config.local.yaml"), "key: local value");
+
+            const [configuration] = await change;
+
+            expect(configuration.get("key")).to.equal("local value");
+        });
+
+        it("should keep last good configuration and report errors", async () => {
+            const error = nextEvent(watcher, "error");
+
+            await writeFile(join(directory, "config.local.yaml"), "list: [one, two\nkey: value");
+
+            expect((await error)[0]).to.be.instanceOf(ConfigurationParseError);
+            expect(watcher.configuration.get("key")).to.equal("value");
+        });
+
+        it("should keep last good configuration without error listener", async () => {
+            const rejections = [];
+            const onRejection = reason => rejections.push(reason);
+
+            process.on("unhandledRejection", onRejection);
+
+            try {
+                await writeFile(file, "{invalid");
+                await new Promise(resolve => setTimeout(resolve, 100));
+            } finally {
+                process.off("unhandledRejection", onRejection);
+            }
+
+            expect(rejections).to.eql([]);
+            expect(watcher.configuration.get("key")).to.equal("value");
+        });
+
+        it("should report errors thrown by change listeners", async () => {
+            const error = nextEvent(watcher, "error");
+
+            watcher.on("change", () => {
+                throw new Error("listener failed");
+            });
+
+            await writeFile(file, JSON.stringify({key: "other value", nested: {key: "value"}}));
+
+            expect((await error)[0]).to.have.property("message", "listener failed");
+        });
+
+        it("should rebuild configuration when Kubernetes swaps mounted files", async () => {
+            const mountDirectory = join(directory, "mount");
+
+            await mkdir(join(mountDirectory, "..v1"), {recursive: true});
+            await mkdir(join(mountDirectory, "..v2"));
+            await writeFile(join(mountDirectory, "..v1", "config.json"), JSON.stringify({key: "value"}));
+            await writeFile(join(mountDirectory, "..v2", "config.json"), JSON.stringify({key: "other value"}));
+            await symlink("..v1", join(mountDirectory, "..data"));
+            await symlink(join("..data", "config.json"), join(mountDirectory, "config.json"));
+
+            const mountWatcher = await new ConfigurationBuilder()
+                .addConfigurationSource(new JsonConfigurationSource(join(mountDirectory, "config.json")))
+                .watch(null, {debounce: 10});
+
+            try {
+                const change = nextEvent(mountWatcher, "change");
+
+                await symlink("..v2", join(mountDirectory, "..data_tmp"));
+                await rename(join(mountDirectory, "..data_tmp"), join(mountDirectory, "..data"));
+
+                const [configuration] = await change;
+
+                expect(configuration.get("key")).to.equal("other value");
+            } finally {
+                mountWatcher.close();
+            }
+        });
+
+        it("should rebuild configuration when file in watched directory changes", async () => {
+            const confDirectory = join(directory, "conf.d");
+
+            await mkdir(confDirectory);
+            await writeFile(join(confDirectory, "a.json"), JSON.stringify({key: "value"}));
+
+            const directoryWatcher = await new ConfigurationBuilder()
+                .addConfigurationSource(new DirectoryConfigurationSource(confDirectory))
+                .watch(null, {debounce: 10});
+
+            try {
+                const change = nextEvent(directoryWatcher, "change");
+
+                await writeFile(join(confDirectory, "a.json"), JSON.stringify({key: "other value"}));
+
+                const [configuration] = await change;
+
+                expect(configuration.get("key")).to.equal("other value");
+            } finally {
+                directoryWatcher.close();
+            }
+        });
+
+        it("should skip optional files in missing directories", async () => {
+            watcher.close();
+            watcher = await new ConfigurationBuilder()
+                .addConfigurationSource(new JsonConfigurationSource(file))
+                .addConfigurationSource(new JsonConfigurationSource(join(directory, "missing", "config.local.json")), {optional: true})
+                .watch(null, {debounce: 10});
+
+            const change = nextEvent(watcher, "change");
+
+            await writeFile(file, JSON.stringify({key: "other value", nested: {key: "value"}}));
+
+            const [configuration] = await change;
+
+            expect(configuration.get("key")).to.equal("other value");
+        });
+
+        it("should close watchers if a directory can not be watched", async () => {
+            let builds = 0;
+            const configurationWatcher = new ConfigurationWatcher(() => {
+                builds++;
+
+                return Promise.resolve(new Configuration());
+            }, new Configuration(), {debounce: 10});
+            let error = null;
+
+            try {
+                await configurationWatcher.watch([file, join(file, "nested", "config.json")]);
+            } catch (watchError) {
+                error = watchError;
+            }
+
+            await writeFile(file, JSON.stringify({key: "other value"}));
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            expect(error).to.have.property("code", "ENOTDIR");
+            expect(builds).to.equal(0);
+        });
+    });
+
+    describe("#close", () => {
+        it("should stop watching for changes", async () => {
+            let changed = false;
+
+            watcher.on("change", () => changed = true);
+            watcher.close();
+
+            await writeFile(file, JSON.stringify({key: "other value"}));
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            expect(changed).to.be.false;
+        });
+
+        it("should discard a rebuild in progress", async () => {
+            let finishBuild;
+            const configurationWatcher = new ConfigurationWatcher(
+                () => new Promise(resolve => finishBuild = resolve),
+                new Configuration({key: "value"}),
+                {debounce: 10}
+            );
+            let changed = false;
+
+            configurationWatcher.on("change", () => changed = true);
+            await configurationWatcher.watch([file]);
+            await writeFile(file, JSON.stringify({key: "other value"}));
+
+            while (!finishBuild) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+
+            configurationWatcher.close();
+            finishBuild(new Configuration({key: "other value"}));
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(changed).to.be.false;
+            expect(configurationWatcher.configuration.get("key")).to.equal("value");
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    ConfigurationError,
+    DirectoryConfigurationSource,
+    FileConfigurationSourceRegistry,
+    MergeStrategy
+} from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("DirectoryConfigurationSource", () => {
+    describe("#getWatchPaths", () => {
+        it("should watch directory", () => {
+            expect(new DirectoryConfigurationSource("test/fixtures/conf.d").getWatchPaths()).to.eql(["test/fixtures/conf.d"]);
+            expect(new DirectoryConfigurationSource("test/fixtures/conf.d/*.json").getWatchPaths()).to.eql(["test/fixtures/conf.d"]);
+        });
+    });
+
+    describe("#getFiles", () => {
+        it("should return registered files in directory in order", async () => {
+            expect(await new DirectoryConfigurationSource("test/fixtures/conf.d").getFiles()).to.eql([
+                "test/fixtures/conf.d/10-base.json",
+                "test/fixtures/conf.d/20-database.yaml",
+                "test/fixtures/conf.d/30-cache.toml"
+            ]);
+        });
+
+        it("should only return modules if enabled", async () => {
+            expect(await new DirectoryConfigurationSource("test/fixtures/modules").getFiles()).to.be.empty;
+            expect(await new DirectoryConfigurationSource("test/fixtures/modules", {modules: true}).getFiles()).to.eql([
+                "test/fixtures/modules/async.js",
+                "test/fixtures/modules/derived.js",
+                "test/fixtures/modules/function.mjs",
+                "test/fixtures/modules/object.js"
+            ]);
+        });
+
+        it("should return files matching pattern in order", async () => {
+            expect(await new DirectoryConfigurationSource("test/fixtures/conf.d/*.{json,toml}").getFiles()).to.eql([
+                "test/fixtures/conf.d/10-base.json",
+                "test/fixtures/conf.d/30-cache.toml"
+            ]);
+            expect(await new DirectoryConfigurationSource("test/fixtures/conf.d/?0-*.yaml").getFiles()).to.eql([
+                "test/fixtures/conf.d/20-database.yaml"
+            ]);
+        });
+    });
+
+    describe("#load", () => {
+        it("should merge all files in order", async () => {
+            expect(await new DirectoryConfigurationSource("test/fixtures/conf.d").load()).to.eql({
+                key: "value",
+                list: ["one", "two"],
+                database: {
+                    host: "database",
+                    port: 5432
+                },
+                cache: {
+                    enabled: true
+                }
+            });
+        });
+
+        it("should keep merge directives", async () => {
+            expect(await new DirectoryConfigurationSource("test/fixtures/directives/overlay.d").load()).to.eql({
+                feature: "$unset",
+                database: {$replace: {url: "x"}}
+            });
+        });
+
+        it("should merge files using strategy", async () => {
+            const mergeStrategy = MergeStrategy.REPLACE_INDEXED;
+            const settings = await new DirectoryConfigurationSource("test/fixtures/conf.d", {mergeStrategy}).load();
+
+            expect(settings.list).to.eql(["two"]);
+        });
+
+        it("should mount files at key paths named after the files", async () => {
+            expect(await new DirectoryConfigurationSource("test/fixtures/mounted", {mount: true}).load()).to.eql({
+                cache: {
+                    enabled: true
+                },
+                database: {
+                    host: "localhost"
+                }
+            });
+        });
+
+        it("should mount files at keys named after the files as is", async () => {
+            const configurationSource = new DirectoryConfigurationSource("test/fixtures/mounted-names", {mount: true});
+
+            expect(await configurationSource.load()).to.eql({
+                "api[v1]": {enabled: true},
+                "example.com": {port: 443}
+            });
+            expect(configurationSource.describe("example\\.com.port")).to.equal("test/fixtures/mounted-names/example.com.json");
+        });
+
+        it("should use registry to create file configuration sources", async () => {
+            const registry = new FileConfigurationSourceRegistry().register(".md", class {
+                load() {
+                    return Promise.resolve({readme: true});
+                }
+            });
+            const settings = await new DirectoryConfigurationSource("test/fixtures/conf.d/*.md", {registry}).load();
+
+            expect(settings).to.eql({readme: true});
+        });
+
+        it("should throw if matching file has no registered configuration source", async () => {
+            try {
+                await new DirectoryConfigurationSource("test/fixtures/conf.d/*.md").load();
+            } catch (error) {
+                expect(error).to.be.instanceOf(ConfigurationError);
+
+                return;
+            }
+
+            expect.fail("Expected a configuration error");
+        });
+    });
+
+    describe("#describe", () => {
+        it("should describe values by file they were loaded from", async () => {
+            const configurationSource = new DirectoryConfigurationSource("test/fixtures/conf.d");
+
+            await configurationSource.load();
+
+            expect(configurationSource.describe("key")).to.equal("test/fixtures/conf.d/10-base.json");
+            expect(configurationSource.describe("database.host")).to.equal("test/fixtures/conf.d/20-database.yaml");
+            expect(configurationSource.describe("cache.enabled")).to.equal("test/fixtures/conf.d/30-cache.toml");
+        });
+    });
+});
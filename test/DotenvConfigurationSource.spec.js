@@ -0,0 +1,99 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { ConfigurationParseError, DotenvConfigurationSource } from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("DotenvConfigurationSource", () => {
+    describe("#load", () => {
+        const environment = {HOME: "/home/user"};
+        let settings;
+
+        beforeEach(async () => {
+            settings = await new DotenvConfigurationSource("test/fixtures/config.env", {environment}).load();
+        });
+
+        it("should return the configuration in the given file", () => {
+            expect(settings.key).to.equal("value");
+            expect(settings.empty).to.equal("");
+            expect(settings.port).to.equal("8080");
+        });
+
+        it("should handle export prefixes", () => {
+            expect(settings.exported).to.equal("exported value");
+        });
+
+        it("should ignore comments", () => {
+            expect(settings.unquoted).to.equal("unquoted value");
+            expect(settings.double).to.equal("double value \n quoted");
+        });
+
+        it("should not expand single quoted values", () => {
+            expect(settings.single).to.equal("single ${KEY} \\n quoted");
+        });
+
+        it("should handle multiline values", () => {
+            expect(settings.multiline).to.equal("first line\nsecond line");
+        });
+
+        it("should map variable names to nested key paths", () => {
+            expect(settings.database.host).to.equal("localhost");
+        });
+
+        it("should take variable name segments as keys as is", () => {
+            const configurationSource = new DotenvConfigurationSource(".env", {environment: {}});
+
+            expect(configurationSource.parse("HOSTS__EXAMPLE.COM=true")).to.eql({hosts: {"example.com": "true"}});
+        });
+
+        it("should expand references to earlier variables", () => {
+            expect(settings.database.url).to.equal("postgres://localhost:5432");
+        });
+
+        it("should expand references to the environment", () => {
+            expect(settings.home_directory).to.equal("/home/user");
+        });
+
+        it("should not expand escaped references", () => {
+            expect(settings.escaped).to.equal("${KEY}");
+        });
+
+        it("should not modify the environment", async () => {
+            await new DotenvConfigurationSource("test/fixtures/config.env").load();
+
+            expect(process.env).to.not.have.property("DATABASE__HOST");
+        });
+
+        it("should coerce values", async () => {
+            const environment = {DATABASE__PORT: "5433"};
+            const settings = await new DotenvConfigurationSource("test/fixtures/config.env", {environment, coerce: true})
+                .load();
+
+            expect(settings.port).to.equal(8080);
+            expect(settings.database.url).to.equal("postgres://localhost:5433");
+        });
+
+        it("should report parse errors with position", async () => {
+            try {
+                await new DotenvConfigurationSource("test/fixtures/invalid.env").load();
+            } catch (error) {
+                expect(error).to.be.instanceOf(ConfigurationParseError);
+                expect(error.message).to.contain("test/fixtures/invalid.env");
+                expect(error.file).to.equal("test/fixtures/invalid.env");
+                expect(error.line).to.equal(2);
+                expect(error.column).to.equal(1);
+
+                return;
+            }
+
+            expect.fail("Expected a parse error");
+        });
+    });
+});
@@ -0,0 +1,114 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { EnvironmentConfigurationSource } from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("EnvironmentConfigurationSource", () => {
+    describe("#load", () => {
+        it("should read from process environment by default", async () => {
+            process.env.APOLLO_CONFIGURATION_TEST = "value";
+
+            try {
+                expect(await new EnvironmentConfigurationSource("APOLLO_CONFIGURATION_").load()).to.eql({test: "value"});
+            } finally {
+                delete process.env.APOLLO_CONFIGURATION_TEST;
+            }
+        });
+
+        it("should only include variables with prefix", async () => {
+            const environment = {APP_KEY: "value", OTHER_KEY: "other value"};
+
+            expect(await new EnvironmentConfigurationSource("APP_", {environment}).load()).to.eql({key: "value"});
+        });
+
+        it("should map variable names to nested key paths", async () => {
+            const environment = {APP_DATABASE__HOST: "localhost", APP_DATABASE__MAX_CONNECTIONS: "10"};
+
+            expect(await new EnvironmentConfigurationSource("APP_", {environment}).load()).to.eql({
+                database: {
+                    host: "localhost",
+                    max_connections: "10"
+                }
+            });
+        });
+
+        it("should take variable name segments as keys as is", async () => {
+            const environment = {"APP_B[X]": "1", "APP_EXAMPLE.COM__ON": "2", "APP_KEY": "3"};
+
+            expect(await new EnvironmentConfigurationSource("APP_", {environment}).load()).to.eql({
+                "b[x]": "1",
+                "example.com": {on: "2"},
+                "key": "3"
+            });
+        });
+
+        it("should use custom separator", async () => {
+            const environment = {APP_DATABASE_HOST: "localhost"};
+
+            expect(await new EnvironmentConfigurationSource("APP_", {environment, separator: "_"}).load()).to.eql({
+                database: {
+                    host: "localhost"
+                }
+            });
+        });
+
+        it("should not coerce values by default", async () => {
+            const environment = {APP_ENABLED: "true", APP_PORT: "42"};
+
+            expect(await new EnvironmentConfigurationSource("APP_", {environment}).load()).to.eql({
+                enabled: "true",
+                port: "42"
+            });
+        });
+
+        it("should coerce values", async () => {
+            const environment = {
+                APP_ENABLED: "true",
+                APP_PORT: "42",
+                APP_EMPTY: "null",
+                APP_LIST: "[1, 2]",
+                APP_NAME: "name",
+                APP_ZIP: "01234"
+            };
+
+            expect(await new EnvironmentConfigurationSource("APP_", {environment, coerce: true}).load()).to.eql({
+                enabled: true,
+                port: 42,
+                empty: null,
+                list: [1, 2],
+                name: "name",
+                zip: "01234"
+            });
+        });
+    });
+
+    describe("#describe", () => {
+        it("should describe values by variable name", async () => {
+            const configurationSource = new EnvironmentConfigurationSource("APP_", {
+                environment: {APP_DATABASE__HOST: "localhost"}
+            });
+
+            await configurationSource.load();
+
+            expect(configurationSource.describe("database.host")).to.equal("env:APP_DATABASE__HOST");
+        });
+
+        it("should describe values of keys with special characters", async () => {
+            const configurationSource = new EnvironmentConfigurationSource("APP_", {
+                environment: {"APP_EXAMPLE.COM__ON": "true"}
+            });
+
+            await configurationSource.load();
+
+            expect(configurationSource.describe("example\\.com.on")).to.equal("env:APP_EXAMPLE.COM__ON");
+        });
+    });
+});
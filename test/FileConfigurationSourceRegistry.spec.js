@@ -0,0 +1,61 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import {
+    ConfigurationError,
+    FileConfigurationSourceRegistry,
+    JsonConfigurationSource
+} from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("FileConfigurationSourceRegistry", () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new FileConfigurationSourceRegistry();
+    });
+
+    describe("#has", () => {
+        it("should determine if file has registered configuration source", () => {
+            expect(registry.has("config.json")).to.be.true;
+            expect(registry.has("config.YML")).to.be.true;
+            expect(registry.has(".env")).to.be.true;
+            expect(registry.has("config.custom")).to.be.false;
+        });
+
+        it("should leave out module configuration source if requested", () => {
+            expect(registry.has("config.mjs")).to.be.true;
+            expect(new FileConfigurationSourceRegistry({modules: false}).has("config.js")).to.be.false;
+            expect(new FileConfigurationSourceRegistry({modules: false}).has("config.mjs")).to.be.false;
+        });
+    });
+
+    describe("#register", () => {
+        it("should register configuration source for extension", () => {
+            registry.register(".custom", JsonConfigurationSource);
+
+            expect(registry.has("config.custom")).to.be.true;
+        });
+    });
+
+    describe("#create", () => {
+        it("should create configuration source for file", () => {
+            expect(registry.create("test/fixtures/config.json")).to.be.instanceOf(JsonConfigurationSource);
+        });
+
+        it("should create configuration source for explicit extension", () => {
+            expect(registry.create("http://localhost/config", ".json")).to.be.instanceOf(JsonConfigurationSource);
+        });
+
+        it("should throw if file has no registered configuration source", () => {
+            expect(() => registry.create("test/fixtures/content.custom")).to.throw(ConfigurationError);
+        });
+    });
+});
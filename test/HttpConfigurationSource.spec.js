@@ -0,0 +1,227 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { ConfigurationError, HttpConfigurationSource } from "@moonwalkingbits/apollo-configuration";
+import { mkdtemp, rm } from "fs/promises";
+import http from "http";
+import { createRequire } from "module";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+function listen(handler) {
+    const server = http.createServer(handler);
+
+    return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+function close(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+describe("HttpConfigurationSource", () => {
+    let server;
+    let requests;
+    let directory;
+
+    beforeEach(async () => {
+        requests = [];
+        directory = await mkdtemp(join(tmpdir(), "apollo-configuration-"));
+    });
+
+    afterEach(async () => {
+        if (server.listening) {
+            await close(server);
+        }
+
+        await rm(directory, {recursive: true, force: true});
+    });
+
+    function serve(handler) {
+        return listen((request, response) => {
+            requests.push(request);
+            handler(request, response);
+        }).then(listeningServer => {
+            server = listeningServer;
+
+            return `http://127.0.0.1:${server.address().port}`;
+        });
+    }
+
+    describe("#load", () => {
+        it("should return the configuration at the given url", async () => {
+            const url = await serve((request, response) => response.end("{\"key\": \"value\"}"));
+
+            expect(await new HttpConfigurationSource(`${url}/config`).load()).to.eql({key: "value"});
+        });
+
+        it("should parse content by url extension", async () => {
+            const url = await serve((request, response) => response.end("key: value"));
+
+            expect(await new HttpConfigurationSource(`${url}/config.yaml`).load()).to.eql({key: "value"});
+        });
+
+        it("should parse content as JSON if url extension is not registered", async () => {
+            const url = await serve((request, response) => response.end("{\"key\": \"value\"}"));
+
+            expect(await new HttpConfigurationSource(`${url}/config.php`).load()).to.eql({key: "value"});
+            expect(await new HttpConfigurationSource(`${url}/v1/service.v2`).load()).to.eql({key: "value"});
+        });
+
+        it("should parse content by format", async () => {
+            const url = await serve((request, response) => response.end("key = \"value\""));
+
+            expect(await new HttpConfigurationSource(`${url}/config`, {format: ".toml"}).load()).to.eql({key: "value"});
+        });
+
+        it("should send headers", async () => {
+            const url = await serve((request, response) => response.end("{}"));
+
+            await new HttpConfigurationSource(url, {headers: {Authorization: "Bearer token"}}).load();
+
+            expect(requests[0].headers.authorization).to.equal("Bearer token");
+        });
+
+        it("should retry failed requests", async () => {
+            const url = await serve((request, response) => {
+                response.statusCode = requests.length < 3 ? 503 : 200;
+                response.end("{\"key\": \"value\"}");
+            });
+
+            expect(await new HttpConfigurationSource(url, {retryDelay: 1}).load()).to.eql({key: "value"});
+            expect(requests).to.have.lengthOf(3);
+        });
+
+        it("should not retry client errors", async () => {
+            const url = await serve((request, response) => {
+                response.statusCode = 404;
+                response.end();
+            });
+
+            try {
+                await new HttpConfigurationSource(url, {retryDelay: 1}).load();
+            } catch (error) {
+                expect(error).to.be.instanceOf(ConfigurationError);
+                expect(error.message).to.contain("404");
+                expect(requests).to.have.lengthOf(1);
+
+                return;
+            }
+
+            expect.fail("Expected a configuration error");
+        });
+
+        it("should time out requests", async () => {
+            const url = await serve(() => undefined);
+
+            try {
+                await new HttpConfigurationSource(url, {timeout: 10, retries: 0}).load();
+            } catch (error) {
+                expect(error).to.be.instanceOf(ConfigurationError);
+                expect(error.message).to.contain("Timed out");
+
+                return;
+            }
+
+            expect.fail("Expected a configuration error");
+        });
+
+        it("should time out slowly sent responses", async () => {
+            const url = await serve((request, response) => {
+                const interval = setInterval(() => response.write(" "), 5);
+
+                response.on("close", () => clearInterval(interval));
+            });
+
+            try {
+                await new HttpConfigurationSource(url, {timeout: 50, retries: 0}).load();
+            } catch (error) {
+                expect(error).to.be.instanceOf(ConfigurationError);
+                expect(error.message).to.contain("Timed out");
+
+                return;
+            }
+
+            expect.fail("Expected a configuration error");
+        });
+
+        it("should use entity tag to avoid refetching unchanged content", async () => {
+            const url = await serve((request, response) => {
+                if (request.headers["if-none-match"] === "\"1\"") {
+                    response.statusCode = 304;
+                    response.end();
+
+                    return;
+                }
+
+                response.setHeader("ETag", "\"1\"");
+                response.end("{\"key\": \"value\"}");
+            });
+            const configurationSource = new HttpConfigurationSource(url);
+
+            expect(await configurationSource.load()).to.eql({key: "value"});
+            expect(await configurationSource.load()).to.eql({key: "value"});
+            expect(requests[1].headers["if-none-match"]).to.equal("\"1\"");
+        });
+
+        it("should fall back to cached content if unreachable", async () => {
+            const cacheFile = join(directory, "cache.json");
+            const url = await serve((request, response) => response.end("{\"key\": \"value\"}"));
+
+            await new HttpConfigurationSource(url, {cacheFile}).load();
+            await close(server);
+
+            const configurationSource = new HttpConfigurationSource(url, {cacheFile, retries: 0});
+
+            expect(await configurationSource.load()).to.eql({key: "value"});
+        });
+
+        it("should fall back to cached content if content can't be parsed", async () => {
+            const cacheFile = join(directory, "cache.json");
+            let content = "{\"key\": \"value\"}";
+            const url = await serve((request, response) => response.end(content));
+
+            await new HttpConfigurationSource(url, {cacheFile}).load();
+            content = "{invalid";
+
+            expect(await new HttpConfigurationSource(url, {cacheFile}).load()).to.eql({key: "value"});
+        });
+
+        it("should throw if content can't be parsed without cached content", async () => {
+            const url = await serve((request, response) => response.end("{invalid"));
+
+            try {
+                await new HttpConfigurationSource(url).load();
+            } catch (error) {
+                expect(error).to.be.instanceOf(SyntaxError);
+
+                return;
+            }
+
+            expect.fail("Expected a parse error");
+        });
+
+        it("should throw if unreachable without cached content", async () => {
+            const url = await serve(() => undefined);
+
+            await close(server);
+
+            try {
+                await new HttpConfigurationSource(url, {retries: 1, retryDelay: 1}).load();
+            } catch (error) {
+                expect(error).to.be.instanceOf(ConfigurationError);
+                expect(error.message).to.contain(url);
+
+                return;
+            }
+
+            expect.fail("Expected a configuration error");
+        });
+    });
+});
@@ -0,0 +1,41 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { IniConfigurationSource } from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("IniConfigurationSource", () => {
+    describe("#load", () => {
+        it("should return the configuration in the given file", async () => {
+            const settings = await new IniConfigurationSource("test/fixtures/config.ini").load();
+
+            expect(settings.key).to.equal("value");
+        });
+
+        it("should map sections to top level keys", async () => {
+            const settings = await new IniConfigurationSource("test/fixtures/config.ini").load();
+
+            expect(settings.database.host).to.equal("localhost");
+            expect(settings.database.port).to.equal("5432");
+        });
+
+        it("should map dotted section names to nested key paths", async () => {
+            const settings = await new IniConfigurationSource("test/fixtures/config.ini").load();
+
+            expect(settings.database.replica.host).to.equal("replica");
+        });
+
+        it("should not split escaped dots in section names", async () => {
+            const settings = await new IniConfigurationSource("test/fixtures/config.ini").load();
+
+            expect(settings["example.com"].enabled).to.be.true;
+        });
+    });
+});
@@ -17,4 +17,10 @@ describe("JsonConfigurationSource", () => {
             expect(await new JsonConfigurationSource("test/fixtures/config.json").load()).to.eql({key: "value"});
         });
     });
+
+    describe("#parse", () => {
+        it("should return the configuration in the given content", () => {
+            expect(new JsonConfigurationSource("config.json").parse("{\"key\": \"value\"}")).to.eql({key: "value"});
+        });
+    });
 });
@@ -0,0 +1,38 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { Configuration, ModuleConfigurationSource } from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("ModuleConfigurationSource", () => {
+    describe("#load", () => {
+        it("should return the exported object", async () => {
+            expect(await new ModuleConfigurationSource("test/fixtures/modules/object.js").load()).to.eql({key: "value"});
+        });
+
+        it("should return the result of exported function", async () => {
+            expect(await new ModuleConfigurationSource("test/fixtures/modules/function.mjs").load()).to.eql({key: "value"});
+        });
+
+        it("should return the resolved result of exported async function", async () => {
+            expect(await new ModuleConfigurationSource("test/fixtures/modules/async.js").load()).to.eql({key: "value"});
+        });
+
+        it("should pass the configuration to exported function", async () => {
+            const configuration = new Configuration({workers: 4});
+
+            expect(await new ModuleConfigurationSource("test/fixtures/modules/derived.js").load(configuration)).to.eql({
+                pool: {
+                    size: 8
+                }
+            });
+        });
+    });
+});
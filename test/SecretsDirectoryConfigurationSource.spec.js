@@ -0,0 +1,65 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { SecretsDirectoryConfigurationSource } from "@moonwalkingbits/apollo-configuration";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { createRequire } from "module";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("SecretsDirectoryConfigurationSource", () => {
+    describe("#load", () => {
+        it("should return one value per file with trailing newlines removed", async () => {
+            expect(await new SecretsDirectoryConfigurationSource("test/fixtures/secrets").load()).to.eql({
+                api_token: "secret",
+                database: {
+                    password: "password"
+                }
+            });
+        });
+
+        it("should use custom separator", async () => {
+            const settings = await new SecretsDirectoryConfigurationSource("test/fixtures/secrets", {separator: "_"}).load();
+
+            expect(settings.api).to.eql({token: "secret"});
+        });
+
+        it("should take file name segments as keys as is", async () => {
+            const directory = await mkdtemp(join(tmpdir(), "apollo-configuration-"));
+
+            try {
+                await writeFile(join(directory, "hosts__example.com"), "secret\n");
+                await writeFile(join(directory, "b[x]"), "secret\n");
+
+                expect(await new SecretsDirectoryConfigurationSource(directory).load()).to.eql({
+                    "b[x]": "secret",
+                    "hosts": {"example.com": "secret"}
+                });
+            } finally {
+                await rm(directory, {recursive: true, force: true});
+            }
+        });
+    });
+
+    describe("#isSensitive", () => {
+        it("should consider all values sensitive", () => {
+            expect(new SecretsDirectoryConfigurationSource("test/fixtures/secrets").isSensitive()).to.be.true;
+        });
+    });
+
+    describe("#describe", () => {
+        it("should describe values by secret file", () => {
+            const configurationSource = new SecretsDirectoryConfigurationSource("test/fixtures/secrets");
+
+            expect(configurationSource.describe("database.password")).to.equal("test/fixtures/secrets/database__password");
+            expect(configurationSource.describe("hosts.example\\.com")).to.equal("test/fixtures/secrets/hosts__example.com");
+        });
+    });
+});
@@ -0,0 +1,53 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { ConfigurationParseError, TomlConfigurationSource } from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("TomlConfigurationSource", () => {
+    describe("#load", () => {
+        it("should return the configuration in the given file", async () => {
+            const settings = await new TomlConfigurationSource("test/fixtures/config.toml").load();
+
+            expect(settings.key).to.equal("value");
+        });
+
+        it("should map tables to nested objects", async () => {
+            const settings = await new TomlConfigurationSource("test/fixtures/config.toml").load();
+
+            expect(settings.database.host).to.equal("localhost");
+            expect(settings.database.port).to.equal(5432);
+            expect(settings.database.replica.host).to.equal("replica");
+        });
+
+        it("should map dates to date instances", async () => {
+            const settings = await new TomlConfigurationSource("test/fixtures/config.toml").load();
+
+            expect(settings.released).to.be.instanceOf(Date);
+            expect(settings.released.toISOString()).to.equal("1979-05-27T07:32:00.000Z");
+        });
+
+        it("should report parse errors with position", async () => {
+            try {
+                await new TomlConfigurationSource("test/fixtures/invalid.toml").load();
+            } catch (error) {
+                expect(error).to.be.instanceOf(ConfigurationParseError);
+                expect(error.message).to.contain("test/fixtures/invalid.toml");
+                expect(error.file).to.equal("test/fixtures/invalid.toml");
+                expect(error.line).to.equal(3);
+                expect(error.column).to.equal(1);
+
+                return;
+            }
+
+            expect.fail("Expected a parse error");
+        });
+    });
+});
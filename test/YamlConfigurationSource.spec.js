@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2020 Martin Pettersson
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+import { ConfigurationError, ConfigurationParseError, MergeStrategy, YamlConfigurationSource } from "@moonwalkingbits/apollo-configuration";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { expect } = require("chai");
+
+describe("YamlConfigurationSource", () => {
+    describe("#load", () => {
+        it("should return the configuration in the given file", async () => {
+            expect(await new YamlConfigurationSource("test/fixtures/config.yaml").load()).to.eql({key: "value"});
+        });
+
+        it("should merge multiple documents", async () => {
+            expect(await new YamlConfigurationSource("test/fixtures/documents.yaml").load()).to.eql({
+                key: "value",
+                otherKey: "other value",
+                list: ["two"]
+            });
+        });
+
+        it("should merge arrays of multiple documents using merge strategy", async () => {
+            const configurationSource = new YamlConfigurationSource("test/fixtures/documents.yaml", {
+                mergeStrategy: MergeStrategy.MERGE_INDEXED
+            });
+
+            expect((await configurationSource.load()).list).to.eql(["one", "two"]);
+        });
+
+        it("should keep merge directives of multiple documents", async () => {
+            expect(await new YamlConfigurationSource("test/fixtures/directives/overlay.yaml").load()).to.eql({
+                feature: "$unset",
+                database: {$replace: {url: "x"}}
+            });
+        });
+
+        it("should resolve anchors, aliases and merge keys", async () => {
+            const settings = await new YamlConfigurationSource("test/fixtures/references.yaml").load();
+
+            expect(settings.database).to.eql({host: "localhost", port: 5433});
+            expect(settings.replica).to.eql({host: "localhost", port: 5432});
+        });
+
+        it("should reject documents that are not mappings", async () => {
+            try {
+                await new YamlConfigurationSource("test/fixtures/sequence-document.yaml").load();
+            } catch (error) {
+                expect(error).to.be.instanceOf(ConfigurationError);
+                expect(error.message).to.contain("test/fixtures/sequence-document.yaml");
+                expect(error.message).to.contain("Document 2 is not a mapping");
+
+                return;
+            }
+
+            expect.fail("Expected a configuration error");
+        });
+
+        it("should report parse errors with position", async () => {
+            try {
+                await new YamlConfigurationSource("test/fixtures/invalid.yaml").load();
+            } catch (error) {
+                expect(error).to.be.instanceOf(ConfigurationParseError);
+                expect(error.message).to.contain("test/fixtures/invalid.yaml");
+                expect(error.file).to.equal("test/fixtures/invalid.yaml");
+                expect(error.line).to.equal(3);
+                expect(error.column).to.equal(1);
+
+                return;
+            }
+
+            expect.fail("Expected a parse error");
+        });
+    });
+});
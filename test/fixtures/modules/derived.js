@@ -0,0 +1,5 @@
+export default configuration => ({
+    pool: {
+        size: configuration.get("workers", 1) * 2
+    }
+});